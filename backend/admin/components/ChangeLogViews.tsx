@@ -3,16 +3,183 @@
 import { jsx } from '@keystone-ui/core';
 import { FieldProps } from '@keystone-6/core/types';
 import { controller } from '@keystone-6/core/fields/types/json/views';
+import { gql, useMutation, useQuery } from '@keystone-6/core/admin-ui/apollo';
+import { useRouter } from '@keystone-6/core/admin-ui/router';
+
+const GET_CHANGE_LOG = gql`
+  query GetChangeLog($id: ID!) {
+    changeLog(where: { id: $id }) {
+      id
+      status
+      operation
+      isProposal
+    }
+  }
+`;
+
+const REVERT_CHANGE_LOG = gql`
+  mutation RevertChangeLog($id: ID!) {
+    revertChangeLog(id: $id) {
+      id
+      status
+    }
+  }
+`;
+
+const SET_CHANGE_LOG_STATUS = gql`
+  mutation SetChangeLogStatus($id: ID!, $status: ChangeLogStatusType!) {
+    updateChangeLog(where: { id: $id }, data: { status: $status }) {
+      id
+      status
+    }
+  }
+`;
+
+const REVERT_LABELS: Record<string, string> = {
+  create: '↩️ Annuler la création',
+  update: '↩️ Annuler cette modification',
+  delete: '↩️ Restaurer l\'élément supprimé',
+};
+
+const actionButtonStyle = (color: string, hoverColor: string, loading: boolean) => ({
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: 6,
+  padding: '8px 16px',
+  backgroundColor: color,
+  color: 'white',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 14,
+  fontWeight: 500,
+  cursor: loading ? 'wait' : 'pointer',
+  opacity: loading ? 0.7 : 1,
+  '&:hover': {
+    backgroundColor: hoverColor,
+  },
+});
+
+const ChangeActions = () => {
+  const router = useRouter();
+  const id = router.query.id as string | undefined;
+
+  const { data } = useQuery(GET_CHANGE_LOG, { variables: { id }, skip: !id });
+  const [revert, revertState] = useMutation(REVERT_CHANGE_LOG);
+  const [setStatus, statusState] = useMutation(SET_CHANGE_LOG_STATUS);
+
+  const loading = revertState.loading || statusState.loading;
+  const error = revertState.error || statusState.error;
+
+  const entry = data?.changeLog;
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.status === 'reverted') {
+    return (
+      <div css={{ marginTop: 12, fontSize: 13, color: '#666' }}>
+        ↩️ Cette modification a été annulée
+      </div>
+    );
+  }
+
+  if (entry.isProposal && entry.status === 'rejected') {
+    return (
+      <div css={{ marginTop: 12, fontSize: 13, color: '#666' }}>
+        ❌ Cette proposition a été rejetée
+      </div>
+    );
+  }
+
+  const handleRevert = async () => {
+    if (!confirm('Annuler cette modification ? Les valeurs précédentes seront restaurées.')) {
+      return;
+    }
+
+    try {
+      await revert({ variables: { id } });
+      window.location.reload();
+    } catch (err) {
+      console.error('Failed to revert:', err);
+    }
+  };
+
+  const handleStatus = async (status: 'accepted' | 'rejected') => {
+    try {
+      await setStatus({ variables: { id, status } });
+      window.location.reload();
+    } catch (err) {
+      console.error('Failed to update status:', err);
+    }
+  };
+
+  const errorMessage = error && (
+    <div css={{ marginTop: 8, fontSize: 13, color: '#dc2626' }}>
+      {error.message}
+    </div>
+  );
+
+  // Pending proposal: nothing has been applied yet
+  if (entry.isProposal && entry.status === 'pending') {
+    return (
+      <div css={{ marginTop: 12 }}>
+        <div css={{ display: 'flex', gap: 8 }}>
+          <button
+            type="button"
+            onClick={() => handleStatus('accepted')}
+            disabled={loading}
+            css={actionButtonStyle('#16a34a', '#15803d', loading)}
+          >
+            ✅ Appliquer
+          </button>
+          <button
+            type="button"
+            onClick={() => handleStatus('rejected')}
+            disabled={loading}
+            css={actionButtonStyle('#6b7280', '#4b5563', loading)}
+          >
+            ❌ Rejeter
+          </button>
+        </div>
+        {errorMessage}
+      </div>
+    );
+  }
+
+  return (
+    <div css={{ marginTop: 12 }}>
+      <button
+        type="button"
+        onClick={handleRevert}
+        disabled={loading}
+        css={actionButtonStyle('#dc2626', '#b91c1c', loading)}
+      >
+        {loading ? 'Annulation...' : REVERT_LABELS[entry.operation] || REVERT_LABELS.update}
+      </button>
+      {errorMessage}
+    </div>
+  );
+};
 
 export const Field = ({ field, value }: FieldProps<typeof controller>) => {
   if (!value || typeof value !== 'object') {
-    return <div>Aucun changement</div>;
+    return (
+      <div>
+        <div>Aucun changement</div>
+        <ChangeActions />
+      </div>
+    );
   }
 
   const changes = Array.isArray(value) ? value : [];
 
   if (changes.length === 0) {
-    return <div css={{ color: '#666' }}>Aucun changement de champ</div>;
+    return (
+      <div>
+        <div css={{ color: '#666' }}>Aucun changement de champ</div>
+        <ChangeActions />
+      </div>
+    );
   }
 
   return (
@@ -77,6 +244,7 @@ export const Field = ({ field, value }: FieldProps<typeof controller>) => {
           </div>
         ))}
       </div>
+      <ChangeActions />
     </div>
   );
 };
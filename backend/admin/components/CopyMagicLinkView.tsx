@@ -3,8 +3,27 @@
 import { jsx } from '@keystone-ui/core';
 import { FieldProps } from '@keystone-6/core/types';
 import { controller } from '@keystone-6/core/fields/types/text/views';
+import { gql, useQuery } from '@keystone-6/core/admin-ui/apollo';
+import { useRouter } from '@keystone-6/core/admin-ui/router';
 import { useState } from 'react';
 
+const GET_EDIT_TOKEN_SCOPE = gql`
+  query GetEditTokenScope($id: ID!) {
+    editToken(where: { id: $id }) {
+      id
+      scope
+      dogs {
+        id
+        name
+      }
+      owner {
+        id
+        name
+      }
+    }
+  }
+`;
+
 // Infer frontend URL from admin location
 // If admin is on subdomain (e.g., niche.example.com), frontend is on root domain (example.com)
 const getFrontendUrl = () => {
@@ -24,6 +43,43 @@ const getFrontendUrl = () => {
   return 'http://localhost:8080';
 };
 
+/**
+ * What the link allows, so the admin knows what they're sharing
+ */
+const ScopeSummary = () => {
+  const router = useRouter();
+  const id = router.query.id as string | undefined;
+
+  const { data } = useQuery(GET_EDIT_TOKEN_SCOPE, { variables: { id }, skip: !id });
+
+  const editToken = data?.editToken;
+  if (!editToken) {
+    return null;
+  }
+
+  let summary = '🔓 Peut modifier tous les chiens, humains et photos';
+  let isEmpty = false;
+
+  if (editToken.scope === 'dogs') {
+    const names = editToken.dogs.map((dog: any) => dog.name).join(', ');
+    isEmpty = !names;
+    summary = isEmpty ? '⚠️ Aucun chien choisi : ce lien ne permet rien' : `🐕 Limité à : ${names}`;
+  } else if (editToken.scope === 'owner') {
+    isEmpty = !editToken.owner;
+    summary = isEmpty
+      ? '⚠️ Aucun humain choisi : ce lien ne permet rien'
+      : `🏠 Limité à ${editToken.owner.name} et ses chiens`;
+  } else if (editToken.scope === 'create') {
+    summary = '➕ Ajouts uniquement (aucune modification)';
+  }
+
+  return (
+    <div css={{ marginTop: 8, fontSize: 13, color: isEmpty ? '#b45309' : '#374151' }}>
+      {summary}
+    </div>
+  );
+};
+
 export const Field = ({ field, value }: FieldProps<typeof controller>) => {
   const [copied, setCopied] = useState(false);
 
@@ -98,6 +154,7 @@ export const Field = ({ field, value }: FieldProps<typeof controller>) => {
       }}>
         {magicLink}
       </div>
+      <ScopeSummary />
     </div>
   );
 };
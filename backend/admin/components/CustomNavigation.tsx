@@ -21,6 +21,9 @@ export function CustomNavigation({ lists, authenticatedItem }: NavigationProps)
         <NavItem href="/signin">Se connecter</NavItem>
       ) : (
         <>
+          <NavItem href="/moderation">Modération des médias</NavItem>
+          <NavItem href="/duplicates">Doublons</NavItem>
+          <NavItem href="/trash">Corbeille</NavItem>
           <NavItem href="/notifications">Activer les notifications</NavItem>
           <NavItem href="javascript:void(0)" onClick={handleSignout}>Se déconnecter</NavItem>
         </>
@@ -0,0 +1,86 @@
+/** @jsxRuntime classic */
+/** @jsx jsx */
+import { jsx } from '@keystone-ui/core';
+import { FieldProps } from '@keystone-6/core/types';
+import { controller } from '@keystone-6/core/fields/types/timestamp/views';
+import { gql, useMutation } from '@keystone-6/core/admin-ui/apollo';
+import { useRouter } from '@keystone-6/core/admin-ui/router';
+
+const MOVE_TO_TRASH = gql`
+  mutation MoveToTrash($entityType: String!, $id: ID!) {
+    moveToTrash(entityType: $entityType, id: $id)
+  }
+`;
+
+// Admin list paths of the lists with a trash
+const ENTITY_TYPES: Record<string, string> = {
+  dogs: 'Dog',
+  owners: 'Owner',
+  media: 'Media',
+};
+
+export const Field = ({ field }: FieldProps<typeof controller>) => {
+  const router = useRouter();
+  const id = router.query.id as string | undefined;
+  const listPath = router.asPath.split('/')[1];
+  const entityType = ENTITY_TYPES[listPath];
+
+  const [moveToTrash, { loading, error }] = useMutation(MOVE_TO_TRASH);
+
+  if (!id || !entityType) {
+    return null;
+  }
+
+  const handleClick = async () => {
+    if (!confirm('Mettre à la corbeille ? Il pourra être restauré depuis la page Corbeille.')) {
+      return;
+    }
+
+    try {
+      await moveToTrash({ variables: { entityType, id } });
+      router.push(`/${listPath}`);
+    } catch (err) {
+      console.error('Failed to move to trash:', err);
+    }
+  };
+
+  return (
+    <div>
+      <div css={{ fontSize: 14, fontWeight: 600, marginBottom: 8 }}>{field.label}</div>
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={loading}
+        css={{
+          padding: '8px 16px',
+          backgroundColor: '#dc2626',
+          color: 'white',
+          border: 'none',
+          borderRadius: 6,
+          fontSize: 14,
+          fontWeight: 500,
+          cursor: loading ? 'wait' : 'pointer',
+          opacity: loading ? 0.7 : 1,
+          '&:hover': {
+            backgroundColor: '#b91c1c',
+          },
+        }}
+      >
+        {loading ? 'Mise à la corbeille...' : '🗑️ Mettre à la corbeille'}
+      </button>
+      {field.description && (
+        <div css={{ marginTop: 6, fontSize: 13, color: '#6b7280' }}>{field.description}</div>
+      )}
+      {error && (
+        <div css={{ marginTop: 8, fontSize: 13, color: '#dc2626' }}>{error.message}</div>
+      )}
+    </div>
+  );
+};
+
+// Items in the trash are never listed
+export const Cell = () => null;
+
+export const CardValue = () => null;
+
+export { controller };
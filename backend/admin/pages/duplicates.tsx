@@ -0,0 +1,330 @@
+/** @jsxRuntime classic */
+/** @jsx jsx */
+import { jsx, Heading, Stack } from '@keystone-ui/core';
+import { PageContainer } from '@keystone-6/core/admin-ui/components';
+import { gql, useMutation, useQuery } from '@keystone-6/core/admin-ui/apollo';
+import { useState } from 'react';
+
+// Pairs of dogs and of owners that look like the same one, most likely first
+const GET_DUPLICATES = gql`
+  query GetDuplicates {
+    dogDuplicates {
+      dogIds
+      reasons
+    }
+    ownerDuplicates {
+      ownerIds
+      reasons
+    }
+  }
+`;
+
+const GET_DOGS = gql`
+  query GetDuplicateDogs($ids: [ID!]!) {
+    dogs(where: { id: { in: $ids } }) {
+      id
+      name
+      nicknames
+      status
+      birthday
+      createdAt
+      owners {
+        name
+      }
+      breeds {
+        name
+      }
+      photos {
+        id
+        isFeatured
+        renditions
+        file {
+          url
+        }
+      }
+    }
+  }
+`;
+
+// Moves the duplicate's photos, magic links and history onto the kept dog
+const MERGE_DOGS = gql`
+  mutation MergeDogs($survivorId: ID!, $duplicateId: ID!) {
+    mergeDogs(survivorId: $survivorId, duplicateId: $duplicateId) {
+      id
+      name
+    }
+  }
+`;
+
+const GET_OWNERS = gql`
+  query GetDuplicateOwners($ids: [ID!]!) {
+    owners(where: { id: { in: $ids } }) {
+      id
+      name
+      email
+      phone
+      dogs {
+        name
+      }
+    }
+  }
+`;
+
+// Moves the duplicate's dogs, magic links and history onto the kept owner
+const MERGE_OWNERS = gql`
+  mutation MergeOwners($survivorId: ID!, $duplicateId: ID!) {
+    mergeOwners(survivorId: $survivorId, duplicateId: $duplicateId) {
+      id
+      name
+    }
+  }
+`;
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleDateString('fr-FR') : '';
+
+const buttonStyle = (disabled: boolean) => ({
+  padding: '8px 14px',
+  backgroundColor: '#2563eb',
+  color: 'white',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 14,
+  fontWeight: 500,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  '&:hover': {
+    backgroundColor: disabled ? '#2563eb' : '#1d4ed8',
+  },
+});
+
+function DogSummary({ dog }: { dog: any }) {
+  const photo = dog.photos.find((candidate: any) => candidate.isFeatured) || dog.photos[0];
+  const thumbnail = photo?.renditions?.thumbnail?.jpeg || photo?.file?.url;
+
+  return (
+    <a
+      href={`/dogs/${dog.id}`}
+      css={{ display: 'flex', gap: 12, color: 'inherit', textDecoration: 'none', minWidth: 0 }}
+    >
+      {thumbnail ? (
+        <img
+          src={thumbnail}
+          alt={dog.name}
+          loading="lazy"
+          css={{ width: 80, height: 80, objectFit: 'cover', borderRadius: 6, flexShrink: 0 }}
+        />
+      ) : (
+        <div
+          css={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: 80,
+            height: 80,
+            borderRadius: 6,
+            backgroundColor: '#f3f4f6',
+            fontSize: 32,
+            flexShrink: 0,
+          }}
+        >
+          🐕
+        </div>
+      )}
+      <div css={{ fontSize: 13, lineHeight: 1.5, minWidth: 0 }}>
+        <div css={{ fontSize: 15, fontWeight: 600 }}>
+          {dog.name}
+          {dog.status === 'pending' && <span css={{ color: '#6b7280', fontWeight: 400 }}> (en attente)</span>}
+        </div>
+        {dog.nicknames && <div css={{ color: '#6b7280' }}>Surnoms : {dog.nicknames}</div>}
+        <div>{dog.owners.map((owner: any) => owner.name).join(', ') || 'Sans humain'}</div>
+        {dog.breeds.length > 0 && <div>{dog.breeds.map((breed: any) => breed.name).join(', ')}</div>}
+        <div css={{ color: '#6b7280' }}>
+          {dog.photos.length} média(s){dog.createdAt ? ` · ajouté le ${formatDate(dog.createdAt)}` : ''}
+        </div>
+      </div>
+    </a>
+  );
+}
+
+function OwnerSummary({ owner }: { owner: any }) {
+  return (
+    <a
+      href={`/owners/${owner.id}`}
+      css={{ display: 'block', color: 'inherit', textDecoration: 'none', fontSize: 13, lineHeight: 1.5, minWidth: 0 }}
+    >
+      <div css={{ fontSize: 15, fontWeight: 600 }}>{owner.name}</div>
+      {owner.email && <div>{owner.email}</div>}
+      {owner.phone && <div>{owner.phone}</div>}
+      <div css={{ color: '#6b7280' }}>
+        {owner.dogs.length > 0 ? owner.dogs.map((dog: any) => dog.name).join(', ') : 'Aucun chien'}
+      </div>
+    </a>
+  );
+}
+
+/**
+ * A pair of duplicates side by side, with a button to keep either one
+ */
+function PairCard({ pair, items, busy, onMerge, renderSummary }: {
+  pair: any;
+  items: any[];
+  busy: boolean;
+  onMerge: (survivor: any, duplicate: any) => void;
+  renderSummary: (item: any) => any;
+}) {
+  const [first, second] = items;
+  if (!first || !second) return null;
+
+  return (
+    <div css={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: 16 }}>
+      <div css={{ fontSize: 13, color: '#b45309', marginBottom: 12 }}>
+        {pair.reasons.join(' · ')}
+      </div>
+      <div css={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: 16 }}>
+        {[[first, second], [second, first]].map(([survivor, duplicate]) => (
+          <div key={survivor.id} css={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+            {renderSummary(survivor)}
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => onMerge(survivor, duplicate)}
+              css={buttonStyle(busy)}
+            >
+              Garder {survivor.name}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function DuplicatesPage() {
+  const { data, loading, refetch } = useQuery(GET_DUPLICATES, { fetchPolicy: 'network-only' });
+  const pairs: any[] = data?.dogDuplicates || [];
+  const ownerPairs: any[] = data?.ownerDuplicates || [];
+  const ids = Array.from(new Set(pairs.flatMap(pair => pair.dogIds)));
+  const ownerIds = Array.from(new Set(ownerPairs.flatMap(pair => pair.ownerIds)));
+
+  const { data: dogData, refetch: refetchDogs } = useQuery(GET_DOGS, {
+    variables: { ids },
+    skip: ids.length === 0,
+    fetchPolicy: 'network-only',
+  });
+  const { data: ownerData, refetch: refetchOwners } = useQuery(GET_OWNERS, {
+    variables: { ids: ownerIds },
+    skip: ownerIds.length === 0,
+    fetchPolicy: 'network-only',
+  });
+  const [mergeDogs, mergeState] = useMutation(MERGE_DOGS);
+  const [mergeOwners, mergeOwnersState] = useMutation(MERGE_OWNERS);
+  const [message, setMessage] = useState('');
+
+  const dogsById: Record<string, any> = {};
+  (dogData?.dogs || []).forEach((dog: any) => {
+    dogsById[dog.id] = dog;
+  });
+  const ownersById: Record<string, any> = {};
+  (ownerData?.owners || []).forEach((owner: any) => {
+    ownersById[owner.id] = owner;
+  });
+
+  const mergeDog = async (survivor: any, duplicate: any) => {
+    if (!confirm(
+      `Fusionner "${duplicate.name}" dans "${survivor.name}" ?\n\n` +
+      `Les photos et liens magiques de "${duplicate.name}" passeront à "${survivor.name}", ` +
+      `puis "${duplicate.name}" sera mis à la corbeille.`
+    )) {
+      return;
+    }
+
+    try {
+      await mergeDogs({ variables: { survivorId: survivor.id, duplicateId: duplicate.id } });
+      setMessage(`✅ "${duplicate.name}" fusionné dans "${survivor.name}"`);
+      await refetch();
+      await refetchDogs();
+    } catch (error: any) {
+      console.error('Error merging dogs:', error);
+      setMessage(`❌ Erreur: ${error.message}`);
+    }
+  };
+
+  const mergeOwner = async (survivor: any, duplicate: any) => {
+    if (!confirm(
+      `Fusionner "${duplicate.name}" dans "${survivor.name}" ?\n\n` +
+      `Les chiens, liens magiques et coordonnées de "${duplicate.name}" passeront à "${survivor.name}", ` +
+      `puis "${duplicate.name}" sera mis à la corbeille.`
+    )) {
+      return;
+    }
+
+    try {
+      await mergeOwners({ variables: { survivorId: survivor.id, duplicateId: duplicate.id } });
+      setMessage(`✅ "${duplicate.name}" fusionné dans "${survivor.name}"`);
+      await refetch();
+      await refetchOwners();
+    } catch (error: any) {
+      console.error('Error merging owners:', error);
+      setMessage(`❌ Erreur: ${error.message}`);
+    }
+  };
+
+  const busy = mergeState.loading || mergeOwnersState.loading;
+
+  return (
+    <PageContainer header={<Heading type="h3">Doublons</Heading>}>
+      <Stack gap="large">
+        {message && <div css={{ fontSize: 14 }}>{message}</div>}
+
+        {loading && <div>Chargement...</div>}
+
+        <Heading type="h4">Chiens</Heading>
+        <div css={{ fontSize: 13, color: '#6b7280' }}>
+          Chiens au nom proche qui partagent leur humain ou une race, ou avec une photo presque identique.
+          Fusionner garde un des deux chiens et lui donne les photos, liens magiques, historique et
+          informations manquantes de l'autre (son nom devient un surnom). La fusion s'annule depuis
+          l'historique, en annulant la suppression du doublon.
+        </div>
+
+        {!loading && pairs.length === 0 && (
+          <div css={{ color: '#6b7280' }}>🎉 Aucun doublon probable</div>
+        )}
+
+        {pairs.map(pair => (
+          <PairCard
+            key={pair.dogIds.join('-')}
+            pair={pair}
+            items={pair.dogIds.map((id: string) => dogsById[id])}
+            busy={busy}
+            onMerge={mergeDog}
+            renderSummary={dog => <DogSummary dog={dog} />}
+          />
+        ))}
+
+        <Heading type="h4">Humains</Heading>
+        <div css={{ fontSize: 13, color: '#6b7280' }}>
+          Humains au nom compatible ("Marie", "Marie D." et "Marie Dupont") ou avec le même email ou
+          téléphone. Fusionner garde un des deux humains et lui donne les chiens, liens magiques,
+          historique et coordonnées de l'autre. La fusion s'annule depuis l'historique, en annulant la
+          suppression du doublon.
+        </div>
+
+        {!loading && ownerPairs.length === 0 && (
+          <div css={{ color: '#6b7280' }}>🎉 Aucun doublon probable</div>
+        )}
+
+        {ownerPairs.map(pair => (
+          <PairCard
+            key={pair.ownerIds.join('-')}
+            pair={pair}
+            items={pair.ownerIds.map((id: string) => ownersById[id])}
+            busy={busy}
+            onMerge={mergeOwner}
+            renderSummary={owner => <OwnerSummary owner={owner} />}
+          />
+        ))}
+      </Stack>
+    </PageContainer>
+  );
+}
@@ -0,0 +1,299 @@
+/** @jsxRuntime classic */
+/** @jsx jsx */
+import { jsx, Heading, Stack } from '@keystone-ui/core';
+import { PageContainer } from '@keystone-6/core/admin-ui/components';
+import { gql, useMutation, useQuery } from '@keystone-6/core/admin-ui/apollo';
+import { useState, useEffect, useCallback } from 'react';
+
+// Pending media, oldest first
+const GET_PENDING_MEDIA = gql`
+  query GetPendingMedia {
+    mediaItems(where: { status: { equals: pending } }, orderBy: { uploadedAt: asc }) {
+      id
+      name
+      type
+      videoUrl
+      uploadedAt
+      renditions
+      file {
+        url
+      }
+      dog {
+        id
+        name
+      }
+    }
+  }
+`;
+
+// Upload entries, for the magic link label of whoever uploaded each media
+const GET_UPLOAD_LOGS = gql`
+  query GetUploadLogs($ids: [String!]!) {
+    changeLogs(where: {
+      entityType: { equals: Media }
+      operation: { equals: create }
+      entityId: { in: $ids }
+    }) {
+      entityId
+      changedBy
+      changedByLabel
+    }
+  }
+`;
+
+// Media hooks settle the matching ChangeLog entries
+const MODERATE_MEDIA = gql`
+  mutation ModerateMedia($data: [MediaUpdateArgs!]!) {
+    updateMediaItems(data: $data) {
+      id
+      status
+    }
+  }
+`;
+
+const formatDate = (value: string | null) =>
+  value
+    ? new Date(value).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })
+    : '';
+
+const uploaderLabel = (log: any) => {
+  if (!log) return 'Inconnu';
+  if (log.changedBy === 'magic') return log.changedByLabel || 'Lien magique';
+  if (log.changedBy === 'admin') return log.changedByLabel || 'Admin';
+  return 'Public';
+};
+
+const buttonStyle = (color: string, hoverColor: string, disabled: boolean) => ({
+  padding: '10px 18px',
+  backgroundColor: color,
+  color: 'white',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 15,
+  fontWeight: 500,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  '&:hover': {
+    backgroundColor: disabled ? color : hoverColor,
+  },
+});
+
+export default function ModerationPage() {
+  const { data, loading, refetch } = useQuery(GET_PENDING_MEDIA, { fetchPolicy: 'network-only' });
+  const mediaItems: any[] = data?.mediaItems || [];
+  const ids = mediaItems.map(media => media.id);
+
+  const { data: logData } = useQuery(GET_UPLOAD_LOGS, { variables: { ids }, skip: ids.length === 0 });
+  const [moderate, moderateState] = useMutation(MODERATE_MEDIA);
+
+  const [selected, setSelected] = useState<string[]>([]);
+  const [focused, setFocused] = useState(0);
+  const [message, setMessage] = useState('');
+
+  const logsByMedia: Record<string, any> = {};
+  (logData?.changeLogs || []).forEach((log: any) => {
+    logsByMedia[log.entityId] = log;
+  });
+
+  const toggle = (id: string) => {
+    setSelected(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id]));
+  };
+
+  // Acts on the selection, or on the focused media when nothing is selected
+  const applyStatus = useCallback(async (status: 'approved' | 'rejected') => {
+    const targets = selected.length > 0 ? selected : ids.slice(focused, focused + 1);
+    if (targets.length === 0 || moderateState.loading) return;
+
+    try {
+      await moderate({
+        variables: { data: targets.map(id => ({ where: { id }, data: { status } })) },
+      });
+      setMessage(`${status === 'approved' ? '✅' : '❌'} ${targets.length} média(s) ${status === 'approved' ? 'approuvé(s)' : 'rejeté(s)'}`);
+      setSelected([]);
+      await refetch();
+    } catch (error: any) {
+      console.error('Error moderating media:', error);
+      setMessage(`❌ Erreur: ${error.message}`);
+    }
+  }, [selected, ids, focused, moderate, moderateState.loading, refetch]);
+
+  // Keep the focus on an existing card once items are moderated
+  useEffect(() => {
+    if (focused > 0 && focused >= mediaItems.length) {
+      setFocused(Math.max(0, mediaItems.length - 1));
+    }
+  }, [focused, mediaItems.length]);
+
+  useEffect(() => {
+    const handleKey = (event: KeyboardEvent) => {
+      if (event.target instanceof HTMLInputElement || event.metaKey || event.ctrlKey || event.altKey) {
+        return;
+      }
+
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'j':
+          setFocused(current => Math.min(current + 1, mediaItems.length - 1));
+          break;
+        case 'ArrowLeft':
+        case 'k':
+          setFocused(current => Math.max(current - 1, 0));
+          break;
+        case ' ':
+        case 'x':
+          if (ids[focused]) toggle(ids[focused]);
+          break;
+        case 't':
+          setSelected(selected.length === ids.length ? [] : ids);
+          break;
+        case 'a':
+          applyStatus('approved');
+          break;
+        case 'r':
+          applyStatus('rejected');
+          break;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [ids, focused, selected, mediaItems.length, applyStatus]);
+
+  const busy = moderateState.loading;
+  const actionLabel = selected.length > 0 ? `la sélection (${selected.length})` : 'le média actif';
+
+  return (
+    <PageContainer header={<Heading type="h3">Modération des médias</Heading>}>
+      <Stack gap="large">
+        <div css={{ fontSize: 13, color: '#6b7280' }}>
+          Raccourcis : ←/→ ou j/k pour naviguer, Espace ou x pour sélectionner, t pour tout sélectionner,
+          a pour approuver, r pour rejeter.
+        </div>
+
+        <div
+          css={{
+            position: 'sticky',
+            top: 0,
+            zIndex: 1,
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: 8,
+            padding: '8px 0',
+            backgroundColor: 'white',
+          }}
+        >
+          <button
+            type="button"
+            disabled={busy || ids.length === 0}
+            onClick={() => applyStatus('approved')}
+            css={buttonStyle('#16a34a', '#15803d', busy || ids.length === 0)}
+          >
+            ✅ Approuver {actionLabel}
+          </button>
+          <button
+            type="button"
+            disabled={busy || ids.length === 0}
+            onClick={() => applyStatus('rejected')}
+            css={buttonStyle('#dc2626', '#b91c1c', busy || ids.length === 0)}
+          >
+            ❌ Rejeter {actionLabel}
+          </button>
+          <button
+            type="button"
+            disabled={ids.length === 0}
+            onClick={() => setSelected(selected.length === ids.length ? [] : ids)}
+            css={buttonStyle('#6b7280', '#4b5563', ids.length === 0)}
+          >
+            {selected.length === ids.length && ids.length > 0 ? 'Tout désélectionner' : 'Tout sélectionner'}
+          </button>
+          {message && <span css={{ fontSize: 14 }}>{message}</span>}
+        </div>
+
+        {loading && <div>Chargement...</div>}
+
+        {!loading && mediaItems.length === 0 && (
+          <div css={{ color: '#6b7280' }}>🎉 Aucun média en attente de validation</div>
+        )}
+
+        <div
+          css={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))',
+            gap: 12,
+          }}
+        >
+          {mediaItems.map((media, index) => {
+            const isSelected = selected.includes(media.id);
+            const isFocused = index === focused;
+            const thumbnail = media.renditions?.thumbnail?.jpeg || media.file?.url;
+
+            return (
+              <div key={media.id} css={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setFocused(index);
+                    toggle(media.id);
+                  }}
+                  aria-pressed={isSelected}
+                  css={{
+                    display: 'flex',
+                    flexDirection: 'column',
+                    padding: 0,
+                    textAlign: 'left',
+                    backgroundColor: isSelected ? '#eff6ff' : 'white',
+                    border: `3px solid ${isSelected ? '#2563eb' : isFocused ? '#9ca3af' : '#e5e7eb'}`,
+                    borderRadius: 8,
+                    overflow: 'hidden',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {media.type === 'video' ? (
+                    <div
+                      css={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        aspectRatio: '1',
+                        width: '100%',
+                        backgroundColor: '#111827',
+                        color: 'white',
+                        fontSize: 32,
+                      }}
+                    >
+                      ▶
+                    </div>
+                  ) : (
+                    <img
+                      src={thumbnail}
+                      alt={media.name || media.dog?.name || ''}
+                      loading="lazy"
+                      css={{ display: 'block', width: '100%', aspectRatio: '1', objectFit: 'cover' }}
+                    />
+                  )}
+                  <div css={{ padding: 8, fontSize: 13, lineHeight: 1.4 }}>
+                    <div css={{ fontWeight: 600 }}>
+                      {isSelected ? '☑️ ' : ''}{media.dog?.name || 'Sans chien'}
+                    </div>
+                    <div css={{ color: '#6b7280' }}>{uploaderLabel(logsByMedia[media.id])}</div>
+                    <div css={{ color: '#6b7280' }}>{formatDate(media.uploadedAt)}</div>
+                  </div>
+                </button>
+                {media.type === 'video' && media.videoUrl && (
+                  <a href={media.videoUrl} target="_blank" rel="noopener noreferrer" css={{ fontSize: 13 }}>
+                    Voir la vidéo ↗
+                  </a>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </Stack>
+    </PageContainer>
+  );
+}
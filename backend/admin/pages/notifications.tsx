@@ -152,6 +152,10 @@ export default function NotificationsPage() {
       <Stack gap="large">
         <div>
           <p>Gérez vos notifications push pour être informé des événements importants.</p>
+          <p css={{ fontSize: '14px', color: '#6b7280' }}>
+            Vous pouvez aussi recevoir ces notifications par email (utile si votre navigateur ne gère pas le push) :
+            activez ou désactivez chaque canal depuis votre profil dans la liste des utilisateurs.
+          </p>
         </div>
 
         <div>
@@ -206,6 +210,8 @@ export default function NotificationsPage() {
             <li>📸 Nouvelle photo uploadée</li>
             <li>🐕 Chien modifié par un utilisateur</li>
             <li>➕ Nouveau chien ajouté</li>
+            <li>⏳ Média en attente de validation</li>
+            <li>🔒 Lien magique désactivé (quota dépassé)</li>
           </ul>
         </div>
 
@@ -0,0 +1,163 @@
+/** @jsxRuntime classic */
+/** @jsx jsx */
+import { jsx, Heading, Stack } from '@keystone-ui/core';
+import { PageContainer } from '@keystone-6/core/admin-ui/components';
+import { gql, useMutation, useQuery } from '@keystone-6/core/admin-ui/apollo';
+import { useState } from 'react';
+
+const GET_TRASH = gql`
+  query GetTrash {
+    trash {
+      entityType
+      id
+      name
+      detail
+      thumbnailUrl
+      deletedAt
+      purgeAt
+    }
+  }
+`;
+
+const RESTORE_FROM_TRASH = gql`
+  mutation RestoreFromTrash($entityType: String!, $id: ID!) {
+    restoreFromTrash(entityType: $entityType, id: $id)
+  }
+`;
+
+// Deletes the item for good, with its image files
+const PURGE_FROM_TRASH = gql`
+  mutation PurgeFromTrash($entityType: String!, $id: ID!) {
+    purgeFromTrash(entityType: $entityType, id: $id)
+  }
+`;
+
+const ENTITY_LABELS: Record<string, string> = {
+  Dog: '🐕 Chien',
+  Owner: '👤 Humain',
+  Media: '🖼️ Média',
+};
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString('fr-FR');
+
+const buttonStyle = (color: string, hoverColor: string, disabled: boolean) => ({
+  padding: '8px 14px',
+  backgroundColor: color,
+  color: 'white',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 14,
+  fontWeight: 500,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1,
+  '&:hover': {
+    backgroundColor: disabled ? color : hoverColor,
+  },
+});
+
+export default function TrashPage() {
+  const { data, loading, refetch } = useQuery(GET_TRASH, { fetchPolicy: 'network-only' });
+  const [restore, restoreState] = useMutation(RESTORE_FROM_TRASH);
+  const [purge, purgeState] = useMutation(PURGE_FROM_TRASH);
+  const [message, setMessage] = useState('');
+
+  const items: any[] = data?.trash || [];
+  const busy = restoreState.loading || purgeState.loading;
+
+  const handleRestore = async (item: any) => {
+    try {
+      await restore({ variables: { entityType: item.entityType, id: item.id } });
+      setMessage(`✅ "${item.name}" restauré`);
+      await refetch();
+    } catch (error: any) {
+      console.error('Error restoring from trash:', error);
+      setMessage(`❌ Erreur: ${error.message}`);
+    }
+  };
+
+  const handlePurge = async (item: any) => {
+    if (!confirm(`Supprimer définitivement "${item.name}" ?\n\nLes fichiers des photos seront effacés, cela ne pourra pas être annulé.`)) {
+      return;
+    }
+
+    try {
+      await purge({ variables: { entityType: item.entityType, id: item.id } });
+      setMessage(`🗑️ "${item.name}" supprimé définitivement`);
+      await refetch();
+    } catch (error: any) {
+      console.error('Error purging from trash:', error);
+      setMessage(`❌ Erreur: ${error.message}`);
+    }
+  };
+
+  return (
+    <PageContainer header={<Heading type="h3">Corbeille</Heading>}>
+      <Stack gap="large">
+        <div css={{ fontSize: 13, color: '#6b7280' }}>
+          Les chiens, humains et médias mis à la corbeille n'apparaissent plus nulle part. Restaurés, ils
+          retrouvent leurs liens (un chien revient avec ses photos). Passé le délai choisi dans les
+          paramètres, ils sont supprimés définitivement, fichiers des photos compris.
+        </div>
+
+        {message && <div css={{ fontSize: 14 }}>{message}</div>}
+
+        {loading && <div>Chargement...</div>}
+
+        {!loading && items.length === 0 && (
+          <div css={{ color: '#6b7280' }}>🎉 La corbeille est vide</div>
+        )}
+
+        {items.map(item => (
+          <div
+            key={`${item.entityType}-${item.id}`}
+            css={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 16,
+              border: '1px solid #e5e7eb',
+              borderRadius: 8,
+              padding: 12,
+              flexWrap: 'wrap',
+            }}
+          >
+            {item.thumbnailUrl && (
+              <img
+                src={item.thumbnailUrl}
+                alt={item.name}
+                loading="lazy"
+                css={{ width: 64, height: 64, objectFit: 'cover', borderRadius: 6, flexShrink: 0 }}
+              />
+            )}
+            <div css={{ flex: 1, minWidth: 200, fontSize: 13, lineHeight: 1.5 }}>
+              <div css={{ fontSize: 15, fontWeight: 600 }}>
+                {ENTITY_LABELS[item.entityType]} · {item.name}
+              </div>
+              <div>{item.detail}</div>
+              <div css={{ color: '#6b7280' }}>
+                Mis à la corbeille le {formatDate(item.deletedAt)} · suppression définitive le {formatDate(item.purgeAt)}
+              </div>
+            </div>
+            <div css={{ display: 'flex', gap: 8 }}>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => handleRestore(item)}
+                css={buttonStyle('#16a34a', '#15803d', busy)}
+              >
+                ♻️ Restaurer
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => handlePurge(item)}
+                css={buttonStyle('#dc2626', '#b91c1c', busy)}
+              >
+                Supprimer définitivement
+              </button>
+            </div>
+          </div>
+        ))}
+      </Stack>
+    </PageContainer>
+  );
+}
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { QUOTA_FIELDS, consumeTokenQuota } from './quotas';
 
 /**
  * Access control helpers for Keystone
@@ -7,6 +8,61 @@ import crypto from 'crypto';
 // Check if user is authenticated (admin)
 export const isAuthenticated = ({ session }: any) => !!session;
 
+/**
+ * What a magic link may edit
+ * - all: every dog, owner and media (default)
+ * - dogs: the chosen dogs and their media
+ * - owner: one owner, their dogs and their media; may add dogs for that owner
+ * - create: add dogs and owners, and media to the dogs it added, but never modify existing ones
+ */
+export type MagicTokenScope = {
+  type: 'all' | 'dogs' | 'owner' | 'create';
+  dogIds: string[];
+  ownerId: string | null;
+};
+
+/**
+ * Find an active, unexpired edit token with its scope
+ * Uses prisma directly (bypasses access control): EditToken requires
+ * authentication to query, but we need to validate the token before that
+ */
+async function findActiveEditToken(token: string, context: any) {
+  const editToken = await context.prisma.editToken.findUnique({
+    where: { token },
+    select: {
+      id: true,
+      label: true,
+      isActive: true,
+      expiresAt: true,
+      usageCount: true,
+      scope: true,
+      ownerId: true,
+      dogs: { select: { id: true } },
+      ...QUOTA_FIELDS,
+    },
+  });
+
+  if (!editToken) return null;
+  if (!editToken.isActive) return null;
+
+  // Check expiration
+  if (editToken.expiresAt) {
+    const now = new Date();
+    const expires = new Date(editToken.expiresAt);
+    if (now > expires) return null;
+  }
+
+  return editToken;
+}
+
+function getTokenScope(editToken: any): MagicTokenScope {
+  return {
+    type: editToken.scope || 'all',
+    dogIds: (editToken.dogs || []).map((dog: any) => dog.id),
+    ownerId: editToken.ownerId || null,
+  };
+}
+
 /**
  * Check if request has a valid magic edit token
  * Validates token from cookie and stores token info in context
@@ -15,53 +71,190 @@ export const hasValidEditToken = async ({ context }: any) => {
   // Admins always have access
   if (context.session) return true;
 
+  // Already validated (and counted) for this request
+  if (context.magicToken) return true;
+
   // Check for magic token in cookie
   const token = context.req?.cookies?.magicToken;
   if (!token) return false;
 
-  // Validate token using prisma directly (bypasses access control)
-  // This is necessary because EditToken requires authentication to query,
-  // but we need to validate the token before the user is authenticated
-  const editToken = await context.prisma.editToken.findUnique({
-    where: { token },
-    select: { id: true, label: true, isActive: true, expiresAt: true, usageCount: true },
-  });
-
+  const editToken = await findActiveEditToken(token, context);
   if (!editToken) return false;
-  if (!editToken.isActive) return false;
 
-  // Check expiration
-  if (editToken.expiresAt) {
-    const now = new Date();
-    const expires = new Date(editToken.expiresAt);
-    if (now > expires) return false;
+  // Update last used timestamp and usage counters, deactivating the token over quota
+  // A failing check denies access: quotas must hold even when the database doesn't answer
+  try {
+    if (!(await consumeTokenQuota(context, editToken))) return false;
+  } catch (err) {
+    console.error('Failed to update token usage:', err);
+    return false;
   }
 
-  // Update last used timestamp and increment usage count
-  // Do this in background, don't block the request
-  context.prisma.editToken.update({
-    where: { id: editToken.id },
-    data: {
-      lastUsedAt: new Date(),
-      usageCount: editToken.usageCount + 1,
-    },
-  }).catch((err: any) => console.error('Failed to update token usage:', err));
-
-  // Store token info in context for change logging
+  // Store token info in context for change logging and scope checks
   context.magicToken = {
     id: editToken.id,
     label: editToken.label,
+    scope: getTokenScope(editToken),
   };
 
   return true;
 };
 
 /**
- * Get the source of the change (admin, magic, or public)
+ * Scope of the magic token used for this request (operation access runs first)
+ * Admins are unrestricted
+ */
+function getRequestScope(context: any): MagicTokenScope | null {
+  if (context.session) return null;
+  return context.magicToken?.scope || null;
+}
+
+/**
+ * Check if a scoped magic token may edit a dog (and its media)
+ */
+async function canEditDog(scope: MagicTokenScope, dogId: string | undefined, context: any): Promise<boolean> {
+  if (scope.type === 'all') return true;
+  if (!dogId) return false;
+  if (scope.type === 'dogs') return scope.dogIds.includes(dogId);
+  if (scope.type !== 'owner' || !scope.ownerId) return false;
+
+  const dog = await context.prisma.dog.findFirst({
+    where: { id: dogId, owners: { some: { id: scope.ownerId } } },
+    select: { id: true },
+  });
+
+  return !!dog;
+}
+
+/**
+ * Check that a relationship input only connects to an allowed id
+ */
+async function connectsOnlyTo(input: any, allowed: (id: string) => boolean | Promise<boolean>): Promise<boolean> {
+  if (!input) return true;
+  if (input.create) return false;
+  return input.connect?.id ? allowed(input.connect.id) : true;
+}
+
+/**
+ * Check that a many relationship input only connects to allowed ids and keeps a required one
+ */
+function connectsManyOnlyTo(input: any, allowed: (id: string) => boolean, keptId: string): boolean {
+  if (!input) return true;
+  if (input.create?.length) return false;
+  if ((input.disconnect || []).some((related: any) => related.id === keptId)) return false;
+  if (input.set && !input.set.some((related: any) => related.id === keptId)) return false;
+
+  return [...(input.connect || []), ...(input.set || [])].every((related: any) => allowed(related.id));
+}
+
+/**
+ * Item-level access for dogs
+ * Owner-scoped tokens can only add dogs to (and keep dogs with) their owner
+ */
+export const dogItemAccess = {
+  create: async ({ context, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope || scope.type === 'all') return true;
+
+    // Moving media from other dogs isn't allowed through a scoped link
+    if (inputData.photos) return false;
+
+    if (scope.type === 'create') return true;
+    if (scope.type !== 'owner' || !scope.ownerId) return false;
+
+    const isScopeOwner = (id: string) => id === scope.ownerId;
+    return (inputData.owners?.connect || []).some((owner: any) => isScopeOwner(owner.id)) &&
+      connectsManyOnlyTo(inputData.owners, isScopeOwner, scope.ownerId) &&
+      connectsOnlyTo(inputData.primaryOwner, isScopeOwner);
+  },
+  update: async ({ context, item, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope) return true;
+    if (!(await canEditDog(scope, item.id, context))) return false;
+
+    // Moving media from other dogs isn't allowed through a scoped link
+    if (scope.type !== 'all' && inputData.photos) return false;
+
+    if (scope.type !== 'owner' || !scope.ownerId) return true;
+
+    // Co-owners are added by admins: the link keeps its owner and the dog's other owners at most
+    const dog = await context.prisma.dog.findUnique({
+      where: { id: item.id },
+      select: { owners: { select: { id: true } } },
+    });
+    const ownerIds = (dog?.owners || []).map((owner: any) => owner.id);
+    const isOwner = (id: string) => id === scope.ownerId || ownerIds.includes(id);
+
+    return connectsManyOnlyTo(inputData.owners, isOwner, scope.ownerId) &&
+      connectsOnlyTo(inputData.primaryOwner, isOwner);
+  },
+};
+
+/**
+ * Item-level access for owners
+ */
+export const ownerItemAccess = {
+  create: async ({ context, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope || scope.type === 'all') return true;
+
+    // Dogs are given their owners from the dog side, where their own scope applies
+    return scope.type === 'create' && !inputData.dogs;
+  },
+  update: async ({ context, item, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope || scope.type === 'all') return true;
+
+    // Dogs are reassigned from the dog side, where their own scope applies
+    return scope.type === 'owner' && !!scope.ownerId && item.id === scope.ownerId && !inputData.dogs;
+  },
+};
+
+/**
+ * Item-level access for media (uploads, videos and featured photo changes)
+ */
+export const mediaItemAccess = {
+  create: async ({ context, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope || scope.type === 'all') return true;
+
+    // Create-only links add media to the dogs they added, never to existing ones
+    const canAddTo = scope.type === 'create'
+      ? (id: string) => scope.dogIds.includes(id)
+      : (id: string) => canEditDog(scope, id, context);
+    return !!inputData.dog?.connect && connectsOnlyTo(inputData.dog, canAddTo);
+  },
+  update: async ({ context, item, inputData }: any) => {
+    const scope = getRequestScope(context);
+    if (!scope) return true;
+    if (!(await canEditDog(scope, item.dogId, context))) return false;
+
+    return connectsOnlyTo(inputData.dog, id => canEditDog(scope, id, context));
+  },
+};
+
+/**
+ * Let a create-only link add media to a dog it just added
+ * The dog joins the link's dogs, which that scope doesn't use otherwise
+ */
+export async function rememberCreatedDog(context: any, dogId: string): Promise<void> {
+  const magicToken = context.magicToken;
+  if (context.session || magicToken?.scope.type !== 'create') return;
+
+  await context.prisma.editToken.update({
+    where: { id: magicToken.id },
+    data: { dogs: { connect: { id: dogId } } },
+  });
+  magicToken.scope.dogIds.push(dogId);
+}
+
+/**
+ * Get the source of the change (admin, magic, public or system)
  */
 export const getChangedBySource = (context: any): string => {
   if (context.session) return 'admin';
   if (context.magicToken) return 'magic';
+  if (!context.req) return 'system'; // Scheduled jobs (trash purge)
   return 'public';
 };
 
@@ -75,24 +268,24 @@ export const getChangedByLabel = (context: any): string | undefined => {
 };
 
 /**
- * Validate a magic token (for frontend validation endpoint)
+ * Magic token of a request, without counting it as a use of the link
+ * For requests that don't edit anything (e.g. push subscriptions)
  */
-export const validateMagicToken = async (token: string, context: any): Promise<boolean> => {
-  if (!token) return false;
-
-  const editToken = await context.prisma.editToken.findUnique({
-    where: { token },
-    select: { isActive: true, expiresAt: true },
-  });
+export const findRequestEditToken = async (context: any): Promise<{ id: string; label: string; scope: MagicTokenScope } | null> => {
+  const token = context.req?.cookies?.magicToken;
+  if (!token) return null;
 
-  if (!editToken) return false;
-  if (!editToken.isActive) return false;
+  const editToken = await findActiveEditToken(token, context);
+  return editToken ? { id: editToken.id, label: editToken.label, scope: getTokenScope(editToken) } : null;
+};
 
-  if (editToken.expiresAt) {
-    const now = new Date();
-    const expires = new Date(editToken.expiresAt);
-    if (now > expires) return false;
-  }
+/**
+ * Validate a magic token (for frontend validation endpoint)
+ * Returns the token scope so the frontend only shows the edit controls it may use
+ */
+export const validateMagicToken = async (token: string, context: any): Promise<MagicTokenScope | null> => {
+  if (!token) return null;
 
-  return true;
+  const editToken = await findActiveEditToken(token, context);
+  return editToken ? getTokenScope(editToken) : null;
 };
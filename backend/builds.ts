@@ -0,0 +1,364 @@
+/**
+ * Frontend Build Scheduler
+ * Coalesces data changes into a single frontend rebuild instead of calling the
+ * build webhook on every mutation. Builds are recorded in the FrontendBuild list:
+ * pending (collecting changes) → running (webhook called) → succeeded / failed.
+ *
+ * With FRONTEND_BUILD_CALLBACK_SECRET set, a build stays running until the host
+ * reports the deploy result (Netlify deploy notifications); otherwise it succeeds
+ * as soon as the webhook accepts it.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Changes made within this window (from the first one) share a single build
+ */
+const DEBOUNCE_SECONDS = Number(process.env.FRONTEND_BUILD_DEBOUNCE_SECONDS || 60);
+
+/**
+ * Delay before each retry of a failed build, no more retries after the last one
+ */
+const RETRY_DELAYS_SECONDS = [60, 5 * 60, 15 * 60];
+
+/**
+ * A running build without deploy notification after this long is considered failed
+ */
+const RUNNING_TIMEOUT_MINUTES = 20;
+
+/**
+ * Reasons are kept for the admin UI, trimmed to keep the row readable
+ */
+const MAX_REASONS = 20;
+
+/**
+ * Ages and birthday tags are computed when the site is built: it is rebuilt every
+ * night at midnight in the site's timezone (also used by the frontend build)
+ */
+const SITE_TIMEZONE = process.env.SITE_TIMEZONE || 'Europe/Paris';
+
+let prisma: any = null;
+let timer: NodeJS.Timeout | null = null;
+let nightlyTimer: NodeJS.Timeout | null = null;
+let queue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Run scheduler steps one at a time (mutations can schedule builds concurrently)
+ */
+function serialize<T>(step: () => Promise<T>): Promise<T> {
+  const run = queue.then(step, step);
+  queue = run.catch(() => undefined);
+  return run;
+}
+
+function isEnabled(): boolean {
+  return !!process.env.FRONTEND_BUILD_HOOK_URL;
+}
+
+function reportsDeploys(): boolean {
+  return !!process.env.FRONTEND_BUILD_CALLBACK_SECRET;
+}
+
+function secondsFromNow(seconds: number): Date {
+  return new Date(Date.now() + seconds * 1000);
+}
+
+function armTimer(at: Date): void {
+  if (timer) {
+    clearTimeout(timer);
+  }
+
+  timer = setTimeout(() => {
+    timer = null;
+    serialize(runDueBuilds).catch(error => console.error('Error running frontend build:', error));
+  }, Math.max(0, at.getTime() - Date.now()));
+
+  timer.unref();
+}
+
+/**
+ * Schedule a frontend rebuild for a data change
+ * Joins the pending build if there is one, otherwise starts a new debounce window.
+ */
+export async function scheduleFrontendBuild(context: any, reason: string): Promise<void> {
+  if (!isEnabled()) {
+    return;
+  }
+
+  prisma = context.prisma;
+
+  try {
+    await serialize(async () => {
+      const pending = await prisma.frontendBuild.findFirst({
+        where: { status: 'pending' },
+        orderBy: { scheduledFor: 'asc' },
+      });
+
+      if (pending) {
+        const reasons = pending.reason ? pending.reason.split('\n') : [];
+        if (!reasons.includes(reason) && reasons.length < MAX_REASONS) {
+          reasons.push(reason);
+        }
+
+        await prisma.frontendBuild.update({
+          where: { id: pending.id },
+          data: { reason: reasons.join('\n'), changeCount: (pending.changeCount || 0) + 1 },
+        });
+        return;
+      }
+
+      const build = await prisma.frontendBuild.create({
+        data: {
+          status: 'pending',
+          reason,
+          changeCount: 1,
+          requestedAt: new Date(),
+          scheduledFor: secondsFromNow(DEBOUNCE_SECONDS),
+        },
+      });
+
+      // Don't cut short a running build's timeout check
+      const running = await prisma.frontendBuild.findFirst({ where: { status: 'running' } });
+      if (!running) {
+        armTimer(build.scheduledFor);
+      }
+    });
+  } catch (error) {
+    console.error('Error scheduling frontend build:', error);
+  }
+}
+
+/**
+ * Start the next due build, unless one is still running
+ */
+async function runDueBuilds(): Promise<void> {
+  const running = await prisma.frontendBuild.findFirst({ where: { status: 'running' } });
+
+  if (running) {
+    const timeoutAt = new Date(running.startedAt.getTime() + RUNNING_TIMEOUT_MINUTES * 60 * 1000);
+
+    if (timeoutAt > new Date()) {
+      armTimer(timeoutAt);
+      return;
+    }
+
+    await failBuild(running, 'Aucune notification de fin de déploiement reçue');
+    return runDueBuilds();
+  }
+
+  const next = await prisma.frontendBuild.findFirst({
+    where: { status: 'pending' },
+    orderBy: { scheduledFor: 'asc' },
+  });
+
+  if (!next) {
+    return;
+  }
+
+  if (next.scheduledFor > new Date()) {
+    armTimer(next.scheduledFor);
+    return;
+  }
+
+  await startBuild(next);
+}
+
+/**
+ * Call the build webhook for a pending build
+ */
+async function startBuild(build: any): Promise<void> {
+  const started = await prisma.frontendBuild.update({
+    where: { id: build.id },
+    data: { status: 'running', startedAt: new Date(), attempts: (build.attempts || 0) + 1, error: '' },
+  });
+
+  try {
+    const response = await fetch(process.env.FRONTEND_BUILD_HOOK_URL, { method: 'POST' });
+
+    if (!response.ok) {
+      throw new Error(`Le webhook a répondu ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Failed to trigger frontend build:', error);
+    await failBuild(started, error.message);
+    return runDueBuilds();
+  }
+
+  if (!reportsDeploys()) {
+    await succeedBuild(started);
+    return runDueBuilds();
+  }
+
+  armTimer(new Date(Date.now() + RUNNING_TIMEOUT_MINUTES * 60 * 1000));
+}
+
+async function succeedBuild(build: any): Promise<void> {
+  await prisma.frontendBuild.update({
+    where: { id: build.id },
+    data: { status: 'succeeded', finishedAt: new Date() },
+  });
+}
+
+/**
+ * Record a failed attempt and retry it, unless a later build (which rebuilds
+ * everything anyway) is already pending or retries are exhausted
+ */
+async function failBuild(build: any, error: string): Promise<void> {
+  const retryDelay = RETRY_DELAYS_SECONDS[build.attempts - 1];
+  const pending = await prisma.frontendBuild.findFirst({
+    where: { status: 'pending', id: { not: build.id } },
+    orderBy: { scheduledFor: 'asc' },
+  });
+
+  if (retryDelay === undefined || pending) {
+    await prisma.frontendBuild.update({
+      where: { id: build.id },
+      data: { status: 'failed', finishedAt: new Date(), error },
+    });
+
+    // Make sure the following build doesn't wait longer than the retry would have
+    if (pending && retryDelay !== undefined && pending.scheduledFor > secondsFromNow(retryDelay)) {
+      await prisma.frontendBuild.update({
+        where: { id: pending.id },
+        data: { scheduledFor: secondsFromNow(retryDelay) },
+      });
+    }
+    return;
+  }
+
+  await prisma.frontendBuild.update({
+    where: { id: build.id },
+    data: { status: 'pending', scheduledFor: secondsFromNow(retryDelay), error },
+  });
+}
+
+/**
+ * Record the deploy result reported by the hosting provider for the running build
+ */
+export async function handleBuildCallback(state: string, errorMessage?: string): Promise<void> {
+  if (!prisma || (state !== 'ready' && state !== 'error')) {
+    return;
+  }
+
+  await serialize(async () => {
+    const running = await prisma.frontendBuild.findFirst({ where: { status: 'running' } });
+    if (!running) {
+      return;
+    }
+
+    if (state === 'ready') {
+      await succeedBuild(running);
+    } else {
+      await failBuild(running, errorMessage || 'Échec du déploiement');
+    }
+
+    await runDueBuilds();
+  });
+}
+
+/**
+ * Verify a Netlify deploy notification
+ * The X-Webhook-Signature header is a HS256 JWT whose payload holds the body's SHA-256.
+ */
+export function isValidBuildCallback(rawBody: Buffer, signature: string | undefined): boolean {
+  const secret = process.env.FRONTEND_BUILD_CALLBACK_SECRET;
+  if (!secret || !signature || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const [header, payload, jwtSignature] = signature.split('.');
+  if (!header || !payload || !jwtSignature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const received = Buffer.from(jwtSignature, 'base64url');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return false;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    return claims.iss === 'netlify' && claims.sha256 === bodyHash;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Current state of frontend builds, for the frontend to report progress
+ */
+export async function getFrontendBuildStatus(context: any) {
+  if (!isEnabled()) {
+    return { state: 'disabled', reportsDeploys: false };
+  }
+
+  const [running, pending, lastSucceeded, lastFailed] = await Promise.all([
+    context.prisma.frontendBuild.findFirst({ where: { status: 'running' } }),
+    context.prisma.frontendBuild.findFirst({ where: { status: 'pending' }, orderBy: { scheduledFor: 'asc' } }),
+    context.prisma.frontendBuild.findFirst({ where: { status: 'succeeded' }, orderBy: { finishedAt: 'desc' } }),
+    context.prisma.frontendBuild.findFirst({ where: { status: 'failed' }, orderBy: { finishedAt: 'desc' } }),
+  ]);
+
+  return {
+    state: running ? 'running' : pending ? 'pending' : 'idle',
+    reportsDeploys: reportsDeploys(),
+    scheduledFor: pending?.scheduledFor ?? null,
+    retrying: (pending?.attempts ?? 0) > 0,
+    startedAt: running?.startedAt ?? null,
+    lastSucceededAt: lastSucceeded?.finishedAt ?? null,
+    lastFailedAt: lastFailed?.finishedAt ?? null,
+  };
+}
+
+/**
+ * Current time of day in the site's timezone
+ */
+function siteTimeOfDay(now = new Date()): { hours: number; minutes: number; seconds: number } {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: SITE_TIMEZONE,
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+
+  const part = (type: string) => Number(parts.find(item => item.type === type)?.value || 0);
+  return { hours: part('hour'), minutes: part('minute'), seconds: part('second') };
+}
+
+/**
+ * Rebuild the site every night so ages and birthday tags are never a day late
+ */
+function armNightlyRebuild(): void {
+  const { hours, minutes, seconds } = siteTimeOfDay();
+  const untilMidnight = ((24 - hours) * 3600 - minutes * 60 - seconds) * 1000;
+
+  nightlyTimer = setTimeout(async () => {
+    // Woke up before midnight (daylight saving time change): wait for it
+    if (siteTimeOfDay().hours !== 23) {
+      await scheduleFrontendBuild({ prisma }, 'Mise à jour quotidienne (âges et anniversaires)');
+    }
+    armNightlyRebuild();
+  }, untilMidnight);
+
+  nightlyTimer.unref();
+}
+
+/**
+ * Resume builds left pending or running by a previous server process
+ * and start the nightly rebuild
+ */
+export function initBuildScheduler(context: any): void {
+  if (!isEnabled()) {
+    return;
+  }
+
+  prisma = context.prisma;
+  serialize(runDueBuilds).catch(error => console.error('Error resuming frontend builds:', error));
+
+  if (!nightlyTimer) {
+    armNightlyRebuild();
+  }
+}
@@ -23,8 +23,10 @@ interface ChangeLogData {
   changesSummary: string;
   changedBy: 'public' | 'admin' | 'system';
   status: 'pending' | 'accepted';
+  isProposal?: boolean;
   frontendUrl?: string;
   backendUrl?: string;
+  snapshot?: any;
 }
 
 /**
@@ -33,11 +35,16 @@ interface ChangeLogData {
 const FIELD_LABELS: Record<string, Record<string, string>> = {
   Dog: {
     name: 'Nom',
+    nicknames: 'Surnoms',
     sex: 'Sexe',
     birthday: 'Anniversaire',
-    breed: 'Race',
+    breeds: 'Races',
+    isMixedBreed: 'Croisé',
     coat: 'Robe',
-    owner: 'Humain',
+    owners: 'Humains',
+    primaryOwner: 'Contact principal',
+    lifeStatus: 'Situation',
+    deceasedAt: 'Date du décès',
   },
   Owner: {
     name: 'Nom',
@@ -47,6 +54,7 @@ const FIELD_LABELS: Record<string, Record<string, string>> = {
   Media: {
     name: 'Nom',
     type: 'Type',
+    videoUrl: 'Lien de la vidéo',
     status: 'Statut',
     isFeatured: 'Photo principale',
     dog: 'Chien',
@@ -57,9 +65,35 @@ const FIELD_LABELS: Record<string, Record<string, string>> = {
  * Fields to track for each entity type
  */
 const TRACKED_FIELDS: Record<string, string[]> = {
-  Dog: ['name', 'sex', 'birthday', 'breed', 'coat', 'owner'],
+  Dog: ['name', 'nicknames', 'sex', 'birthday', 'breeds', 'isMixedBreed', 'coat', 'owners', 'primaryOwner', 'lifeStatus', 'deceasedAt'],
   Owner: ['name', 'email', 'phone'],
-  Media: ['status', 'isFeatured', 'dog'],
+  Media: ['name', 'type', 'videoUrl', 'status', 'isFeatured', 'dog'],
+};
+
+/**
+ * Whether changes to a field are logged (and can be staged for moderation)
+ */
+export function isTrackedField(entityType: string, field: string): boolean {
+  return (TRACKED_FIELDS[entityType] || []).includes(field);
+}
+
+/**
+ * Query used to capture the full state of an entity
+ * Stored as a snapshot on delete so the entity can be recreated by a revert
+ */
+export const SNAPSHOT_QUERIES: Record<string, string> = {
+  Dog: 'id name nicknames sex birthday breeds { id name } isMixedBreed coat { id name } status lifeStatus deceasedAt createdAt owners { id name } primaryOwner { id name } photos { id }',
+  Owner: 'id name email phone dogs { id name }',
+  Media: 'id name type videoUrl status isFeatured uploadedAt dog { id name } file { id filesize width height extension } renditions',
+};
+
+/**
+ * Prisma model of the items referenced by each relationship field
+ */
+const RELATIONSHIP_MODELS: Record<string, Record<string, string>> = {
+  Dog: { breeds: 'breed', coat: 'coat', owners: 'owner', primaryOwner: 'owner' },
+  Owner: {},
+  Media: { dog: 'dog' },
 };
 
 /**
@@ -75,9 +109,11 @@ function formatValue(field: string, value: any, entityType: string): string {
     return value.name || value.id;
   }
 
-  // Handle arrays
+  // Handle arrays (many relationships), in a stable order whatever order the items were picked in
   if (Array.isArray(value)) {
-    return value.length > 0 ? value.map(v => v.name || v.id).join(', ') : '(aucun)';
+    return value.length > 0
+      ? value.map(v => v.name || v.id).sort((a, b) => a.localeCompare(b, 'fr')).join(', ')
+      : '(aucun)';
   }
 
   // Handle sex field
@@ -95,13 +131,28 @@ function formatValue(field: string, value: any, entityType: string): string {
     return statusMap[value] || value;
   }
 
+  // Handle media type field
+  if (field === 'type' && entityType === 'Media') {
+    return value === 'video' ? 'Vidéo' : value === 'photo' ? 'Photo' : value;
+  }
+
+  // Handle life status field
+  if (field === 'lifeStatus') {
+    const lifeStatusMap: Record<string, string> = {
+      active: 'Dans le quartier',
+      moved: 'A déménagé',
+      deceased: 'Décédé',
+    };
+    return lifeStatusMap[value] || value;
+  }
+
   // Handle boolean
   if (typeof value === 'boolean') {
     return value ? 'Oui' : 'Non';
   }
 
   // Handle dates
-  if (field === 'birthday' && value) {
+  if ((field === 'birthday' || field === 'deceasedAt') && value) {
     return formatDate(value);
   }
 
@@ -119,6 +170,33 @@ function formatDate(dateString: string): string {
   return `${day}/${month}/${year}`;
 }
 
+/**
+ * Items of a many relationship once an update input ({ set } or { connect, disconnect, create }) is applied
+ * Items being created have no id yet, only their name
+ */
+function applyManyRelationshipInput(current: any[], input: any): any[] {
+  const disconnectedIds = (input.disconnect || []).map((related: any) => related.id);
+  const items = Array.isArray(input.set)
+    ? input.set.slice()
+    : current.filter(related => !disconnectedIds.includes(related.id));
+
+  for (const related of input.connect || []) {
+    if (!items.some((item: any) => item.id === related.id)) {
+      items.push(related);
+    }
+  }
+
+  return [...items, ...(input.create || []).map((created: any) => ({ name: created.name }))];
+}
+
+/**
+ * Whether two lists of related items are the same, whatever their order
+ */
+function isSameRelatedItems(a: any[], b: any[]): boolean {
+  const keys = (items: any[]) => items.map(item => item.id || `+${item.name}`).sort();
+  return JSON.stringify(keys(a)) === JSON.stringify(keys(b));
+}
+
 /**
  * Detect changes between old and new data
  */
@@ -154,6 +232,23 @@ export function detectChanges(
 
     // Handle relationship connects/updates
     if (typeof newValue === 'object' && newValue !== null) {
+      // Many relationships, replaced as a whole or changed item by item
+      if (Array.isArray(oldValue) || Array.isArray(newValue.set) || Array.isArray(newValue.connect) || Array.isArray(newValue.create)) {
+        const related = applyManyRelationshipInput(oldValue || [], newValue);
+
+        if (!isSameRelatedItems(oldValue || [], related)) {
+          changes.push({
+            field,
+            fieldLabel: FIELD_LABELS[entityType]?.[field] || field,
+            oldValue,
+            newValue: related,
+            displayOld: formatValue(field, oldValue, entityType),
+            displayNew: formatValue(field, related, entityType),
+          });
+        }
+        continue;
+      }
+
       // Check if it's a connect/disconnect operation
       if ('connect' in newValue || 'disconnect' in newValue) {
         const connectId = newValue.connect?.id;
@@ -192,6 +287,38 @@ export function detectChanges(
   return changes;
 }
 
+/**
+ * Fill in the names of related items given by id only (e.g. { connect: { id } })
+ * so logs and notifications show "Labrador" rather than an id
+ */
+export async function nameRelatedItems(
+  context: any,
+  entityType: 'Dog' | 'Owner' | 'Media',
+  changes: FieldChange[]
+): Promise<FieldChange[]> {
+  for (const change of changes) {
+    const model = RELATIONSHIP_MODELS[entityType]?.[change.field];
+    if (!model || !change.newValue) continue;
+
+    const related = Array.isArray(change.newValue) ? change.newValue : [change.newValue];
+    const unnamed = related.filter((item: any) => item?.id && !item.name);
+    if (unnamed.length === 0) continue;
+
+    const items = await context.prisma[model].findMany({
+      where: { id: { in: unnamed.map((item: any) => item.id) } },
+      select: { id: true, name: true },
+    });
+    const names = new Map(items.map((item: any) => [item.id, item.name]));
+
+    change.newValue = Array.isArray(change.newValue)
+      ? change.newValue.map((item: any) => ({ id: item.id, name: item.name || names.get(item.id) }))
+      : { id: change.newValue.id, name: change.newValue.name || names.get(change.newValue.id) };
+    change.displayNew = formatValue(change.field, change.newValue, entityType);
+  }
+
+  return changes;
+}
+
 /**
  * Create a human-readable summary of changes
  */
@@ -267,7 +394,8 @@ export function createNotificationMessage(
  */
 export function getEntityName(entityType: 'Dog' | 'Owner' | 'Media', item: any): string {
   if (entityType === 'Media') {
-    return item.dog?.name ? `Photo de ${item.dog.name}` : item.name || 'Photo sans nom';
+    const kind = item.type === 'video' ? 'Vidéo' : 'Photo';
+    return item.dog?.name ? `${kind} de ${item.dog.name}` : item.name || `${kind} sans nom`;
   }
   return item.name || 'Sans nom';
 }
@@ -311,6 +439,11 @@ export function generateEntityUrls(
  * Determine change status based on moderation mode
  */
 export async function getChangeStatus(context: any): Promise<'pending' | 'accepted'> {
+  // Admin changes never need approval
+  if (context.session) {
+    return 'accepted';
+  }
+
   try {
     const settings = await context.query.Settings.findOne({
       query: 'moderationMode',
@@ -344,7 +477,8 @@ export async function logChange(
       changesSummary = `[${changedByLabel}] ${changesSummary}`;
     }
 
-    await context.query.ChangeLog.createOne({
+    // ChangeLog creation is admin-only: entries are replayed by proposals and reverts
+    await context.sudo().query.ChangeLog.createOne({
       data: {
         entityType: data.entityType,
         entityId: data.entityId,
@@ -357,6 +491,8 @@ export async function logChange(
         status,
         frontendUrl: urls.frontendUrl,
         backendUrl: urls.backendUrl,
+        snapshot: data.snapshot,
+        isProposal: data.isProposal || false,
       },
     });
   } catch (error) {
@@ -364,3 +500,27 @@ export async function logChange(
     // Don't throw - logging failures shouldn't break the main operation
   }
 }
+
+/**
+ * Settle the pending upload entry of a media once an admin approves or rejects it
+ */
+export async function settleMediaUpload(
+  context: any,
+  mediaId: string,
+  status: 'accepted' | 'rejected'
+): Promise<void> {
+  try {
+    await context.prisma.changeLog.updateMany({
+      where: {
+        entityType: 'Media',
+        entityId: mediaId,
+        operation: 'create',
+        status: 'pending',
+        isProposal: false,
+      },
+      data: { status },
+    });
+  } catch (error) {
+    console.error('Error settling media upload:', error);
+  }
+}
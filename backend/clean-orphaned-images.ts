@@ -0,0 +1,75 @@
+/**
+ * Maintenance Script: Find orphaned image files
+ *
+ * What this does:
+ * 1. Compare the files of the image storage with the Media items
+ * 2. List the files no Media item refers to, and the Media items whose files are missing
+ * 3. With --quarantine, move the orphans to ../data/images-quarantine/{date}/ (or the
+ *    images-quarantine/ prefix of the S3 bucket), with --delete, delete them for good
+ *
+ * Only reports by default. --dry-run lists what --quarantine or --delete would do.
+ * Files uploaded in the last 24 hours and files of deletions the ChangeLog can
+ * still revert are never orphans.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { reconcileImageFiles, OrphanedImagesAction } from './orphaned-images';
+
+function formatSize(bytes: number): string {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function clean() {
+  const dryRun = process.argv.includes('--dry-run');
+  const action: OrphanedImagesAction = process.argv.includes('--delete')
+    ? 'delete'
+    : process.argv.includes('--quarantine') ? 'quarantine' : 'report';
+
+  console.log(`🚀 Looking for orphaned image files (${action}${dryRun ? ', dry run' : ''})...\n`);
+
+  const context = getContext(config, PrismaModule);
+  const report = await reconcileImageFiles(context, { action, dryRun });
+
+  for (const orphan of report.orphans) {
+    console.log(`  🗑️  ${orphan.path} (${formatSize(orphan.size)}, ${orphan.modifiedAt.toISOString().slice(0, 10)})`);
+  }
+  for (const file of report.missing) {
+    console.log(`  ❓ ${file.path} missing for ${file.name} (${file.mediaId})`);
+  }
+
+  const orphanedSize = report.orphans.reduce((total, orphan) => total + orphan.size, 0);
+
+  console.log('\n📊 Summary:');
+  console.log(`  Files: ${report.scanned}`);
+  console.log(`  Orphaned: ${report.orphans.length} (${formatSize(orphanedSize)})`);
+  console.log(`  Kept for the history: ${report.keptForHistory}`);
+  console.log(`  Missing: ${report.missing.length}`);
+
+  if (action === 'report' || dryRun) {
+    if (report.orphans.length > 0) {
+      console.log('\n💡 Run with --quarantine or --delete to clean up the orphans');
+    }
+  } else {
+    console.log(`  ${action === 'quarantine' ? 'Quarantined' : 'Deleted'}: ${report.cleaned}`);
+  }
+
+  if (report.missing.length > 0) {
+    console.log('\n⚠️  Missing renditions come back with npm run images:renditions -- --force, missing originals are lost');
+  }
+
+  const errors = action !== 'report' && !dryRun ? report.orphans.length - report.cleaned : 0;
+  if (errors === 0) {
+    console.log('\n✅ Image files checked');
+  } else {
+    console.log('\n⚠️  Completed with errors');
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
+
+clean().catch((error) => {
+  console.error('💥 Image files check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * Notification Digest
+ * In daily or weekly mode (Settings), changes made through the public site and
+ * magic links aren't notified one by one: a scheduled job sends admins a single
+ * summary of the ChangeLog entries of the period, with the items still waiting
+ * for a decision.
+ *
+ * The job runs inside the backend process and checks every few minutes whether
+ * a digest is due, so a restart doesn't lose one.
+ */
+
+import { generateEntityUrls } from './change-logging';
+import { notifyAdmins } from './notification-transports';
+
+const CHECK_INTERVAL_MINUTES = 10;
+
+/**
+ * Weekly digests are sent on this day (0 = Sunday, 1 = Monday)
+ */
+const WEEKLY_DIGEST_DAY = 1;
+
+/**
+ * Links listed in the digest email, the rest are counted only
+ */
+const MAX_LINKS = 15;
+
+const ENTITY_LABELS: Record<string, string> = {
+  Dog: 'Chiens',
+  Owner: 'Humains',
+  Media: 'Médias',
+};
+
+const OPERATION_LABELS: Record<string, string> = {
+  create: 'ajout',
+  update: 'modification',
+  delete: 'suppression',
+};
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+/**
+ * Whether change notifications are batched into a digest instead of sent right away
+ */
+export async function isDigestMode(context: any): Promise<boolean> {
+  try {
+    const settings = await context.prisma.settings.findFirst({
+      select: { notificationFrequency: true },
+    });
+    return !!settings && settings.notificationFrequency !== 'immediate';
+  } catch (error) {
+    console.error('Error getting notification frequency:', error);
+    return false;
+  }
+}
+
+/**
+ * Most recent time a digest should have been sent at, for the given frequency
+ */
+export function getLastDigestSlot(frequency: 'daily' | 'weekly', hour: number, now = new Date()): Date {
+  const slot = new Date(now);
+  slot.setHours(hour, 0, 0, 0);
+
+  if (slot > now) {
+    slot.setDate(slot.getDate() - 1);
+  }
+
+  if (frequency === 'weekly') {
+    slot.setDate(slot.getDate() - ((slot.getDay() - WEEKLY_DIGEST_DAY + 7) % 7));
+  }
+
+  return slot;
+}
+
+function plural(count: number, [singular, pluralForm]: [string, string]): string {
+  return `${count} ${count > 1 ? pluralForm : singular}`;
+}
+
+/**
+ * Build the digest notification, or null when there is nothing to report
+ */
+async function buildDigest(context: any, since: Date, until: Date, frequency: 'daily' | 'weekly') {
+  const entries = await context.prisma.changeLog.findMany({
+    where: {
+      timestamp: { gt: since, lte: until },
+      changedBy: { in: ['public', 'magic'] },
+    },
+    orderBy: { timestamp: 'asc' },
+    select: { entityType: true, entityId: true, entityName: true, operation: true },
+  });
+
+  const pendingChanges = await context.prisma.changeLog.count({
+    where: { status: 'pending', isProposal: true },
+  });
+  const pendingMedia = await context.prisma.media.count({
+    where: { status: 'pending', deletedAt: null },
+  });
+
+  if (entries.length === 0 && pendingChanges === 0 && pendingMedia === 0) {
+    return null;
+  }
+
+  // Counts per entity type, then per operation
+  const counts: Record<string, Record<string, number>> = {};
+  for (const entry of entries) {
+    counts[entry.entityType] = counts[entry.entityType] || {};
+    counts[entry.entityType][entry.operation] = (counts[entry.entityType][entry.operation] || 0) + 1;
+  }
+
+  const lines: string[] = [];
+
+  if (entries.length === 0) {
+    lines.push('Aucune nouvelle modification sur la période.');
+  } else {
+    for (const [entityType, operations] of Object.entries(counts)) {
+      const details = Object.entries(operations)
+        .map(([operation, count]) => `${count} ${OPERATION_LABELS[operation]}${count > 1 ? 's' : ''}`)
+        .join(', ');
+      lines.push(`• ${ENTITY_LABELS[entityType]} : ${details}`);
+    }
+  }
+
+  if (pendingChanges > 0 || pendingMedia > 0) {
+    lines.push('');
+    lines.push('À traiter :');
+    if (pendingMedia > 0) {
+      lines.push(`• ${plural(pendingMedia, ['média', 'médias'])} en attente de validation`);
+    }
+    if (pendingChanges > 0) {
+      lines.push(`• ${plural(pendingChanges, ['proposition', 'propositions'])} de modification en attente`);
+    }
+  }
+
+  // One link per changed item, most recent change last
+  const seen = new Set<string>();
+  const links: Array<{ label: string; url: string }> = [];
+  for (const entry of entries) {
+    const key = `${entry.entityType}:${entry.entityId}`;
+    if (seen.has(key) || entry.operation === 'delete') continue;
+    seen.add(key);
+
+    if (links.length < MAX_LINKS) {
+      links.push({
+        label: entry.entityName || 'Sans nom',
+        url: generateEntityUrls(entry.entityType, entry.entityId).backendUrl,
+      });
+    }
+  }
+
+  const period = frequency === 'weekly' ? 'de la semaine' : 'du jour';
+
+  return {
+    title: `📋 Résumé ${period} : ${plural(entries.length, ['modification', 'modifications'])}`,
+    body: lines.join('\n'),
+    icon: '/images/hello-big-dog.png',
+    badge: '/images/hello-dog.png',
+    links,
+    data: {
+      url: pendingMedia > 0 ? '/moderation' : '/change-logs',
+      action: 'digest',
+    },
+  };
+}
+
+/**
+ * Send the digest if one is due
+ */
+export async function runDigestIfDue(context: any, now = new Date()): Promise<void> {
+  const settings = await context.prisma.settings.findFirst();
+  if (!settings || settings.notificationFrequency === 'immediate') {
+    return;
+  }
+
+  const frequency = settings.notificationFrequency;
+  const slot = getLastDigestSlot(frequency, settings.digestHour ?? 8, now);
+  const lastSentAt = settings.lastDigestSentAt ? new Date(settings.lastDigestSentAt) : null;
+
+  if (lastSentAt && lastSentAt >= slot) {
+    return;
+  }
+
+  // First digest covers one period, later ones everything since the previous digest
+  const periodMs = (frequency === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000;
+  const since = lastSentAt || new Date(slot.getTime() - periodMs);
+
+  // Mark it sent first: a failing transport shouldn't resend it every check
+  await context.prisma.settings.update({
+    where: { id: settings.id },
+    data: { lastDigestSentAt: now },
+  });
+
+  const digest = await buildDigest(context, since, now, frequency);
+  if (digest) {
+    await notifyAdmins(context, digest);
+  }
+}
+
+/**
+ * Start checking for due digests
+ */
+export function initDigestScheduler(context: any): void {
+  if (timer) {
+    return;
+  }
+
+  const check = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDigestIfDue(context);
+    } catch (error) {
+      console.error('Error sending notification digest:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  check();
+}
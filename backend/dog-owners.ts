@@ -0,0 +1,34 @@
+/**
+ * Dog Owners
+ * A dog has owners, one of whom may be its primary contact (Dog.primaryOwner).
+ * Edits, reverts and merges write owners separately, this keeps the two consistent.
+ */
+
+/**
+ * Keep a dog's primary contact among its owners
+ * A primary contact who was just chosen becomes an owner, one who was removed from
+ * the owners is cleared. With a single owner, that owner is the primary contact.
+ */
+export async function keepPrimaryOwnerAmongOwners(context: any, dogId: string, primaryOwnerChosen: boolean): Promise<void> {
+  const dog = await context.prisma.dog.findUnique({
+    where: { id: dogId },
+    select: { primaryOwnerId: true, owners: { select: { id: true } } },
+  });
+  if (!dog) return;
+
+  const ownerIds = dog.owners.map((owner: any) => owner.id);
+
+  if (dog.primaryOwnerId && !ownerIds.includes(dog.primaryOwnerId)) {
+    await context.prisma.dog.update({
+      where: { id: dogId },
+      data: primaryOwnerChosen
+        ? { owners: { connect: { id: dog.primaryOwnerId } } }
+        : { primaryOwner: { disconnect: true } },
+    });
+  } else if (!dog.primaryOwnerId && ownerIds.length === 1) {
+    await context.prisma.dog.update({
+      where: { id: dogId },
+      data: { primaryOwner: { connect: { id: ownerIds[0] } } },
+    });
+  }
+}
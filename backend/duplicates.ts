@@ -0,0 +1,578 @@
+/**
+ * Duplicate Dogs
+ * The same dog sometimes gets added twice, by two members of a family. Likely
+ * duplicates are dogs with the same or a close name (or nickname) that share
+ * their owner or a breed, and dogs with near-identical photos.
+ *
+ * The edit form warns before adding a likely duplicate, admins are notified of
+ * the ones added anyway and merge them from the duplicates admin page (/duplicates).
+ */
+
+import { normalizeTerm, parseSynonyms } from './vocabularies';
+import { editDistance, maxTypos } from './search';
+import { hashDistance } from './images';
+import { imageStorage } from './image-storage';
+import {
+  createChangesSummary,
+  detectChanges,
+  generateEntityUrls,
+  getEntityName,
+  logChange,
+  nameRelatedItems,
+  SNAPSHOT_QUERIES,
+} from './change-logging';
+import { keepPrimaryOwnerAmongOwners } from './dog-owners';
+import { moveToTrash } from './trash';
+import { scheduleFrontendBuild } from './builds';
+
+/**
+ * Photos whose perceptual hashes differ by at most this many bits (out of 64) are the same photo
+ */
+const PHOTO_HASH_MAX_DISTANCE = 6;
+
+const DOG_SELECT = {
+  id: true,
+  name: true,
+  nicknames: true,
+  status: true,
+  owners: { select: { id: true, name: true } },
+  breeds: { select: { id: true } },
+  photos: {
+    where: { deletedAt: null },
+    select: {
+      id: true,
+      perceptualHash: true,
+      isFeatured: true,
+      status: true,
+      renditions: true,
+      file_id: true,
+      file_extension: true,
+    },
+  },
+};
+
+type DogRecord = {
+  id: string;
+  name: string;
+  nicknames: string;
+  status?: string | null;
+  owners: Array<{ id?: string; name: string }>;
+  breeds: Array<{ id: string }>;
+  photos: Array<{
+    id: string;
+    perceptualHash: string;
+    isFeatured: boolean;
+    status: string | null;
+    renditions: string | null;
+    file_id: string | null;
+    file_extension: string | null;
+  }>;
+};
+
+export interface DuplicateCandidate {
+  id: string;
+  name: string;
+  status: string;
+  ownerName: string;
+  photoUrl: string | null;
+  reasons: string[];
+}
+
+export interface DuplicatePair {
+  dogIds: [string, string];
+  reasons: string[];
+}
+
+/**
+ * Normalized names a dog is known by: its name and its nicknames
+ */
+function namesOf(dog: { name: string; nicknames?: string | null }): string[] {
+  return [dog.name, ...parseSynonyms(dog.nicknames)].map(normalizeTerm).filter(Boolean);
+}
+
+/**
+ * Whether two normalized names are close: one typo apart, or one starting with the other ("rex", "rexy")
+ */
+function isSimilarName(a: string, b: string): boolean {
+  if (a === b) return true;
+
+  const shorter = Math.min(a.length, b.length);
+  if (shorter >= 3 && (a.startsWith(b) || b.startsWith(a))) return true;
+
+  const typos = maxTypos(shorter);
+  return typos > 0 && editDistance(a, b, typos) <= typos;
+}
+
+function hasSimilarPhoto(a: DogRecord, b: DogRecord): boolean {
+  return a.photos.some(photo => photo.perceptualHash && b.photos.some(other =>
+    other.perceptualHash && hashDistance(photo.perceptualHash, other.perceptualHash) <= PHOTO_HASH_MAX_DISTANCE
+  ));
+}
+
+/**
+ * Why two dogs look like the same dog (empty when they don't)
+ */
+function duplicateReasons(a: DogRecord, b: DogRecord): string[] {
+  const reasons: string[] = [];
+  const aNames = namesOf(a);
+  const bNames = namesOf(b);
+  const sameName = aNames.some(name => bNames.includes(name));
+
+  if (sameName || aNames.some(name => bNames.some(other => isSimilarName(name, other)))) {
+    const sameOwner = a.owners.some(owner => b.owners.some(other =>
+      (!!owner.id && owner.id === other.id) || (!!owner.name && normalizeTerm(owner.name) === normalizeTerm(other.name))
+    ));
+    const sameBreed = a.breeds.some(breed => b.breeds.some(other => other.id === breed.id));
+
+    if (sameOwner || sameBreed) {
+      reasons.push(sameName ? 'même nom' : 'nom proche');
+      if (sameOwner) reasons.push('même humain');
+      if (sameBreed) reasons.push('même race');
+    }
+  }
+
+  if (hasSimilarPhoto(a, b)) {
+    reasons.push('photo presque identique');
+  }
+
+  return reasons;
+}
+
+/**
+ * Thumbnail of a dog's (approved) featured or first photo
+ */
+function thumbnailUrl(dog: DogRecord): string | null {
+  const photos = dog.photos.filter(photo => photo.status === 'approved' && photo.file_id);
+  const photo = photos.find(candidate => candidate.isFeatured) || photos[0];
+  if (!photo) return null;
+
+  const renditions = photo.renditions ? JSON.parse(photo.renditions) : null;
+  return renditions?.thumbnail?.jpeg || imageStorage.url(`${photo.file_id}.${photo.file_extension}`);
+}
+
+function toCandidate(dog: DogRecord, reasons: string[]): DuplicateCandidate {
+  return {
+    id: dog.id,
+    name: dog.name,
+    status: dog.status || 'pending',
+    ownerName: dog.owners.map(owner => owner.name).join(', '),
+    photoUrl: thumbnailUrl(dog),
+    reasons,
+  };
+}
+
+/**
+ * Existing dogs that look like a dog about to be added
+ */
+export async function findLikelyDuplicates(
+  context: any,
+  draft: { name: string; ownerIds?: string[] | null; ownerNames?: string[] | null; breedIds?: string[] | null }
+): Promise<DuplicateCandidate[]> {
+  const dog: DogRecord = {
+    id: '',
+    name: draft.name,
+    nicknames: '',
+    owners: [
+      ...(draft.ownerIds || []).map(id => ({ id, name: '' })),
+      ...(draft.ownerNames || []).filter(Boolean).map(name => ({ name })),
+    ],
+    breeds: (draft.breedIds || []).map(id => ({ id })),
+    photos: [],
+  };
+
+  const dogs: DogRecord[] = await context.prisma.dog.findMany({ where: { deletedAt: null }, select: DOG_SELECT });
+
+  return dogs
+    .map(other => toCandidate(other, duplicateReasons(dog, other)))
+    .filter(candidate => candidate.reasons.length > 0);
+}
+
+/**
+ * Other dogs that look like an existing dog
+ */
+export async function findDuplicatesOfDog(context: any, dogId: string): Promise<DuplicateCandidate[]> {
+  const dogs: DogRecord[] = await context.prisma.dog.findMany({ where: { deletedAt: null }, select: DOG_SELECT });
+  const dog = dogs.find(candidate => candidate.id === dogId);
+  if (!dog) return [];
+
+  return dogs
+    .filter(other => other.id !== dogId)
+    .map(other => toCandidate(other, duplicateReasons(dog, other)))
+    .filter(candidate => candidate.reasons.length > 0);
+}
+
+/**
+ * Other dogs with a near-identical photo to a media item
+ */
+export async function findDogsWithSimilarPhoto(context: any, mediaId: string): Promise<DuplicateCandidate[]> {
+  const media = await context.prisma.media.findUnique({
+    where: { id: mediaId },
+    select: { dogId: true, perceptualHash: true },
+  });
+  if (!media?.dogId || !media.perceptualHash) return [];
+
+  const dogs: DogRecord[] = await context.prisma.dog.findMany({
+    where: { id: { not: media.dogId }, deletedAt: null },
+    select: DOG_SELECT,
+  });
+
+  return dogs
+    .filter(dog => dog.photos.some(photo =>
+      photo.perceptualHash && hashDistance(photo.perceptualHash, media.perceptualHash) <= PHOTO_HASH_MAX_DISTANCE
+    ))
+    .map(dog => toCandidate(dog, ['photo presque identique']));
+}
+
+/**
+ * Every pair of likely duplicates, the most likely first
+ * The directory is small: all dogs are compared with each other.
+ */
+export async function findDuplicatePairs(context: any): Promise<DuplicatePair[]> {
+  const dogs: DogRecord[] = await context.prisma.dog.findMany({
+    where: { deletedAt: null },
+    select: DOG_SELECT,
+    orderBy: { name: 'asc' },
+  });
+  const pairs: DuplicatePair[] = [];
+
+  dogs.forEach((dog, index) => {
+    for (const other of dogs.slice(index + 1)) {
+      const reasons = duplicateReasons(dog, other);
+      if (reasons.length > 0) {
+        pairs.push({ dogIds: [dog.id, other.id], reasons });
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+/**
+ * Log the details a merge gave the kept item, as its hooks would have
+ */
+async function logMergedDetails(context: any, entityType: 'Dog' | 'Owner', before: any, data: any): Promise<void> {
+  const changes = await nameRelatedItems(context, entityType, detectChanges(entityType, before, data));
+  if (changes.length === 0) {
+    return;
+  }
+
+  const entityName = getEntityName(entityType, before);
+  await logChange(context, {
+    entityType,
+    entityId: before.id,
+    entityName,
+    operation: 'update',
+    changes,
+    changesSummary: createChangesSummary(entityType, entityName, changes),
+  });
+}
+
+/**
+ * Merge a duplicate into the dog that is kept
+ * The kept dog gets the duplicate's photos and magic links, and the details it's
+ * missing (sex, birthday, coat, breeds, owners, the duplicate's name as a nickname).
+ * The duplicate then goes to the trash, the photos it gave stay with the kept dog.
+ * Its history stays its own, reverting it never touches the kept dog.
+ */
+export async function mergeDogs(context: any, survivorId: string, duplicateId: string): Promise<void> {
+  if (survivorId === duplicateId) {
+    throw new Error('Impossible de fusionner un chien avec lui-même');
+  }
+
+  const select = {
+    id: true,
+    name: true,
+    nicknames: true,
+    sex: true,
+    birthday: true,
+    isMixedBreed: true,
+    coatId: true,
+    primaryOwnerId: true,
+    breeds: { select: { id: true } },
+    owners: { select: { id: true } },
+    photos: { select: { id: true, isFeatured: true } },
+    from_EditToken_dogs: { select: { id: true } },
+    deletedAt: true,
+  };
+  const survivor = await context.prisma.dog.findUnique({ where: { id: survivorId }, select });
+  const duplicate = await context.prisma.dog.findUnique({ where: { id: duplicateId }, select });
+  if (!survivor || !duplicate || survivor.deletedAt || duplicate.deletedAt) {
+    throw new Error('Chien introuvable');
+  }
+
+  const survivorSnapshot = await context.query.Dog.findOne({
+    where: { id: survivorId },
+    query: SNAPSHOT_QUERIES.Dog,
+  });
+
+  // Details the kept dog is missing
+  const data: any = {};
+  const survivorNames = namesOf(survivor);
+  const nicknames = parseSynonyms(survivor.nicknames);
+  for (const name of [duplicate.name, ...parseSynonyms(duplicate.nicknames)]) {
+    if (normalizeTerm(name) && !survivorNames.includes(normalizeTerm(name))) {
+      nicknames.push(name.trim());
+      survivorNames.push(normalizeTerm(name));
+    }
+  }
+  if (nicknames.length > parseSynonyms(survivor.nicknames).length) {
+    data.nicknames = nicknames.join(', ');
+  }
+  if (!survivor.sex && duplicate.sex) data.sex = duplicate.sex;
+  if (!survivor.birthday && duplicate.birthday) data.birthday = duplicate.birthday;
+  if (!survivor.coatId && duplicate.coatId) data.coat = { connect: { id: duplicate.coatId } };
+  if (duplicate.isMixedBreed && !survivor.isMixedBreed) data.isMixedBreed = true;
+
+  const breedIds = survivor.breeds.map((breed: any) => breed.id);
+  const addedBreeds = duplicate.breeds.filter((breed: any) => !breedIds.includes(breed.id));
+  if (addedBreeds.length > 0) {
+    data.breeds = { set: [...survivor.breeds, ...addedBreeds].map((breed: any) => ({ id: breed.id })) };
+  }
+
+  const ownerIds = survivor.owners.map((owner: any) => owner.id);
+  const addedOwners = duplicate.owners.filter((owner: any) => !ownerIds.includes(owner.id));
+  if (addedOwners.length > 0) {
+    data.owners = { set: [...survivor.owners, ...addedOwners].map((owner: any) => ({ id: owner.id })) };
+  }
+  if (!survivor.primaryOwnerId && duplicate.primaryOwnerId) {
+    data.primaryOwner = { connect: { id: duplicate.primaryOwnerId } };
+  }
+
+  const duplicateUrls = generateEntityUrls('Dog', duplicateId);
+  const survivorUrls = generateEntityUrls('Dog', survivorId);
+
+  // All or nothing: a failure leaves both dogs as they were
+  await context.prisma.$transaction(async (prisma: any) => {
+    // Photos: the kept dog's featured photo stays the featured one
+    if (survivor.photos.some((photo: any) => photo.isFeatured)) {
+      await prisma.media.updateMany({
+        where: { dogId: duplicateId, isFeatured: true },
+        data: { isFeatured: false },
+      });
+    }
+    await prisma.media.updateMany({
+      where: { dogId: duplicateId },
+      data: { dogId: survivorId },
+    });
+
+    // Magic links for the duplicate now cover the kept dog
+    for (const editToken of duplicate.from_EditToken_dogs) {
+      await prisma.editToken.update({
+        where: { id: editToken.id },
+        data: { dogs: { connect: { id: survivorId } } },
+      });
+    }
+
+    // The media's history links to the kept dog's page
+    await prisma.changeLog.updateMany({
+      where: { entityType: 'Media', frontendUrl: duplicateUrls.frontendUrl },
+      data: { frontendUrl: survivorUrls.frontendUrl },
+    });
+
+    if (Object.keys(data).length > 0) {
+      await prisma.dog.update({ where: { id: survivorId }, data });
+    }
+  });
+
+  if ('owners' in data || 'primaryOwner' in data) {
+    await keepPrimaryOwnerAmongOwners(context, survivorId, 'primaryOwner' in data);
+  }
+  await logMergedDetails(context, 'Dog', survivorSnapshot, data);
+
+  await moveToTrash(context, 'Dog', duplicateId, `Chien fusionné dans ${survivor.name}: ${duplicate.name}`);
+
+  await scheduleFrontendBuild(context, 'Fusion de chiens');
+}
+
+/**
+ * Duplicate Owners
+ * The owner autocomplete offers to create a new owner as soon as the search
+ * doesn't match exactly, so the same person ends up as "Marie", "Marie D."
+ * and "Marie Dupont". Likely duplicates are owners with compatible names, or
+ * with the same email or phone.
+ */
+
+const OWNER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+};
+
+type OwnerRecord = {
+  id: string;
+  name: string;
+  email: string | null;
+  phone: string | null;
+};
+
+export interface OwnerDuplicatePair {
+  ownerIds: [string, string];
+  reasons: string[];
+}
+
+/**
+ * Whether two owner names can be the same person: close first names, and the
+ * following words equal, abbreviated ("D." for "Dupont") or missing on one side
+ */
+function isCompatibleOwnerName(a: string, b: string): boolean {
+  const aWords = normalizeTerm(a).split(' ').filter(Boolean);
+  const bWords = normalizeTerm(b).split(' ').filter(Boolean);
+  if (aWords.length === 0 || bWords.length === 0) return false;
+
+  const typos = maxTypos(Math.min(aWords[0].length, bWords[0].length));
+  if (aWords[0] !== bWords[0] && (typos === 0 || editDistance(aWords[0], bWords[0], typos) > typos)) {
+    return false;
+  }
+
+  for (let i = 1; i < Math.min(aWords.length, bWords.length); i++) {
+    const [shorter, longer] = [aWords[i], bWords[i]].sort((x, y) => x.length - y.length);
+    if (shorter !== longer && !(shorter.length === 1 && longer.startsWith(shorter))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function normalizeEmail(email: string | null): string {
+  return (email || '').trim().toLowerCase();
+}
+
+function normalizePhone(phone: string | null): string {
+  return (phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Why two owners look like the same person (empty when they don't)
+ */
+function ownerDuplicateReasons(a: OwnerRecord, b: OwnerRecord): string[] {
+  const reasons: string[] = [];
+
+  if (isCompatibleOwnerName(a.name, b.name)) {
+    reasons.push(normalizeTerm(a.name) === normalizeTerm(b.name) ? 'même nom' : 'nom compatible');
+  }
+  if (normalizeEmail(a.email) && normalizeEmail(a.email) === normalizeEmail(b.email)) {
+    reasons.push('même email');
+  }
+  if (normalizePhone(a.phone) && normalizePhone(a.phone) === normalizePhone(b.phone)) {
+    reasons.push('même téléphone');
+  }
+
+  return reasons;
+}
+
+/**
+ * Other owners that look like an existing owner, with the reasons
+ */
+export async function findDuplicatesOfOwner(
+  context: any,
+  ownerId: string
+): Promise<Array<OwnerRecord & { reasons: string[] }>> {
+  const owners: OwnerRecord[] = await context.prisma.owner.findMany({
+    where: { deletedAt: null },
+    select: OWNER_SELECT,
+    orderBy: { name: 'asc' },
+  });
+  const owner = owners.find(candidate => candidate.id === ownerId);
+  if (!owner) return [];
+
+  return owners
+    .filter(other => other.id !== ownerId)
+    .map(other => ({ ...other, reasons: ownerDuplicateReasons(owner, other) }))
+    .filter(other => other.reasons.length > 0);
+}
+
+/**
+ * Every pair of likely duplicate owners, the most likely first
+ */
+export async function findOwnerDuplicatePairs(context: any): Promise<OwnerDuplicatePair[]> {
+  const owners: OwnerRecord[] = await context.prisma.owner.findMany({
+    where: { deletedAt: null },
+    select: OWNER_SELECT,
+    orderBy: { name: 'asc' },
+  });
+  const pairs: OwnerDuplicatePair[] = [];
+
+  owners.forEach((owner, index) => {
+    for (const other of owners.slice(index + 1)) {
+      const reasons = ownerDuplicateReasons(owner, other);
+      if (reasons.length > 0) {
+        pairs.push({ ownerIds: [owner.id, other.id], reasons });
+      }
+    }
+  });
+
+  return pairs.sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+/**
+ * Both contact values when they differ ("06 12 34 56 78, 07 98 76 54 32")
+ */
+function combineContact(kept: string | null, other: string | null, normalize: (value: string | null) => string): string | null {
+  if (!normalize(other) || normalize(kept) === normalize(other)) return null;
+  return kept?.trim() ? `${kept.trim()}, ${other!.trim()}` : other!.trim();
+}
+
+/**
+ * Merge a duplicate into the owner that is kept
+ * The kept owner gets the duplicate's dogs (as their owner, and as their primary
+ * contact where the duplicate was) and magic links, and its email and phone when
+ * they differ. The duplicate then goes to the trash, still linked to its dogs.
+ * Its history stays its own, reverting it never touches the kept owner.
+ */
+export async function mergeOwners(context: any, survivorId: string, duplicateId: string): Promise<void> {
+  if (survivorId === duplicateId) {
+    throw new Error('Impossible de fusionner un humain avec lui-même');
+  }
+
+  const select = { ...OWNER_SELECT, dogs: { select: { id: true, name: true } }, deletedAt: true };
+  const survivor = await context.prisma.owner.findUnique({ where: { id: survivorId }, select });
+  const duplicate = await context.prisma.owner.findUnique({ where: { id: duplicateId }, select });
+  if (!survivor || !duplicate || survivor.deletedAt || duplicate.deletedAt) {
+    throw new Error('Humain introuvable');
+  }
+
+  const survivorSnapshot = await context.query.Owner.findOne({
+    where: { id: survivorId },
+    query: SNAPSHOT_QUERIES.Owner,
+  });
+
+  // Contact details
+  const data: any = {};
+  const email = combineContact(survivor.email, duplicate.email, normalizeEmail);
+  const phone = combineContact(survivor.phone, duplicate.phone, normalizePhone);
+  if (email) data.email = email;
+  if (phone) data.phone = phone;
+
+  // All or nothing: a failure leaves both owners as they were
+  await context.prisma.$transaction(async (prisma: any) => {
+    await prisma.owner.update({
+      where: { id: survivorId },
+      data: { ...data, dogs: { connect: duplicate.dogs.map((dog: any) => ({ id: dog.id })) } },
+    });
+    await prisma.dog.updateMany({
+      where: { primaryOwnerId: duplicateId },
+      data: { primaryOwnerId: survivorId },
+    });
+
+    // Magic links for the duplicate now cover the kept owner
+    await prisma.editToken.updateMany({
+      where: { ownerId: duplicateId },
+      data: { ownerId: survivorId },
+    });
+  });
+
+  await logMergedDetails(context, 'Owner', survivorSnapshot, data);
+
+  const dogNames = duplicate.dogs.map((dog: any) => dog.name);
+  await moveToTrash(
+    context,
+    'Owner',
+    duplicateId,
+    `Humain fusionné dans ${survivor.name}: ${duplicate.name}` +
+      (dogNames.length > 0 ? ` (chiens rattachés : ${dogNames.join(', ')})` : '')
+  );
+
+  await scheduleFrontendBuild(context, 'Fusion d\'humains');
+}
@@ -0,0 +1,85 @@
+/**
+ * Backfill Script: Generate responsive renditions for existing photos
+ *
+ * What this does:
+ * 1. For each Media item with an image file
+ * 2. Generate the thumbnail/medium/large renditions (AVIF, WebP, JPEG)
+ * 3. Store their URLs on the Media item
+ *
+ * Media that already have renditions are skipped, unless --force is passed.
+ * This is idempotent - safe to run multiple times.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { generateRenditions } from './images';
+
+async function generate() {
+  const force = process.argv.includes('--force');
+
+  console.log('🚀 Generating image renditions...\n');
+
+  const context = getContext(config, PrismaModule);
+
+  const mediaItems = await context.prisma.media.findMany({
+    where: { file_id: { not: null } },
+    select: {
+      id: true,
+      name: true,
+      file_id: true,
+      file_extension: true,
+      renditions: true,
+    },
+  });
+
+  console.log(`Found ${mediaItems.length} images to process\n`);
+
+  let generated = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  for (const media of mediaItems) {
+    console.log(`Processing: ${media.name} (${media.id})`);
+
+    if (media.renditions && !force) {
+      console.log(`  ⏭️  Already has renditions - skipping`);
+      skipped++;
+      continue;
+    }
+
+    try {
+      const renditions = await generateRenditions({ id: media.file_id, extension: media.file_extension });
+
+      await context.prisma.media.update({
+        where: { id: media.id },
+        data: { renditions: JSON.stringify(renditions) },
+      });
+
+      console.log(`  ✨ Generated renditions`);
+      generated++;
+    } catch (error) {
+      console.error(`  ❌ Error generating renditions:`, error);
+      errors++;
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Generated: ${generated}`);
+  console.log(`  Skipped: ${skipped}`);
+  console.log(`  Errors: ${errors}`);
+  console.log(`  Total: ${mediaItems.length}`);
+
+  if (errors === 0) {
+    console.log('\n✅ Renditions generated successfully!');
+  } else {
+    console.log('\n⚠️  Completed with errors');
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
+
+generate().catch((error) => {
+  console.error('💥 Rendition generation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,300 @@
+/**
+ * Custom GraphQL queries and mutations
+ * Added on top of the schema Keystone generates from the lists
+ */
+
+import { graphql } from '@keystone-6/core';
+import { revertChangeLog } from './revert';
+import { getFrontendBuildStatus } from './builds';
+import { search, SearchType } from './search';
+import {
+  findLikelyDuplicates,
+  findDuplicatePairs,
+  findOwnerDuplicatePairs,
+  mergeDogs,
+  mergeOwners,
+  DuplicatePair,
+} from './duplicates';
+import { findRequestEditToken } from './auth';
+import { listTrash, moveToTrash, restoreFromTrash, purgeFromTrash, TrashEntityType, TRASH_ENTITY_TYPES } from './trash';
+
+const FrontendBuildStatus = graphql.object<{
+  state: string;
+  reportsDeploys: boolean;
+  scheduledFor?: Date | null;
+  retrying?: boolean;
+  startedAt?: Date | null;
+  lastSucceededAt?: Date | null;
+  lastFailedAt?: Date | null;
+}>()({
+  name: 'FrontendBuildStatus',
+  fields: {
+    state: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    reportsDeploys: graphql.field({ type: graphql.nonNull(graphql.Boolean) }),
+    scheduledFor: graphql.field({ type: graphql.DateTime }),
+    retrying: graphql.field({ type: graphql.Boolean }),
+    startedAt: graphql.field({ type: graphql.DateTime }),
+    lastSucceededAt: graphql.field({ type: graphql.DateTime }),
+    lastFailedAt: graphql.field({ type: graphql.DateTime }),
+  },
+});
+
+const SearchResult = graphql.object<{
+  type: string;
+  id: string;
+  name: string;
+  detail: string;
+  score: number;
+}>()({
+  name: 'SearchResult',
+  fields: {
+    type: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    id: graphql.field({ type: graphql.nonNull(graphql.ID) }),
+    name: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    detail: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    score: graphql.field({ type: graphql.nonNull(graphql.Float) }),
+  },
+});
+
+const SEARCH_TYPES: SearchType[] = ['dog', 'owner'];
+
+const DogDuplicatePair = graphql.object<DuplicatePair>()({
+  name: 'DogDuplicatePair',
+  fields: {
+    dogIds: graphql.field({ type: graphql.nonNull(graphql.list(graphql.nonNull(graphql.ID))) }),
+    reasons: graphql.field({ type: graphql.nonNull(graphql.list(graphql.nonNull(graphql.String))) }),
+  },
+});
+
+const OwnerDuplicatePair = graphql.object<{ ownerIds: string[]; reasons: string[] }>()({
+  name: 'OwnerDuplicatePair',
+  fields: {
+    ownerIds: graphql.field({ type: graphql.nonNull(graphql.list(graphql.nonNull(graphql.ID))) }),
+    reasons: graphql.field({ type: graphql.nonNull(graphql.list(graphql.nonNull(graphql.String))) }),
+  },
+});
+
+const DuplicateCandidate = graphql.object<{
+  id: string;
+  name: string;
+  status: string;
+  ownerName: string;
+  photoUrl: string | null;
+  reasons: string[];
+}>()({
+  name: 'DuplicateCandidate',
+  fields: {
+    id: graphql.field({ type: graphql.nonNull(graphql.ID) }),
+    name: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    status: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    ownerName: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    photoUrl: graphql.field({ type: graphql.String }),
+    reasons: graphql.field({ type: graphql.nonNull(graphql.list(graphql.nonNull(graphql.String))) }),
+  },
+});
+
+const TrashItem = graphql.object<{
+  entityType: string;
+  id: string;
+  name: string;
+  detail: string;
+  thumbnailUrl: string | null;
+  deletedAt: Date;
+  purgeAt: Date;
+}>()({
+  name: 'TrashItem',
+  fields: {
+    entityType: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    id: graphql.field({ type: graphql.nonNull(graphql.ID) }),
+    name: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    detail: graphql.field({ type: graphql.nonNull(graphql.String) }),
+    thumbnailUrl: graphql.field({ type: graphql.String }),
+    deletedAt: graphql.field({ type: graphql.nonNull(graphql.DateTime) }),
+    purgeAt: graphql.field({ type: graphql.nonNull(graphql.DateTime) }),
+  },
+});
+
+/**
+ * Arguments of the trash mutations, checked before use
+ */
+const trashArgs = {
+  entityType: graphql.arg({ type: graphql.nonNull(graphql.String) }),
+  id: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+};
+
+function toTrashEntityType(entityType: string): TrashEntityType {
+  if (!TRASH_ENTITY_TYPES.includes(entityType as TrashEntityType)) {
+    throw new Error(`Type d'entité non pris en charge: ${entityType}`);
+  }
+  return entityType as TrashEntityType;
+}
+
+export const extendGraphqlSchema = graphql.extend(base => ({
+  query: {
+    // Public: lets the frontend report when changes will be visible
+    frontendBuildStatus: graphql.field({
+      type: graphql.nonNull(FrontendBuildStatus),
+      resolve(source, args, context) {
+        return getFrontendBuildStatus(context);
+      },
+    }),
+    // Public: fuzzy search of dogs and owners, ignoring accents and typos
+    search: graphql.field({
+      type: graphql.nonNull(graphql.list(graphql.nonNull(SearchResult))),
+      args: {
+        query: graphql.arg({ type: graphql.nonNull(graphql.String) }),
+        types: graphql.arg({ type: graphql.list(graphql.nonNull(graphql.String)) }),
+        take: graphql.arg({ type: graphql.Int, defaultValue: 10 }),
+        includeDeceased: graphql.arg({ type: graphql.Boolean, defaultValue: false }),
+      },
+      resolve(source, { query, types, take, includeDeceased }, context) {
+        const unknown = (types || []).find(type => !SEARCH_TYPES.includes(type as SearchType));
+        if (unknown) {
+          throw new Error(`Type de recherche inconnu : ${unknown}`);
+        }
+
+        return search(context, query, (types || SEARCH_TYPES) as SearchType[], Math.min(take ?? 10, 50), includeDeceased ?? false);
+      },
+    }),
+    // Edit form: dogs that look like the one about to be added
+    likelyDuplicateDogs: graphql.field({
+      type: graphql.nonNull(graphql.list(graphql.nonNull(DuplicateCandidate))),
+      args: {
+        name: graphql.arg({ type: graphql.nonNull(graphql.String) }),
+        ownerIds: graphql.arg({ type: graphql.list(graphql.nonNull(graphql.ID)) }),
+        ownerNames: graphql.arg({ type: graphql.list(graphql.nonNull(graphql.String)) }),
+        breedIds: graphql.arg({ type: graphql.list(graphql.nonNull(graphql.ID)) }),
+      },
+      async resolve(source, args, context) {
+        // Admins and magic links only, without counting a use of the link
+        if (!context.session && !(await findRequestEditToken(context))) {
+          throw new Error('Accès refusé');
+        }
+
+        return findLikelyDuplicates(context, args);
+      },
+    }),
+    // Duplicates admin page: pairs of dogs that look like the same dog
+    dogDuplicates: graphql.field({
+      type: graphql.nonNull(graphql.list(graphql.nonNull(DogDuplicatePair))),
+      resolve(source, args, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        return findDuplicatePairs(context);
+      },
+    }),
+    // Duplicates admin page: pairs of owners that look like the same person
+    ownerDuplicates: graphql.field({
+      type: graphql.nonNull(graphql.list(graphql.nonNull(OwnerDuplicatePair))),
+      resolve(source, args, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        return findOwnerDuplicatePairs(context);
+      },
+    }),
+    // Trash admin page: dogs, owners and media in the trash
+    trash: graphql.field({
+      type: graphql.nonNull(graphql.list(graphql.nonNull(TrashItem))),
+      resolve(source, args, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        return listTrash(context);
+      },
+    }),
+  },
+  mutation: {
+    revertChangeLog: graphql.field({
+      type: base.object('ChangeLog'),
+      args: {
+        id: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+      },
+      async resolve(source, { id }, context) {
+        // Only admins can revert changes
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await revertChangeLog(context, id);
+
+        return context.db.ChangeLog.findOne({ where: { id } });
+      },
+    }),
+    mergeDogs: graphql.field({
+      type: base.object('Dog'),
+      args: {
+        survivorId: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+        duplicateId: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+      },
+      async resolve(source, { survivorId, duplicateId }, context) {
+        // Only admins can merge dogs
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await mergeDogs(context, survivorId, duplicateId);
+
+        return context.db.Dog.findOne({ where: { id: survivorId } });
+      },
+    }),
+    mergeOwners: graphql.field({
+      type: base.object('Owner'),
+      args: {
+        survivorId: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+        duplicateId: graphql.arg({ type: graphql.nonNull(graphql.ID) }),
+      },
+      async resolve(source, { survivorId, duplicateId }, context) {
+        // Only admins can merge owners
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await mergeOwners(context, survivorId, duplicateId);
+
+        return context.db.Owner.findOne({ where: { id: survivorId } });
+      },
+    }),
+    // Only admins use the trash
+    moveToTrash: graphql.field({
+      type: graphql.Boolean,
+      args: trashArgs,
+      async resolve(source, { entityType, id }, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await moveToTrash(context, toTrashEntityType(entityType), id);
+        return true;
+      },
+    }),
+    restoreFromTrash: graphql.field({
+      type: graphql.Boolean,
+      args: trashArgs,
+      async resolve(source, { entityType, id }, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await restoreFromTrash(context, toTrashEntityType(entityType), id);
+        return true;
+      },
+    }),
+    purgeFromTrash: graphql.field({
+      type: graphql.Boolean,
+      args: trashArgs,
+      async resolve(source, { entityType, id }, context) {
+        if (!context.session) {
+          throw new Error('Accès refusé');
+        }
+
+        await purgeFromTrash(context, toTrashEntityType(entityType), id);
+        return true;
+      },
+    }),
+  },
+}));
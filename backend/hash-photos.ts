@@ -0,0 +1,71 @@
+/**
+ * Backfill Script: Compute perceptual hashes of existing photos
+ *
+ * What this does:
+ * 1. For each Media item with an image file and no hash yet
+ * 2. Compute its perceptual hash, used to find the same photo uploaded for two dogs
+ * 3. Store it on the Media item
+ *
+ * This is idempotent - safe to run multiple times.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { computePerceptualHash } from './images';
+
+async function hash() {
+  console.log('🚀 Computing photo hashes...\n');
+
+  const context = getContext(config, PrismaModule);
+
+  const mediaItems = await context.prisma.media.findMany({
+    where: { file_id: { not: null }, perceptualHash: '' },
+    select: {
+      id: true,
+      name: true,
+      file_id: true,
+      file_extension: true,
+    },
+  });
+
+  console.log(`Found ${mediaItems.length} images to process\n`);
+
+  let hashed = 0;
+  let errors = 0;
+
+  for (const media of mediaItems) {
+    try {
+      const perceptualHash = await computePerceptualHash({ id: media.file_id, extension: media.file_extension });
+
+      await context.prisma.media.update({
+        where: { id: media.id },
+        data: { perceptualHash },
+      });
+
+      console.log(`  ✨ ${media.name} (${media.id}): ${perceptualHash}`);
+      hashed++;
+    } catch (error) {
+      console.error(`  ❌ Error hashing ${media.name} (${media.id}):`, error);
+      errors++;
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Hashed: ${hashed}`);
+  console.log(`  Errors: ${errors}`);
+  console.log(`  Total: ${mediaItems.length}`);
+
+  if (errors === 0) {
+    console.log('\n✅ Photo hashes computed successfully!');
+  } else {
+    console.log('\n⚠️  Completed with errors');
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
+
+hash().catch((error) => {
+  console.error('💥 Photo hashing failed:', error);
+  process.exit(1);
+});
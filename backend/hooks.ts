@@ -1,42 +1,44 @@
-import { sendUploadNotification, sendDogUpdateNotification, sendNewDogNotification, sendChangeNotification } from './notifications';
+import { sendUploadNotification, sendDogUpdateNotification, sendNewDogNotification, sendChangeNotification, sendDuplicateDogNotification } from './notifications';
 import {
   detectChanges,
+  nameRelatedItems,
   createChangesSummary,
   getEntityName,
   logChange,
+  settleMediaUpload,
+  SNAPSHOT_QUERIES,
 } from './change-logging';
+import { findRequestEditToken, rememberCreatedDog } from './auth';
+import { stageProposedChanges, takeProposedChanges, logProposedChanges, applyProposedChange } from './moderation';
+import { updateMediaRenditions, hasImageMetadata, stripImageMetadata, deleteImageFiles } from './images';
+import { parseVideoUrl } from './videos';
+import { scheduleFrontendBuild } from './builds';
+import { sendMediaModeratedOwnerNotification, sendDogEditedOwnerNotification } from './owner-notifications';
+import { findTermConflict, VocabularyType } from './vocabularies';
+import { findDuplicatesOfDog, findDogsWithSimilarPhoto } from './duplicates';
+import { keepPrimaryOwnerAmongOwners } from './dog-owners';
 import crypto from 'crypto';
 
 /**
- * Trigger frontend build webhook
- * Call this after any data change that should update the frontend
+ * Reason recorded on the scheduled frontend build, e.g. "Chien: modification"
  */
-export async function triggerFrontendBuild() {
-  const webhookUrl = process.env.FRONTEND_BUILD_HOOK_URL;
-
-  if (!webhookUrl) {
-    return;
-  }
-
-  try {
-    const response = await fetch(webhookUrl, { method: 'POST' });
-
-    if (!response.ok) {
-      console.error('Failed to trigger frontend build:', response.status);
-    }
-  } catch (error) {
-    console.error('Error triggering frontend build:', error);
-  }
+function buildReason(entityLabel: string, operation: string): string {
+  const operationLabels: Record<string, string> = {
+    create: 'création',
+    update: 'modification',
+    delete: 'suppression',
+  };
+  return `${entityLabel}: ${operationLabels[operation] || operation}`;
 }
 
 /**
  * Hook that can be added to lists to trigger builds on changes
  */
 export const buildTriggerHooks = {
-  afterOperation: async ({ operation }: any) => {
-    // Trigger build on create, update, or delete
+  afterOperation: async ({ listKey, operation, context }: any) => {
+    // Schedule a build on create, update, or delete
     if (['create', 'update', 'delete'].includes(operation)) {
-      await triggerFrontendBuild();
+      await scheduleFrontendBuild(context, buildReason(listKey, operation));
     }
   },
 };
@@ -45,18 +47,25 @@ export const buildTriggerHooks = {
  * Owner-specific hooks for change logging
  */
 export const ownerHooks = {
+  resolveInput: async (args: any) => {
+    // In a_priori mode, stage non-admin edits instead of writing them
+    await stageProposedChanges('Owner', args);
+    return args.resolvedData;
+  },
+
   beforeOperation: async ({ operation, item, context }: any) => {
     // Store old item data for comparison
-    if ((operation === 'update' || operation === 'delete') && item) {
+    if (operation === 'update' && item) {
       const fullItem = await context.query.Owner.findOne({
         where: { id: item.id },
-        query: 'id name email phone',
+        query: SNAPSHOT_QUERIES.Owner,
       });
       context._oldOwnerItem = fullItem;
     }
   },
 
   afterOperation: async ({ operation, item, context, inputData }: any) => {
+    let onlyProposed = false;
 
     // Handle create
     if (operation === 'create') {
@@ -82,7 +91,20 @@ export const ownerHooks = {
     // Handle update
     if (operation === 'update') {
       const oldItem = context._oldOwnerItem;
-      const changes = detectChanges('Owner', oldItem, inputData);
+      const proposedChanges = takeProposedChanges(context, 'Owner', item.id);
+      const proposedFields = (proposedChanges || []).map((change: any) => change.field);
+      const changes = detectChanges('Owner', oldItem, inputData)
+        .filter(change => !proposedFields.includes(change.field));
+
+      if (proposedChanges) {
+        await logProposedChanges(context, {
+          entityType: 'Owner',
+          entityId: item.id,
+          entityName: getEntityName('Owner', oldItem),
+          changes: proposedChanges,
+        });
+        onlyProposed = changes.length === 0;
+      }
 
       if (changes.length > 0) {
         const entityName = getEntityName('Owner', item);
@@ -106,31 +128,9 @@ export const ownerHooks = {
       }
     }
 
-    // Handle delete
-    if (operation === 'delete') {
-      const oldItem = context._oldOwnerItem;
-      const entityName = getEntityName('Owner', oldItem);
-
-      await logChange(context, {
-        entityType: 'Owner',
-        entityId: item.id,
-        entityName,
-        operation: 'delete',
-        changes: [],
-        changesSummary: `Humain supprimé: ${entityName}`,
-      });
-
-      await sendChangeNotification(context, {
-        entityType: 'Owner',
-        entityName,
-        operation: 'delete',
-        changes: [],
-      });
-    }
-
-    // Trigger frontend builds
-    if (['create', 'update', 'delete'].includes(operation)) {
-      await triggerFrontendBuild();
+    // Schedule a frontend build (staged proposals don't change anything yet)
+    if (!onlyProposed) {
+      await scheduleFrontendBuild(context, buildReason('Humain', operation));
     }
   },
 };
@@ -145,16 +145,27 @@ const ALLOWED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'jxl',
 export const mediaHooks = {
   beforeOperation: async ({ operation, item, context }: any) => {
     // Store old item data for comparison
-    if ((operation === 'update' || operation === 'delete') && item) {
+    if (operation === 'update' && item) {
       const fullItem = await context.query.Media.findOne({
         where: { id: item.id },
-        query: 'id name status isFeatured dog { id name }',
+        query: SNAPSHOT_QUERIES.Media,
       });
       context._oldMediaItem = fullItem;
     }
   },
 
-  validateInput: async ({ resolvedData, operation, addValidationError }: any) => {
+  validateInput: async ({ resolvedData, operation, item, addValidationError }: any) => {
+    // Videos must link to a supported provider
+    if (resolvedData.videoUrl && !parseVideoUrl(resolvedData.videoUrl)) {
+      addValidationError('URL de vidéo non prise en charge (YouTube ou Vimeo uniquement)');
+    }
+
+    const type = resolvedData.type ?? item?.type;
+    const videoUrl = resolvedData.videoUrl ?? item?.videoUrl;
+    if (type === 'video' && !videoUrl) {
+      addValidationError('Une vidéo doit avoir une URL');
+    }
+
     // Only validate on create or when file is being updated
     if (operation !== 'create' && !resolvedData.file) {
       return;
@@ -176,7 +187,25 @@ export const mediaHooks = {
     }
   },
 
-  resolveInput: async ({ resolvedData, context, operation, item }: any) => {
+  resolveInput: async (args: any) => {
+    const { resolvedData, context, operation, item } = args;
+
+    // In a_priori mode, stage non-admin edits instead of writing them
+    await stageProposedChanges('Media', args);
+
+    // Remove EXIF/GPS metadata from the stored file before it is served publicly
+    if (resolvedData.file?.id) {
+      try {
+        if (await hasImageMetadata(resolvedData.file)) {
+          resolvedData.file = { ...resolvedData.file, ...(await stripImageMetadata(resolvedData.file)) };
+        }
+      } catch (error) {
+        console.error('Error stripping image metadata:', error);
+        await deleteImageFiles(resolvedData.file);
+        throw new Error('Impossible de traiter cette image');
+      }
+    }
+
     // Set timestamp on create
     if (operation === 'create' && !resolvedData.uploadedAt) {
       resolvedData.uploadedAt = new Date().toISOString();
@@ -232,26 +261,30 @@ export const mediaHooks = {
     return resolvedData;
   },
 
-  afterOperation: async ({ operation, item, context, inputData }: any) => {
+  afterOperation: async ({ operation, item, originalItem, context, inputData }: any) => {
+    let onlyProposed = false;
 
-    // Fetch dog information for all operations (for linking)
-    let dogId: string | undefined;
-    let fullItem = item;
+    // Generate responsive renditions for new or replaced files (before any build is triggered)
+    if ((operation === 'create' || operation === 'update') && inputData?.file) {
+      await updateMediaRenditions(context, item.id);
+    }
 
-    if (operation === 'create' || operation === 'update') {
-      // For create and update, fetch the dog info
-      fullItem = await context.query.Media.findOne({
-        where: { id: item.id },
-        query: 'id name dog { id name }',
-      });
-      dogId = fullItem?.dog?.id;
-    } else if (operation === 'delete') {
-      // For delete, use the stored old item
-      const oldItem = context._oldMediaItem;
-      dogId = oldItem?.dog?.id;
-      fullItem = oldItem;
+    // Keystone keeps replaced files: the ChangeLog doesn't track them, nothing brings them back
+    if (operation === 'update' && originalItem?.file_id && originalItem.file_id !== item.file_id) {
+      try {
+        await deleteImageFiles({ id: originalItem.file_id, extension: originalItem.file_extension });
+      } catch (error) {
+        console.error(`Error deleting the replaced file of media ${item.id}:`, error);
+      }
     }
 
+    // Fetch dog information (for linking)
+    const fullItem = await context.query.Media.findOne({
+      where: { id: item.id },
+      query: 'id name type dog { id name }',
+    });
+    const dogId: string | undefined = fullItem?.dog?.id;
+
     // Handle create (new photo upload)
     if (operation === 'create') {
       const entityName = getEntityName('Media', fullItem);
@@ -262,18 +295,45 @@ export const mediaHooks = {
         entityName,
         operation: 'create',
         changes: [],
-        changesSummary: `Nouvelle photo uploadée: ${entityName}`,
+        changesSummary: item.type === 'video'
+          ? `Nouvelle vidéo ajoutée: ${entityName}`
+          : `Nouvelle photo uploadée: ${entityName}`,
         dogId,
       });
 
       // Send existing upload notification
       await sendUploadNotification(item, context);
+
+      // The same photo on another dog: probably the same dog added twice
+      if (!context.session && dogId && inputData?.file) {
+        await sendDuplicateDogNotification(context, fullItem.dog, await findDogsWithSimilarPhoto(context, item.id));
+      }
     }
 
     // Handle update (status changes, featured photo changes)
     if (operation === 'update') {
       const oldItem = context._oldMediaItem;
-      const changes = detectChanges('Media', oldItem, inputData);
+      const proposedChanges = takeProposedChanges(context, 'Media', item.id);
+      const proposedFields = (proposedChanges || []).map((change: any) => change.field);
+      const changes = detectChanges('Media', oldItem, inputData)
+        .filter(change => !proposedFields.includes(change.field));
+
+      if (proposedChanges) {
+        await logProposedChanges(context, {
+          entityType: 'Media',
+          entityId: item.id,
+          entityName: getEntityName('Media', fullItem),
+          changes: proposedChanges,
+          dogId,
+        });
+        onlyProposed = changes.length === 0;
+      }
+
+      // Moderating an upload settles its pending ChangeLog entry
+      if (oldItem?.status === 'pending' && (item.status === 'approved' || item.status === 'rejected')) {
+        await settleMediaUpload(context, item.id, item.status === 'approved' ? 'accepted' : 'rejected');
+        await sendMediaModeratedOwnerNotification(context, fullItem, item.status);
+      }
 
       if (changes.length > 0) {
         const entityName = getEntityName('Media', fullItem);
@@ -301,44 +361,19 @@ export const mediaHooks = {
       }
     }
 
-    // Handle delete
-    if (operation === 'delete') {
-      const oldItem = context._oldMediaItem;
-      const entityName = getEntityName('Media', oldItem);
-
-      await logChange(context, {
-        entityType: 'Media',
-        entityId: item.id,
-        entityName,
-        operation: 'delete',
-        changes: [],
-        changesSummary: `Photo supprimée: ${entityName}`,
-        dogId,
-      });
-
-      if (!context.session) {
-        await sendChangeNotification(context, {
-          entityType: 'Media',
-          entityName,
-          operation: 'delete',
-          changes: [],
-        });
-      }
-    }
-
-    // Trigger frontend build when media is approved or deleted
-    if (operation === 'delete' || (operation === 'update' && item.status === 'approved')) {
-      await triggerFrontendBuild();
+    // Schedule a frontend build when media is approved
+    if (operation === 'update' && item.status === 'approved' && !onlyProposed) {
+      await scheduleFrontendBuild(context, buildReason('Média', operation));
     }
 
-    // Also trigger build on create if auto-approved
+    // Also schedule a build on create if auto-approved
     if (operation === 'create' && item.status === 'approved') {
-      await triggerFrontendBuild();
+      await scheduleFrontendBuild(context, buildReason('Média', operation));
     }
 
-    // Trigger build when featured photo changes
-    if (operation === 'update' && item.isFeatured === true) {
-      await triggerFrontendBuild();
+    // Schedule a build when featured photo changes
+    if (operation === 'update' && item.isFeatured === true && !onlyProposed) {
+      await scheduleFrontendBuild(context, 'Photo principale: modification');
     }
   },
 };
@@ -354,15 +389,96 @@ export const editTokenHooks = {
       const bytes = crypto.randomBytes(18);
       resolvedData.token = bytes.toString('hex'); // Uses only 0-9 and a-f
     }
+
+    // Reactivating a token deactivated over quota clears the reason
+    if (operation === 'update' && resolvedData.isActive === true) {
+      resolvedData.deactivatedReason = '';
+    }
     return resolvedData;
   },
 };
 
+/**
+ * PushSubscription hooks: link admin devices to their user (for channel preferences)
+ * and owner devices to the magic link that identifies their dogs
+ */
+export const pushSubscriptionHooks = {
+  resolveInput: async ({ operation, resolvedData, context }: any) => {
+    if (operation === 'create') {
+      if (context.session?.itemId) {
+        resolvedData.user = { connect: { id: context.session.itemId } };
+      } else {
+        // Only admins can subscribe to admin notifications
+        resolvedData.receivesAdminNotifications = false;
+
+        const editToken = await findRequestEditToken(context);
+        if (editToken && (editToken.scope.type === 'owner' || editToken.scope.type === 'dogs')) {
+          resolvedData.editToken = { connect: { id: editToken.id } };
+        }
+      }
+    }
+    return resolvedData;
+  },
+
+  validateInput: async ({ operation, resolvedData, context, addValidationError }: any) => {
+    // Public subscriptions only make sense for the dogs of a magic link
+    if (operation === 'create' && !context.session && !resolvedData.editToken) {
+      addValidationError('Un lien magique d\'humain ou de chiens choisis est nécessaire pour recevoir des notifications');
+    }
+  },
+};
+
+/**
+ * Breed and Coat hooks: a name or synonym can only designate one item,
+ * so "Labrador" and "labrador" can't both be created
+ */
+function vocabularyHooks(type: VocabularyType, entityLabel: string) {
+  return {
+    resolveInput: async ({ resolvedData }: any) => {
+      if (typeof resolvedData.name === 'string') {
+        resolvedData.name = resolvedData.name.trim().replace(/\s+/g, ' ');
+      }
+      return resolvedData;
+    },
+
+    validateInput: async ({ item, resolvedData, context, addValidationError }: any) => {
+      if (!('name' in resolvedData) && !('synonyms' in resolvedData)) {
+        return;
+      }
+
+      const conflict = await findTermConflict(context, type, {
+        id: item?.id,
+        name: resolvedData.name ?? item?.name,
+        synonyms: resolvedData.synonyms ?? item?.synonyms,
+      });
+      if (conflict) {
+        addValidationError(conflict);
+      }
+    },
+
+    afterOperation: async ({ operation, context }: any) => {
+      // Names show on dog pages and in the home page filters
+      // (a new item only shows once a dog uses it, and that dog's update schedules the build)
+      if (operation !== 'create') {
+        await scheduleFrontendBuild(context, buildReason(entityLabel, operation));
+      }
+    },
+  };
+}
+
+export const breedHooks = vocabularyHooks('Breed', 'Race');
+export const coatHooks = vocabularyHooks('Coat', 'Robe');
+
 /**
  * Dog-specific hooks for handling attribute change notifications and change logging
  */
 export const dogHooks = {
-  resolveInput: async ({ operation, resolvedData, context }: any) => {
+  resolveInput: async (args: any) => {
+    const { operation, resolvedData, context } = args;
+
+    // In a_priori mode, stage non-admin edits instead of writing them
+    await stageProposedChanges('Dog', args);
+
     // Set status on create based on moderation mode
     if (operation === 'create') {
       const settings = await context.query.Settings.findOne({
@@ -373,16 +489,21 @@ export const dogHooks = {
       resolvedData.status = moderationMode === 'a_posteriori' ? 'approved' : 'pending';
     }
 
+    // Only a deceased dog has a date of death
+    if (resolvedData.lifeStatus && resolvedData.lifeStatus !== 'deceased') {
+      resolvedData.deceasedAt = null;
+    }
+
     return resolvedData;
   },
 
   beforeOperation: async ({ operation, item, context, inputData }: any) => {
-    // Store old item data for comparison (for updates and deletes)
-    if ((operation === 'update' || operation === 'delete') && item) {
+    // Store old item data for comparison (for updates)
+    if (operation === 'update' && item) {
       // Fetch full item with relationships
       const fullItem = await context.query.Dog.findOne({
         where: { id: item.id },
-        query: 'id name sex birthday breed coat owner { id name }',
+        query: SNAPSHOT_QUERIES.Dog,
       });
 
       // Store in context for afterOperation
@@ -391,6 +512,11 @@ export const dogHooks = {
   },
 
   afterOperation: async ({ operation, item, context, inputData, originalItem }: any) => {
+    let onlyProposed = false;
+
+    if ((operation === 'create' || operation === 'update') && ('owners' in inputData || 'primaryOwner' in inputData)) {
+      await keepPrimaryOwnerAmongOwners(context, item.id, 'primaryOwner' in inputData);
+    }
 
     // Handle create
     if (operation === 'create') {
@@ -407,12 +533,33 @@ export const dogHooks = {
 
       // Send notification
       await sendNewDogNotification(item, context);
+
+      // A create-only link may then add photos to it
+      await rememberCreatedDog(context, item.id);
+
+      // Warn admins when it looks like a dog that's already there
+      if (!context.session) {
+        await sendDuplicateDogNotification(context, item, await findDuplicatesOfDog(context, item.id));
+      }
     }
 
     // Handle update
     if (operation === 'update') {
       const oldItem = context._oldDogItem;
-      const changes = detectChanges('Dog', oldItem, inputData);
+      const proposedChanges = takeProposedChanges(context, 'Dog', item.id);
+      const proposedFields = (proposedChanges || []).map((change: any) => change.field);
+      const changes = await nameRelatedItems(context, 'Dog', detectChanges('Dog', oldItem, inputData)
+        .filter(change => !proposedFields.includes(change.field)));
+
+      if (proposedChanges) {
+        await logProposedChanges(context, {
+          entityType: 'Dog',
+          entityId: item.id,
+          entityName: getEntityName('Dog', oldItem),
+          changes: proposedChanges,
+        });
+        onlyProposed = changes.length === 0;
+      }
 
       if (changes.length > 0) {
         const entityName = getEntityName('Dog', item);
@@ -434,34 +581,33 @@ export const dogHooks = {
           operation: 'update',
           changes,
         });
+
+        // Let the owners following this dog know someone else edited it
+        await sendDogEditedOwnerNotification(context, item, changes);
       }
     }
 
-    // Handle delete
-    if (operation === 'delete') {
-      const oldItem = context._oldDogItem;
-      const entityName = getEntityName('Dog', oldItem);
-
-      await logChange(context, {
-        entityType: 'Dog',
-        entityId: item.id,
-        entityName,
-        operation: 'delete',
-        changes: [],
-        changesSummary: `Chien supprimé: ${entityName}`,
-      });
-
-      await sendChangeNotification(context, {
-        entityType: 'Dog',
-        entityName,
-        operation: 'delete',
-        changes: [],
-      });
+    // Still schedule frontend builds (staged proposals don't change anything yet)
+    if (!onlyProposed) {
+      await scheduleFrontendBuild(context, buildReason('Chien', operation));
     }
+  },
+};
 
-    // Still trigger frontend builds
-    if (['create', 'update', 'delete'].includes(operation)) {
-      await triggerFrontendBuild();
+/**
+ * ChangeLog-specific hooks for applying accepted proposals
+ */
+export const changeLogHooks = {
+  beforeOperation: async ({ operation, item, resolvedData, context }: any) => {
+    // Apply a staged a_priori edit when an admin accepts it
+    if (
+      operation === 'update' &&
+      item.isProposal &&
+      item.status === 'pending' &&
+      resolvedData.status === 'accepted'
+    ) {
+      await applyProposedChange(context, item);
+      await scheduleFrontendBuild(context, 'Proposition acceptée');
     }
   },
 };
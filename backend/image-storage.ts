@@ -0,0 +1,294 @@
+/**
+ * Image Storage
+ * Where image files (originals and renditions) live: on the local disk (default)
+ * or in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO...), chosen with
+ * IMAGES_STORAGE. Keystone stores uploads through the matching storage config,
+ * the image pipeline and maintenance scripts go through imageStorage.
+ *
+ * Files of a public bucket are served from S3_PUBLIC_URL. Files of a private one
+ * keep backend URLs (/images/...), redirected to short-lived signed URLs: the
+ * static site can't embed URLs that expire.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import type { StorageConfig } from '@keystone-6/core/types';
+
+export const IMAGES_STORAGE_PATH = '../data/images';
+export const IMAGES_URL_PATH = '/images';
+
+/**
+ * Orphaned files are moved here, out of the storage (and of the R2 backup)
+ */
+export const IMAGES_QUARANTINE_PATH = '../data/images-quarantine';
+
+const CONTENT_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+};
+
+export interface StoredFile {
+  /** Relative to the storage, "{id}.{extension}" or "renditions/{id}-{size}.{extension}" */
+  path: string;
+  size: number;
+  modifiedAt: Date;
+}
+
+/**
+ * Storage of the image files, names are relative to it
+ */
+export interface ImageStorage {
+  kind: 'local' | 's3';
+  /** URL stored and shown for a file, absolute or relative to the backend */
+  url: (name: string) => string;
+  /** URL the backend redirects /images/{name} to, for storages Keystone doesn't serve */
+  redirectUrl?: (name: string) => Promise<string>;
+  read: (name: string) => Promise<Buffer>;
+  write: (name: string, data: Buffer) => Promise<void>;
+  /** Files already gone are skipped */
+  delete: (name: string) => Promise<void>;
+  exists: (name: string) => Promise<boolean>;
+  list: () => Promise<StoredFile[]>;
+  /** Move a file out of the storage, under the day it was quarantined */
+  quarantine: (name: string, now: Date) => Promise<void>;
+}
+
+// ---------------------------------------------------------------------------
+// Local disk
+// ---------------------------------------------------------------------------
+
+async function listLocalFiles(directory = ''): Promise<StoredFile[]> {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(IMAGES_STORAGE_PATH, directory), { withFileTypes: true });
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files: StoredFile[] = [];
+  for (const entry of entries) {
+    const name = directory ? `${directory}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listLocalFiles(name));
+    } else if (entry.isFile() && !entry.name.startsWith('.')) {
+      const stats = await fs.stat(path.join(IMAGES_STORAGE_PATH, name));
+      files.push({ path: name, size: stats.size, modifiedAt: stats.mtime });
+    }
+  }
+  return files;
+}
+
+export const localImageStorage: ImageStorage = {
+  kind: 'local',
+
+  url: name => `${IMAGES_URL_PATH}/${name}`,
+
+  read: name => fs.readFile(path.join(IMAGES_STORAGE_PATH, name)),
+
+  async write(name, data) {
+    // Written next to the file then renamed, so it's never served half-written
+    const destination = path.join(IMAGES_STORAGE_PATH, name);
+    const temporary = `${destination}.tmp`;
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, destination);
+  },
+
+  async delete(name) {
+    await fs.rm(path.join(IMAGES_STORAGE_PATH, name), { force: true });
+  },
+
+  async exists(name) {
+    try {
+      await fs.access(path.join(IMAGES_STORAGE_PATH, name));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  list: () => listLocalFiles(),
+
+  async quarantine(name, now) {
+    const destination = path.join(IMAGES_QUARANTINE_PATH, now.toISOString().slice(0, 10), name);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.rename(path.join(IMAGES_STORAGE_PATH, name), destination);
+  },
+};
+
+// ---------------------------------------------------------------------------
+// S3-compatible bucket
+// ---------------------------------------------------------------------------
+
+export interface S3Config {
+  bucketName: string;
+  region: string;
+  endpoint?: string;
+  accessKeyId?: string;
+  secretAccessKey?: string;
+  /** Bucket in the URL path rather than the hostname, for MinIO and most stand-ins */
+  forcePathStyle: boolean;
+  /** Key prefix of the files (never empty), the quarantine lives next to it */
+  pathPrefix: string;
+  /** Base URL of a public bucket (or its CDN), files are signed without one */
+  publicUrl?: string;
+  signedUrlExpiry: number;
+}
+
+/**
+ * S3 settings from the S3_* variables
+ */
+export function getS3Config(): S3Config {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET must be set to store images in S3');
+  }
+
+  return {
+    bucketName: process.env.S3_BUCKET,
+    // R2 and MinIO ignore the region, the SDK still needs one
+    region: process.env.S3_REGION || 'auto',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || undefined,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    pathPrefix: (process.env.S3_PATH_PREFIX || 'images').replace(/\/?$/, '/'),
+    publicUrl: process.env.S3_PUBLIC_URL?.replace(/\/$/, '') || undefined,
+    // Longer than the 10 minutes browsers keep the backend's redirect
+    signedUrlExpiry: Math.max(Number(process.env.S3_SIGNED_URL_EXPIRY_SECONDS || 3600), 900),
+  };
+}
+
+export function createS3ImageStorage(config: S3Config): ImageStorage {
+  const client = new S3Client({
+    region: config.region,
+    endpoint: config.endpoint,
+    forcePathStyle: config.forcePathStyle,
+    credentials: config.accessKeyId && config.secretAccessKey
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined,
+  });
+  const Bucket = config.bucketName;
+  const key = (name: string) => `${config.pathPrefix}${name}`;
+
+  return {
+    kind: 's3',
+
+    url: name => config.publicUrl ? `${config.publicUrl}/${key(name)}` : `${IMAGES_URL_PATH}/${name}`,
+
+    redirectUrl: async name => config.publicUrl
+      ? `${config.publicUrl}/${key(name)}`
+      : getSignedUrl(client, new GetObjectCommand({ Bucket, Key: key(name) }), { expiresIn: config.signedUrlExpiry }),
+
+    async read(name) {
+      const response = await client.send(new GetObjectCommand({ Bucket, Key: key(name) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async write(name, data) {
+      await client.send(new PutObjectCommand({
+        Bucket,
+        Key: key(name),
+        Body: data,
+        ContentType: CONTENT_TYPES[path.extname(name).slice(1)] || 'application/octet-stream',
+      }));
+    },
+
+    async delete(name) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key(name) }));
+    },
+
+    async exists(name) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket, Key: key(name) }));
+        return true;
+      } catch (error: any) {
+        if (error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    async list() {
+      const files: StoredFile[] = [];
+      let ContinuationToken: string | undefined;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: config.pathPrefix, ContinuationToken }));
+        for (const object of page.Contents || []) {
+          files.push({
+            path: object.Key.slice(config.pathPrefix.length),
+            size: object.Size ?? 0,
+            modifiedAt: object.LastModified ?? new Date(0),
+          });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    async quarantine(name, now) {
+      const destination = `${config.pathPrefix.replace(/\/$/, '-quarantine/')}${now.toISOString().slice(0, 10)}/${name}`;
+      await client.send(new CopyObjectCommand({
+        Bucket,
+        Key: destination,
+        CopySource: encodeURI(`${Bucket}/${key(name)}`),
+      }));
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key(name) }));
+    },
+  };
+}
+
+/**
+ * Storage of the image files, from IMAGES_STORAGE ("local" or "s3")
+ */
+export const imageStorage: ImageStorage = process.env.IMAGES_STORAGE === 's3'
+  ? createS3ImageStorage(getS3Config())
+  : localImageStorage;
+
+/**
+ * Keystone storage config of the Media file field, matching imageStorage
+ * Keystone keeps the files: media in the trash keep theirs until purged (trash.ts),
+ * replaced ones are deleted with their renditions by the Media hooks
+ */
+export function getKeystoneImageStorage(): StorageConfig {
+  if (imageStorage.kind === 'local') {
+    return {
+      kind: 'local',
+      type: 'image',
+      generateUrl: (filePath: string) => `${IMAGES_URL_PATH}${filePath}`,
+      serverRoute: {
+        path: IMAGES_URL_PATH,
+      },
+      storagePath: IMAGES_STORAGE_PATH,
+      preserve: true,
+    };
+  }
+
+  const config = getS3Config();
+  return {
+    kind: 's3',
+    type: 'image',
+    bucketName: config.bucketName,
+    region: config.region,
+    endpoint: config.endpoint,
+    accessKeyId: config.accessKeyId,
+    secretAccessKey: config.secretAccessKey,
+    forcePathStyle: config.forcePathStyle,
+    pathPrefix: config.pathPrefix,
+    // Keystone gives the unsigned object URL, ending with the file name
+    generateUrl: (url: string) => imageStorage.url(url.split('/').pop()),
+    preserve: true,
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Image Pipeline
+ * Converts uploads Keystone can't store (HEIC/HEIF), strips metadata from stored
+ * images and generates the responsive renditions (AVIF/WebP + JPEG fallback)
+ * served to the frontend. Files are read and written through imageStorage.
+ */
+
+import { Readable } from 'stream';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { image } from '@keystone-6/core/fields';
+import { imageStorage } from './image-storage';
+
+/**
+ * Renditions live in a subdirectory of the image storage, next to the originals
+ */
+const RENDITIONS_DIR = 'renditions';
+
+/**
+ * Longest side (px) of each rendition, images are never upscaled
+ */
+export const RENDITION_SIZES = {
+  thumbnail: 400,
+  medium: 960,
+  large: 1920,
+};
+
+const RENDITION_FORMATS = {
+  avif: { extension: 'avif', options: { quality: 50 } },
+  webp: { extension: 'webp', options: { quality: 75 } },
+  jpeg: { extension: 'jpg', options: { quality: 80, mozjpeg: true } },
+};
+
+export type RenditionSize = keyof typeof RENDITION_SIZES;
+export type Rendition = { width: number; height: number; avif: string; webp: string; jpeg: string };
+export type Renditions = Record<RenditionSize, Rendition>;
+
+async function streamToBuffer(stream: Readable): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * HEIF containers (HEIC from iPhones, AVIF) start with an ISO BMFF "ftyp" box
+ */
+function isHeifContainer(buffer: Buffer): boolean {
+  return buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp';
+}
+
+/**
+ * Convert a HEIF image to JPEG, or return null if it isn't one
+ */
+async function convertHeifToJpeg(buffer: Buffer): Promise<Buffer | null> {
+  if (!isHeifContainer(buffer)) {
+    return null;
+  }
+
+  try {
+    // AVIF decodes natively
+    return await sharp(buffer).jpeg({ quality: 90 }).toBuffer();
+  } catch {
+    // The prebuilt libvips has no HEVC decoder, HEIC goes through libheif (wasm)
+    const jpeg = await heicConvert({ buffer, format: 'JPEG', quality: 0.9 });
+    return Buffer.from(jpeg);
+  }
+}
+
+/**
+ * Resolve an upload into one Keystone can store, converting HEIF images to JPEG
+ */
+async function toStorableUpload(uploadPromise: Promise<any>): Promise<any> {
+  const upload = await uploadPromise;
+  const buffer = await streamToBuffer(upload.createReadStream());
+  const jpeg = await convertHeifToJpeg(buffer);
+
+  if (!jpeg) {
+    return { ...upload, createReadStream: () => Readable.from(buffer) };
+  }
+
+  return {
+    ...upload,
+    filename: upload.filename.replace(/\.[^.]*$/, '') + '.jpg',
+    mimetype: 'image/jpeg',
+    createReadStream: () => Readable.from(jpeg),
+  };
+}
+
+/**
+ * Image field accepting HEIC/HEIF uploads
+ * Same as Keystone's image field, the upload is converted before being stored.
+ */
+export function webImage(config: Parameters<typeof image>[0]): ReturnType<typeof image> {
+  const imageField = image(config);
+
+  return meta => {
+    const field: any = imageField(meta);
+    const withStorableUpload = (resolve: any) => (data: any, context: any) =>
+      resolve(data?.upload ? { ...data, upload: toStorableUpload(data.upload) } : data, context);
+
+    return {
+      ...field,
+      input: {
+        ...field.input,
+        create: { ...field.input.create, resolve: withStorableUpload(field.input.create.resolve) },
+        update: { ...field.input.update, resolve: withStorableUpload(field.input.update.resolve) },
+      },
+    };
+  };
+}
+
+/**
+ * Formats re-encoded to drop metadata (GIFs can't carry EXIF)
+ */
+const METADATA_FORMATS = {
+  jpg: { format: 'jpeg', options: { quality: 90, mozjpeg: true } },
+  png: { format: 'png', options: {} },
+  webp: { format: 'webp', options: { quality: 90 } },
+};
+
+/**
+ * Whether a stored image still carries EXIF (GPS, device serials...), XMP or IPTC metadata
+ */
+export async function hasImageMetadata(file: { id: string; extension: string }): Promise<boolean> {
+  if (!METADATA_FORMATS[file.extension]) {
+    return false;
+  }
+
+  const metadata = await sharp(await imageStorage.read(`${file.id}.${file.extension}`)).metadata();
+  return !!(metadata.exif || metadata.xmp || metadata.iptc || (metadata.orientation && metadata.orientation !== 1));
+}
+
+/**
+ * Rewrite a stored image without any metadata
+ * EXIF orientation is applied to the pixels first, so the new dimensions are returned.
+ */
+export async function stripImageMetadata(
+  file: { id: string; extension: string }
+): Promise<{ width: number; height: number; filesize: number } | null> {
+  const output = METADATA_FORMATS[file.extension];
+  if (!output) {
+    return null;
+  }
+
+  const name = `${file.id}.${file.extension}`;
+  const { data, info } = await sharp(await imageStorage.read(name))
+    .rotate()
+    .toFormat(output.format as keyof sharp.FormatEnum, output.options)
+    .toBuffer({ resolveWithObject: true });
+  await imageStorage.write(name, data);
+
+  return { width: info.width, height: info.height, filesize: info.size };
+}
+
+/**
+ * Generate every rendition of a stored image
+ * Written next to the originals, without metadata and with EXIF orientation applied.
+ */
+export async function generateRenditions(file: { id: string; extension: string }): Promise<Renditions> {
+  const original = sharp(await imageStorage.read(`${file.id}.${file.extension}`)).rotate();
+  const renditions: Partial<Renditions> = {};
+
+  for (const [size, maxDimension] of Object.entries(RENDITION_SIZES)) {
+    const resized = original.clone().resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true,
+    });
+    const rendition: Partial<Rendition> = {};
+
+    for (const [format, { extension, options }] of Object.entries(RENDITION_FORMATS)) {
+      const name = `${RENDITIONS_DIR}/${file.id}-${size}.${extension}`;
+      const { data, info } = await resized
+        .clone()
+        .toFormat(format as keyof sharp.FormatEnum, options)
+        .toBuffer({ resolveWithObject: true });
+      await imageStorage.write(name, data);
+
+      rendition.width = info.width;
+      rendition.height = info.height;
+      rendition[format] = imageStorage.url(name);
+    }
+
+    renditions[size] = rendition;
+  }
+
+  return renditions as Renditions;
+}
+
+/**
+ * Files of a stored image and of all its renditions, relative to the image storage
+ */
+export function imageFileNames(file: { id: string; extension: string }): string[] {
+  const names = [`${file.id}.${file.extension}`];
+  for (const size of Object.keys(RENDITION_SIZES)) {
+    for (const { extension } of Object.values(RENDITION_FORMATS)) {
+      names.push(`${RENDITIONS_DIR}/${file.id}-${size}.${extension}`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Whether the original of a stored image is still on disk
+ */
+export async function imageFileExists(file: { id: string; extension: string }): Promise<boolean> {
+  return imageStorage.exists(`${file.id}.${file.extension}`);
+}
+
+/**
+ * Delete a stored image and its renditions for good (files already gone are skipped)
+ * Keystone keeps the files of deleted items (preserve), this is the only place they go.
+ */
+export async function deleteImageFiles(file: { id: string; extension: string }): Promise<void> {
+  await Promise.all(imageFileNames(file).map(name => imageStorage.delete(name)));
+}
+
+/**
+ * Perceptual hash (dHash) of a stored image, as 16 hex digits
+ * Near-identical photos (resized, recompressed, slightly cropped) get hashes
+ * only a few bits apart, see hashDistance().
+ */
+export async function computePerceptualHash(file: { id: string; extension: string }): Promise<string> {
+  const pixels = await sharp(await imageStorage.read(`${file.id}.${file.extension}`))
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // One bit per pixel: brighter than its right neighbour
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ */
+export function hashDistance(a: string, b: string): number {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * (Re)generate the renditions and perceptual hash of a Media item and store them on it
+ * A failure is logged and leaves the item without renditions: the frontend
+ * then falls back to the original file.
+ */
+export async function updateMediaRenditions(context: any, mediaId: string): Promise<void> {
+  const media = await context.prisma.media.findUnique({
+    where: { id: mediaId },
+    select: { file_id: true, file_extension: true },
+  });
+
+  let renditions: Renditions | null = null;
+  let perceptualHash = '';
+
+  if (media?.file_id && media.file_extension) {
+    const file = { id: media.file_id, extension: media.file_extension };
+    try {
+      renditions = await generateRenditions(file);
+      perceptualHash = await computePerceptualHash(file);
+    } catch (error) {
+      console.error(`Error generating renditions for media ${mediaId}:`, error);
+    }
+  }
+
+  await context.prisma.media.update({
+    where: { id: mediaId },
+    data: { renditions: renditions ? JSON.stringify(renditions) : null, perceptualHash },
+  });
+}
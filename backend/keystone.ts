@@ -5,8 +5,15 @@ import { lists } from './schema';
 import express from 'express';
 import path from 'path';
 import cookieParser from 'cookie-parser';
-import rateLimit, { type Options } from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator, type Options } from 'express-rate-limit';
 import { validateMagicToken } from './auth';
+import { extendGraphqlSchema } from './graphql-extensions';
+import { getKeystoneImageStorage, imageStorage, IMAGES_URL_PATH } from './image-storage';
+import { initBuildScheduler, isValidBuildCallback, handleBuildCallback } from './builds';
+import { initDigestScheduler } from './digest';
+import { initBirthdayReminders } from './owner-notifications';
+import { initTrashPurge } from './trash';
+import { initOrphanedImagesCheck } from './orphaned-images';
 
 // Rate limit logging helper
 const logRateLimit = (type: string, req: any, info: { limit: number; current: number; remaining: number }) => {
@@ -66,16 +73,10 @@ export default withAuth(config({
     url: process.env.DATABASE_URL || 'file:../data/keystone.db',
   },
   lists,
+  extendGraphqlSchema,
   storage: {
-    local_images: {
-      kind: 'local',
-      type: 'image',
-      generateUrl: path => `/images${path}`,
-      serverRoute: {
-        path: '/images',
-      },
-      storagePath: '../data/images',
-    },
+    // Local disk or S3-compatible bucket, see image-storage.ts
+    images: getKeystoneImageStorage(),
   },
   server: {
     cors: {
@@ -99,6 +100,22 @@ export default withAuth(config({
         }
       };
 
+      // The frontend polls the build status after each change, only that exact query is exempt
+      const isBuildStatusQuery = (req: any) =>
+        req.method === 'GET' &&
+        typeof req.query?.query === 'string' &&
+        /^\s*query\s+FrontendBuildStatus\s*\{\s*frontendBuildStatus\s*\{[\w\s]*\}\s*\}\s*$/.test(req.query.query);
+
+      // Magic link users are limited per link rather than sharing their IP's limit
+      // (neighbours behind one home IP); a leaked link is also bounded by its quotas
+      const rateLimitKey = async (req: any) => {
+        const token = req.cookies?.magicToken;
+        if (token && (await validateMagicToken(token, context))) {
+          return `token:${token}`;
+        }
+        return ipKeyGenerator(req.ip);
+      };
+
       // Rate limiting
       const apiLimiter = rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
@@ -106,7 +123,8 @@ export default withAuth(config({
         standardHeaders: true,
         legacyHeaders: false,
         message: { error: 'Too many requests, please try again later.' },
-        skip: isAdmin,
+        keyGenerator: rateLimitKey,
+        skip: async (req, res) => isBuildStatusQuery(req) || isAdmin(req, res),
         handler: (req, res, next, options) => {
           logRateLimit('api_blocked', req, {
             limit: options.limit as number,
@@ -123,6 +141,7 @@ export default withAuth(config({
         standardHeaders: true,
         legacyHeaders: false,
         message: { error: 'Upload limit reached. Please try again later.' },
+        keyGenerator: rateLimitKey,
         skip: async (req, res) => {
           // Skip if not a file upload
           if (!req.headers['content-type']?.includes('multipart/form-data')) return true;
@@ -163,6 +182,61 @@ export default withAuth(config({
         res.json({ status: 'ok' });
       });
 
+      // Images in S3: backend URLs (private bucket, or stored before the move) redirect to the bucket
+      if (imageStorage.redirectUrl) {
+        app.get(`${IMAGES_URL_PATH}/*`, async (req, res) => {
+          const name = req.params[0];
+          if (!/^[\w-]+(\/[\w-]+)?\.[a-z]+$/.test(name)) {
+            return res.status(404).end();
+          }
+
+          try {
+            // Browsers reuse the redirect while the signed URL is still valid
+            res.setHeader('Cache-Control', 'private, max-age=600');
+            res.redirect(302, await imageStorage.redirectUrl(name));
+          } catch (error) {
+            console.error('Error redirecting to image:', error);
+            res.status(500).end();
+          }
+        });
+      }
+
+      // Deploy notifications from the frontend host (signed, raw body needed to verify)
+      app.post('/api/frontend-build-callback', express.raw({ type: '*/*' }), async (req, res) => {
+        if (!isValidBuildCallback(req.body, req.header('x-webhook-signature'))) {
+          return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        try {
+          const payload = JSON.parse(req.body.toString());
+          await handleBuildCallback(payload.state, payload.error_message);
+          res.json({ ok: true });
+        } catch (error) {
+          console.error('Error handling build callback:', error);
+          res.status(400).json({ error: 'Invalid payload' });
+        }
+      });
+
+      // Resume builds scheduled before a restart
+      initBuildScheduler(context);
+
+      // Daily/weekly notification digests
+      initDigestScheduler(context);
+
+      // Birthday reminders for owners subscribed to their dogs
+      initBirthdayReminders(context);
+
+      // Items left in the trash past the retention period are deleted for good
+      initTrashPurge(context);
+
+      // Image files no media item refers to anymore, and media items missing theirs
+      initOrphanedImagesCheck(context);
+
+      // VAPID public key, for owners subscribing to push notifications from the public site
+      app.get('/api/push-public-key', (req, res) => {
+        res.json({ publicKey: process.env.VAPID_PUBLIC_KEY || null });
+      });
+
       // Validate magic token endpoint
       app.get('/api/validate-magic-token', async (req, res) => {
         const token = req.cookies?.magicToken;
@@ -171,8 +245,8 @@ export default withAuth(config({
         }
 
         const keystoneContext = await context.withRequest(req, res);
-        const isValid = await validateMagicToken(token, keystoneContext);
-        res.json({ valid: isValid });
+        const scope = await validateMagicToken(token, keystoneContext);
+        res.json(scope ? { valid: true, scope } : { valid: false });
       });
 
       // Serve the admin service worker
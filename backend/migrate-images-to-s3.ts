@@ -0,0 +1,108 @@
+/**
+ * Migration Script: Move the image files to S3-compatible storage
+ *
+ * What this does:
+ * 1. Upload every file of data/images (originals and renditions) to the bucket set by
+ *    the S3_* variables, skipping files already there with the same size
+ * 2. Point the renditions of the Media items to the bucket (public bucket only: files
+ *    of a private bucket keep their backend URLs, redirected to signed ones)
+ *
+ * Media items only store the id and extension of their file, Keystone builds its URL
+ * from the storage: nothing else changes. Local files are left in place.
+ *
+ * Without downtime: run it while the backend still uses the local disk, set
+ * IMAGES_STORAGE=s3 and restart, then run it again for the photos uploaded in between.
+ * Once switched, the backend redirects the /images/ URLs still in the built site to the bucket.
+ * This is idempotent - safe to run multiple times.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { createS3ImageStorage, getS3Config, localImageStorage, IMAGES_URL_PATH } from './image-storage';
+
+async function migrate() {
+  console.log('🚀 Moving image files to S3...\n');
+
+  const context = getContext(config, PrismaModule);
+  const s3Storage = createS3ImageStorage(getS3Config());
+
+  const files = await localImageStorage.list();
+  const uploaded = new Map((await s3Storage.list()).map(file => [file.path, file.size]));
+
+  console.log(`Found ${files.length} files to upload\n`);
+
+  let copied = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  for (const file of files) {
+    if (uploaded.get(file.path) === file.size) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      await s3Storage.write(file.path, await localImageStorage.read(file.path));
+      console.log(`  ✨ ${file.path}`);
+      copied++;
+    } catch (error) {
+      console.error(`  ❌ Error uploading ${file.path}:`, error);
+      errors++;
+    }
+  }
+
+  // Renditions only point to the bucket once all the files are there
+  if (errors > 0) {
+    console.log('\n⚠️  Upload errors, rendition URLs left unchanged: run this again');
+    process.exit(1);
+  }
+
+  console.log('\nUpdating rendition URLs...\n');
+
+  const mediaItems = await context.prisma.media.findMany({
+    where: { renditions: { not: null } },
+    select: { id: true, name: true, renditions: true },
+  });
+
+  const localPrefix = `${IMAGES_URL_PATH}/`;
+  let updated = 0;
+
+  for (const media of mediaItems) {
+    const renditions = JSON.parse(media.renditions);
+    for (const rendition of Object.values<any>(renditions)) {
+      for (const format of ['avif', 'webp', 'jpeg']) {
+        if (rendition[format]?.startsWith(localPrefix)) {
+          rendition[format] = s3Storage.url(rendition[format].slice(localPrefix.length));
+        }
+      }
+    }
+
+    const json = JSON.stringify(renditions);
+    if (json === media.renditions) {
+      continue;
+    }
+
+    await context.prisma.media.update({
+      where: { id: media.id },
+      data: { renditions: json },
+    });
+    console.log(`  🔗 ${media.name} (${media.id})`);
+    updated++;
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Uploaded: ${copied}`);
+  console.log(`  Already in the bucket: ${skipped}`);
+  console.log(`  Media with updated renditions: ${updated}`);
+
+  console.log('\n✅ Image files moved successfully!');
+  console.log('   Set IMAGES_STORAGE=s3 and restart the backend, then run this again');
+
+  process.exit(0);
+}
+
+migrate().catch((error) => {
+  console.error('💥 Image migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ChangeLog" ADD COLUMN "isProposal" BOOLEAN NOT NULL DEFAULT false;
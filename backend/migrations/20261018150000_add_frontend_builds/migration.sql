@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "FrontendBuild" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "status" TEXT DEFAULT 'pending',
+    "reason" TEXT NOT NULL DEFAULT '',
+    "changeCount" INTEGER DEFAULT 0,
+    "attempts" INTEGER DEFAULT 0,
+    "error" TEXT NOT NULL DEFAULT '',
+    "requestedAt" DATETIME DEFAULT CURRENT_TIMESTAMP,
+    "scheduledFor" DATETIME,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
@@ -0,0 +1,16 @@
+-- Add scope to EditToken (existing links keep full access)
+ALTER TABLE "EditToken" ADD COLUMN "scope" TEXT NOT NULL DEFAULT 'all';
+
+-- Owner a scoped link is restricted to
+ALTER TABLE "EditToken" ADD COLUMN "owner" TEXT REFERENCES "Owner" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "EditToken_owner_idx" ON "EditToken"("owner");
+
+-- CreateTable for the dogs a scoped link is restricted to
+CREATE TABLE "_EditToken_dogs" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+    CONSTRAINT "_EditToken_dogs_A_fkey" FOREIGN KEY ("A") REFERENCES "Dog" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "_EditToken_dogs_B_fkey" FOREIGN KEY ("B") REFERENCES "EditToken" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX "_EditToken_dogs_AB_unique" ON "_EditToken_dogs"("A", "B");
+CREATE INDEX "_EditToken_dogs_B_index" ON "_EditToken_dogs"("B");
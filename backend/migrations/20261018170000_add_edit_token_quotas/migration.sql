@@ -0,0 +1,13 @@
+-- Optional quotas on EditToken (NULL = no limit)
+ALTER TABLE "EditToken" ADD COLUMN "maxUploadsPerDay" INTEGER;
+ALTER TABLE "EditToken" ADD COLUMN "maxEditsPerHour" INTEGER;
+ALTER TABLE "EditToken" ADD COLUMN "maxUses" INTEGER;
+
+-- Usage counters for the current upload (24 h) and edit (1 h) windows
+ALTER TABLE "EditToken" ADD COLUMN "uploadCount" INTEGER DEFAULT 0;
+ALTER TABLE "EditToken" ADD COLUMN "uploadWindowStart" DATETIME;
+ALTER TABLE "EditToken" ADD COLUMN "editCount" INTEGER DEFAULT 0;
+ALTER TABLE "EditToken" ADD COLUMN "editWindowStart" DATETIME;
+
+-- Set when a token is deactivated for exceeding a quota
+ALTER TABLE "EditToken" ADD COLUMN "deactivatedReason" TEXT NOT NULL DEFAULT '';
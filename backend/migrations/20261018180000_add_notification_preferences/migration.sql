@@ -0,0 +1,7 @@
+-- Notification channels chosen by each admin (both on by default)
+ALTER TABLE "User" ADD COLUMN "notifyByPush" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "User" ADD COLUMN "notifyByEmail" BOOLEAN NOT NULL DEFAULT true;
+
+-- Admin a push subscription belongs to
+ALTER TABLE "PushSubscription" ADD COLUMN "user" TEXT REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "PushSubscription_user_idx" ON "PushSubscription"("user");
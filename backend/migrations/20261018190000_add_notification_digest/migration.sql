@@ -0,0 +1,4 @@
+-- Send change notifications one by one (immediate) or as a daily/weekly digest
+ALTER TABLE "Settings" ADD COLUMN "notificationFrequency" TEXT DEFAULT 'immediate';
+ALTER TABLE "Settings" ADD COLUMN "digestHour" INTEGER NOT NULL DEFAULT 8;
+ALTER TABLE "Settings" ADD COLUMN "lastDigestSentAt" DATETIME;
@@ -0,0 +1,6 @@
+-- Magic link an owner subscribed with (their dogs are the ones they get notified about)
+ALTER TABLE "PushSubscription" ADD COLUMN "editToken" TEXT REFERENCES "EditToken" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "PushSubscription_editToken_idx" ON "PushSubscription"("editToken");
+
+-- Day the birthday reminders were last sent
+ALTER TABLE "Settings" ADD COLUMN "lastBirthdayReminderAt" DATETIME;
@@ -0,0 +1,57 @@
+-- Breed and Coat lists, replacing the free-text Dog.breed and Dog.coat
+CREATE TABLE "Breed" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL DEFAULT '',
+    "synonyms" TEXT NOT NULL DEFAULT ''
+);
+CREATE UNIQUE INDEX "Breed_name_key" ON "Breed"("name");
+
+CREATE TABLE "Coat" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL DEFAULT '',
+    "synonyms" TEXT NOT NULL DEFAULT ''
+);
+CREATE UNIQUE INDEX "Coat_name_key" ON "Coat"("name");
+
+-- Breeds of each dog
+CREATE TABLE "_Breed_dogs" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+    CONSTRAINT "_Breed_dogs_A_fkey" FOREIGN KEY ("A") REFERENCES "Breed" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "_Breed_dogs_B_fkey" FOREIGN KEY ("B") REFERENCES "Dog" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX "_Breed_dogs_AB_unique" ON "_Breed_dogs"("A", "B");
+CREATE INDEX "_Breed_dogs_B_index" ON "_Breed_dogs"("B");
+
+ALTER TABLE "Dog" ADD COLUMN "isMixedBreed" BOOLEAN NOT NULL DEFAULT false;
+
+-- One item per distinct free-text value, ignoring case and surrounding spaces.
+-- `npm run vocabularies:normalize` then merges synonyms and extracts crosses ("Labrador (croisé)")
+INSERT INTO "Breed" ("id", "name")
+SELECT lower(hex(randomblob(12))), MIN(trim("breed"))
+FROM "Dog"
+WHERE trim("breed") <> ''
+GROUP BY lower(trim("breed"));
+
+INSERT INTO "_Breed_dogs" ("A", "B")
+SELECT "Breed"."id", "Dog"."id"
+FROM "Dog"
+JOIN "Breed" ON lower("Breed"."name") = lower(trim("Dog"."breed"));
+
+INSERT INTO "Coat" ("id", "name")
+SELECT lower(hex(randomblob(12))), MIN(trim("coat"))
+FROM "Dog"
+WHERE trim("coat") <> ''
+GROUP BY lower(trim("coat"));
+
+-- The coat relationship column takes the name of the text column it replaces
+ALTER TABLE "Dog" RENAME COLUMN "coat" TO "coatText";
+ALTER TABLE "Dog" ADD COLUMN "coat" TEXT REFERENCES "Coat" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX "Dog_coat_idx" ON "Dog"("coat");
+
+UPDATE "Dog" SET "coat" = (
+    SELECT "Coat"."id" FROM "Coat" WHERE lower("Coat"."name") = lower(trim("Dog"."coatText"))
+);
+
+ALTER TABLE "Dog" DROP COLUMN "coatText";
+ALTER TABLE "Dog" DROP COLUMN "breed";
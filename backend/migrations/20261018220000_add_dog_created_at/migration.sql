@@ -0,0 +1,35 @@
+-- Date a dog was added (for "recently added" on the home page)
+-- SQLite can't add a column defaulting to CURRENT_TIMESTAMP to a filled table: the table is rebuilt
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Dog" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL DEFAULT '',
+    "sex" TEXT,
+    "birthday" TEXT,
+    "owner" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "isMixedBreed" BOOLEAN NOT NULL DEFAULT false,
+    "coat" TEXT,
+    "createdAt" DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Dog_owner_fkey" FOREIGN KEY ("owner") REFERENCES "Owner" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Dog_coat_fkey" FOREIGN KEY ("coat") REFERENCES "Coat" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- Existing dogs: date of their creation in the change log when it was logged, the migration's otherwise
+INSERT INTO "new_Dog" ("id", "name", "sex", "birthday", "owner", "status", "isMixedBreed", "coat", "createdAt")
+SELECT "id", "name", "sex", "birthday", "owner", "status", "isMixedBreed", "coat", COALESCE((
+    SELECT MIN("ChangeLog"."timestamp")
+    FROM "ChangeLog"
+    WHERE "ChangeLog"."entityType" = 'Dog'
+      AND "ChangeLog"."entityId" = "Dog"."id"
+      AND "ChangeLog"."operation" = 'create'
+), CURRENT_TIMESTAMP)
+FROM "Dog";
+
+DROP TABLE "Dog";
+ALTER TABLE "new_Dog" RENAME TO "Dog";
+CREATE INDEX "Dog_owner_idx" ON "Dog"("owner");
+CREATE INDEX "Dog_coat_idx" ON "Dog"("coat");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
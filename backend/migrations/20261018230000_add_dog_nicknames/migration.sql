@@ -0,0 +1,2 @@
+-- Other names a dog answers to, matched by the search
+ALTER TABLE "Dog" ADD COLUMN "nicknames" TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,2 @@
+-- Perceptual hash of each photo, to find the same photo uploaded for two dogs
+ALTER TABLE "Media" ADD COLUMN "perceptualHash" TEXT NOT NULL DEFAULT '';
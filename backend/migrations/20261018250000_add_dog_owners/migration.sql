@@ -0,0 +1,19 @@
+-- Owners of each dog, replacing the single Dog.owner
+CREATE TABLE "_Dog_owners" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+    CONSTRAINT "_Dog_owners_A_fkey" FOREIGN KEY ("A") REFERENCES "Dog" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "_Dog_owners_B_fkey" FOREIGN KEY ("B") REFERENCES "Owner" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX "_Dog_owners_AB_unique" ON "_Dog_owners"("A", "B");
+CREATE INDEX "_Dog_owners_B_index" ON "_Dog_owners"("B");
+
+INSERT INTO "_Dog_owners" ("A", "B")
+SELECT "id", "owner"
+FROM "Dog"
+WHERE "owner" IS NOT NULL;
+
+-- The single owner becomes the dog's primary contact
+DROP INDEX IF EXISTS "Dog_owner_idx";
+ALTER TABLE "Dog" RENAME COLUMN "owner" TO "primaryOwner";
+CREATE INDEX "Dog_primaryOwner_idx" ON "Dog"("primaryOwner");
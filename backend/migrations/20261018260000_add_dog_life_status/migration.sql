@@ -0,0 +1,3 @@
+-- Lifecycle of a dog: in the neighbourhood, moved away or deceased (with its date)
+ALTER TABLE "Dog" ADD COLUMN "lifeStatus" TEXT DEFAULT 'active';
+ALTER TABLE "Dog" ADD COLUMN "deceasedAt" TEXT;
@@ -0,0 +1,7 @@
+-- Dogs, owners and media in the trash (NULL = not in the trash)
+ALTER TABLE "Dog" ADD COLUMN "deletedAt" DATETIME;
+ALTER TABLE "Owner" ADD COLUMN "deletedAt" DATETIME;
+ALTER TABLE "Media" ADD COLUMN "deletedAt" DATETIME;
+
+-- Days before items in the trash are deleted for good
+ALTER TABLE "Settings" ADD COLUMN "trashRetentionDays" INTEGER NOT NULL DEFAULT 30;
@@ -0,0 +1,128 @@
+/**
+ * A Priori Moderation
+ * In a_priori mode, field edits made without an admin session are not written
+ * to the entity. They are staged as a pending ChangeLog entry (isProposal) and
+ * only applied when an admin accepts that entry. Fields the ChangeLog doesn't
+ * track can't be reviewed, so non-admins can't edit them in this mode.
+ */
+
+import { detectChanges, isTrackedField, nameRelatedItems, createChangesSummary, logChange, SNAPSHOT_QUERIES } from './change-logging';
+import { sendChangeNotification } from './notifications';
+import { writeFieldValues } from './revert';
+
+type EntityType = 'Dog' | 'Owner' | 'Media';
+
+/**
+ * Stage field edits as a proposal instead of writing them
+ * Call from resolveInput on update: removes every submitted field from resolvedData
+ * and keeps the detected changes on the context until afterOperation logs them.
+ */
+export async function stageProposedChanges(
+  entityType: EntityType,
+  { operation, item, inputData, resolvedData, context }: any
+): Promise<void> {
+  if (operation !== 'update' || context.session) {
+    return;
+  }
+
+  const settings = await context.query.Settings.findOne({
+    query: 'moderationMode',
+  });
+
+  if (settings?.moderationMode !== 'a_priori') {
+    return;
+  }
+
+  const untrackedFields = Object.keys(inputData).filter(field => !isTrackedField(entityType, field));
+  if (untrackedFields.length > 0) {
+    throw new Error(`Ces champs ne peuvent pas être modifiés en attendant la modération: ${untrackedFields.join(', ')}`);
+  }
+
+  const oldItem = await context.query[entityType].findOne({
+    where: { id: item.id },
+    query: SNAPSHOT_QUERIES[entityType],
+  });
+
+  // Nested creates (e.g. a new owner) already ran: the new item is staged as a connect
+  const proposedInput = Object.fromEntries(
+    Object.entries(inputData).map(([field, value]: [string, any]) =>
+      [field, value && typeof value === 'object' && 'create' in value ? resolvedData[field] : value]
+    )
+  );
+
+  const changes = await nameRelatedItems(context, entityType, detectChanges(entityType, oldItem, proposedInput));
+
+  // Every submitted field waits for the proposal, unchanged ones included
+  for (const field of Object.keys(inputData)) {
+    delete resolvedData[field];
+  }
+
+  if (changes.length === 0) {
+    return;
+  }
+
+  context._proposedChanges = context._proposedChanges || {};
+  context._proposedChanges[`${entityType}:${item.id}`] = changes;
+}
+
+/**
+ * Retrieve (and clear) the changes staged for an entity during this operation
+ */
+export function takeProposedChanges(context: any, entityType: EntityType, id: string): any[] | null {
+  const key = `${entityType}:${id}`;
+  const changes = context._proposedChanges?.[key];
+
+  if (!changes) {
+    return null;
+  }
+
+  delete context._proposedChanges[key];
+  return changes;
+}
+
+/**
+ * Log staged changes as a pending proposal and notify admins
+ */
+export async function logProposedChanges(
+  context: any,
+  data: { entityType: EntityType; entityId: string; entityName: string; changes: any[]; dogId?: string }
+): Promise<void> {
+  const changesSummary = createChangesSummary(data.entityType, data.entityName, data.changes);
+
+  await logChange(context, {
+    entityType: data.entityType,
+    entityId: data.entityId,
+    entityName: data.entityName,
+    operation: 'update',
+    changes: data.changes,
+    changesSummary: `Proposition: ${changesSummary}`,
+    status: 'pending',
+    isProposal: true,
+    dogId: data.dogId,
+  });
+
+  await sendChangeNotification(context, {
+    entityType: data.entityType,
+    entityName: data.entityName,
+    operation: 'update',
+    changes: data.changes,
+  });
+}
+
+/**
+ * Apply the changes of an accepted proposal to its entity
+ */
+export async function applyProposedChange(context: any, entry: any): Promise<void> {
+  const exists = await context.query[entry.entityType].findOne({
+    where: { id: entry.entityId },
+    query: 'id',
+  });
+
+  if (!exists) {
+    throw new Error('Cette entité n\'existe plus');
+  }
+
+  const fieldChanges = (entry.changes && (typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes)) || [];
+
+  await writeFieldValues(context, entry.entityType, entry.entityId, fieldChanges, 'newValue');
+}
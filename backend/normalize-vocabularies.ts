@@ -0,0 +1,253 @@
+/**
+ * Migration Script: Normalize the Breed and Coat lists
+ *
+ * The database migration turned each distinct free-text breed and coat into
+ * an item. What this does:
+ * 1. Add common breeds and coats with their synonyms, merging the items they match
+ * 2. Split crosses ("Labrador (croisé)", "Husky x Berger") into their breeds,
+ *    marking the dogs as mixed breed
+ * 3. Merge items whose name is a synonym of another item
+ *
+ * Merged names are kept as synonyms. This is idempotent - safe to run multiple times.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { normalizeTerm, parseSynonyms, parseBreedText, vocabularyTerms, VocabularyType } from './vocabularies';
+
+type VocabularyItem = { id: string; name: string; synonyms: string };
+
+const COMMON_BREEDS: Array<[string, string[]]> = [
+  ['Labrador', ['labrador retriever', 'labra']],
+  ['Golden Retriever', ['golden']],
+  ['Berger Allemand', ['german shepherd']],
+  ['Berger Australien', ['australian shepherd', 'aussie']],
+  ['Berger Blanc Suisse', ['berger blanc']],
+  ['Malinois', ['berger belge malinois', 'berger belge']],
+  ['Border Collie', ['border']],
+  ['Jack Russell Terrier', ['jack russell', 'jack russel']],
+  ['Bouledogue Français', ['french bulldog', 'bouledogue']],
+  ['Staffordshire Bull Terrier', ['staffie', 'staff']],
+  ['Cavalier King Charles', ['cavalier', 'king charles']],
+  ['Cocker Spaniel', ['cocker']],
+  ['Épagneul Breton', ['breton']],
+  ['Beagle', []],
+  ['Chihuahua', []],
+  ['Shih Tzu', ['shitzu']],
+  ['Teckel', ['dachshund']],
+  ['Husky Sibérien', ['husky', 'siberian husky']],
+  ['Yorkshire Terrier', ['yorkshire', 'yorkie']],
+  ['Caniche', ['poodle']],
+  ['Bichon Maltais', ['bichon', 'maltais']],
+  ['Spitz Nain', ['loulou de poméranie', 'pomeranian']],
+];
+
+const COMMON_COATS: Array<[string, string[]]> = [
+  ['Noir', ['noire']],
+  ['Blanc', ['blanche']],
+  ['Marron', ['chocolat', 'brun', 'brune']],
+  ['Fauve', ['sable']],
+  ['Crème', ['beige']],
+  ['Roux', ['rousse']],
+  ['Gris', ['grise']],
+  ['Bringé', ['bringée']],
+  ['Merle', ['bleu merle']],
+  ['Tricolore', ['tricolor']],
+  ['Noir et blanc', ['noir & blanc', 'noire et blanche']],
+  ['Noir et feu', ['noir & feu']],
+];
+
+const MODELS: Record<VocabularyType, string> = {
+  Breed: 'breed',
+  Coat: 'coat',
+};
+
+const stats = { created: 0, merged: 0, split: 0 };
+
+/**
+ * Add terms to an item's synonyms, skipping the ones it's already known by
+ */
+function withSynonyms(item: VocabularyItem, terms: string[]): string {
+  const known = vocabularyTerms(item);
+  const synonyms = parseSynonyms(item.synonyms);
+
+  for (const term of terms) {
+    const normalized = normalizeTerm(term);
+    if (normalized && !known.includes(normalized)) {
+      synonyms.push(term.trim());
+      known.push(normalized);
+    }
+  }
+
+  return synonyms.join('\n');
+}
+
+/**
+ * Move the dogs of an item to another one and delete it, keeping its terms as synonyms
+ */
+async function mergeInto(prisma: any, type: VocabularyType, source: VocabularyItem, target: VocabularyItem) {
+  if (type === 'Breed') {
+    const dogs = await prisma.dog.findMany({
+      where: { breeds: { some: { id: source.id } } },
+      select: { id: true },
+    });
+    await prisma.breed.update({
+      where: { id: target.id },
+      data: { dogs: { connect: dogs.map((dog: any) => ({ id: dog.id })) } },
+    });
+  } else {
+    await prisma.dog.updateMany({
+      where: { coatId: source.id },
+      data: { coatId: target.id },
+    });
+  }
+
+  await prisma[MODELS[type]].delete({ where: { id: source.id } });
+
+  target.synonyms = withSynonyms(target, [source.name, ...parseSynonyms(source.synonyms)]);
+  await prisma[MODELS[type]].update({
+    where: { id: target.id },
+    data: { synonyms: target.synonyms },
+  });
+
+  console.log(`  🔀 "${source.name}" → "${target.name}"`);
+  stats.merged++;
+}
+
+/**
+ * Add the common items, merging the existing ones they match
+ */
+async function seed(prisma: any, type: VocabularyType, common: Array<[string, string[]]>) {
+  for (const [name, synonyms] of common) {
+    const items: VocabularyItem[] = await prisma[MODELS[type]].findMany();
+    const terms = vocabularyTerms({ name, synonyms: synonyms.join('\n') });
+    const matches = items.filter(item => vocabularyTerms(item).some(term => terms.includes(term)));
+
+    let target = matches.find(item => normalizeTerm(item.name) === normalizeTerm(name)) || matches[0];
+
+    if (!target) {
+      target = await prisma[MODELS[type]].create({
+        data: { name, synonyms: synonyms.join('\n') },
+      }) as VocabularyItem;
+      console.log(`  ✨ Added "${name}"`);
+      stats.created++;
+      continue;
+    }
+
+    for (const match of matches) {
+      if (match.id !== target.id) {
+        await mergeInto(prisma, type, match, target);
+      }
+    }
+
+    const updated = withSynonyms(target, [name, ...synonyms]);
+    if (updated !== target.synonyms) {
+      target.synonyms = updated;
+      await prisma[MODELS[type]].update({
+        where: { id: target.id },
+        data: { synonyms: updated },
+      });
+    }
+  }
+}
+
+/**
+ * Replace breeds written as crosses by the breeds they name
+ */
+async function splitCrosses(prisma: any) {
+  const breeds: VocabularyItem[] = await prisma.breed.findMany();
+
+  for (const breed of breeds) {
+    const { names, isMixedBreed } = parseBreedText(breed.name);
+    if (!isMixedBreed && names.length === 1) continue;
+
+    console.log(`  ✂️  "${breed.name}" → ${names.length > 0 ? names.map(name => `"${name}"`).join(' × ') : '(race inconnue)'}, croisé`);
+
+    // Find or create the breeds the cross is made of
+    const parts: VocabularyItem[] = [];
+    for (const name of names) {
+      const items: VocabularyItem[] = await prisma.breed.findMany();
+      const existing = items.find(item => item.id !== breed.id && vocabularyTerms(item).includes(normalizeTerm(name)));
+      if (existing) {
+        parts.push(existing);
+      } else {
+        parts.push(await prisma.breed.create({ data: { name, synonyms: '' } }));
+        stats.created++;
+      }
+    }
+
+    const dogs = await prisma.dog.findMany({
+      where: { breeds: { some: { id: breed.id } } },
+      select: { id: true },
+    });
+
+    for (const dog of dogs) {
+      await prisma.dog.update({
+        where: { id: dog.id },
+        data: {
+          isMixedBreed: true,
+          breeds: {
+            disconnect: [{ id: breed.id }],
+            connect: parts.map(part => ({ id: part.id })),
+          },
+        },
+      });
+    }
+
+    await prisma.breed.delete({ where: { id: breed.id } });
+    stats.split++;
+  }
+}
+
+/**
+ * Merge items whose name is known by another item
+ */
+async function mergeSynonyms(prisma: any, type: VocabularyType) {
+  const items: VocabularyItem[] = await prisma[MODELS[type]].findMany({ orderBy: { name: 'asc' } });
+  const merged = new Set<string>();
+
+  for (const item of items) {
+    if (merged.has(item.id)) continue;
+
+    const duplicates = items.filter(other =>
+      other.id !== item.id &&
+      !merged.has(other.id) &&
+      vocabularyTerms(item).includes(normalizeTerm(other.name))
+    );
+
+    for (const duplicate of duplicates) {
+      await mergeInto(prisma, type, duplicate, item);
+      merged.add(duplicate.id);
+    }
+  }
+}
+
+async function normalize() {
+  console.log('🚀 Normalizing breeds and coats...\n');
+
+  const context = getContext(config, PrismaModule);
+  const prisma = context.prisma;
+
+  console.log('🐕 Breeds');
+  await seed(prisma, 'Breed', COMMON_BREEDS);
+  await splitCrosses(prisma);
+  await mergeSynonyms(prisma, 'Breed');
+
+  console.log('\n🎨 Coats');
+  await seed(prisma, 'Coat', COMMON_COATS);
+  await mergeSynonyms(prisma, 'Coat');
+
+  console.log('\n📊 Summary:');
+  console.log(`  Added: ${stats.created}`);
+  console.log(`  Merged: ${stats.merged}`);
+  console.log(`  Crosses split: ${stats.split}`);
+
+  console.log('\n✅ Normalization completed! The site shows the changes after its next build.');
+  process.exit(0);
+}
+
+normalize().catch((error) => {
+  console.error('💥 Normalization failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,258 @@
+/**
+ * Notification Transports
+ * Delivers admin notifications over every configured channel (Web Push, email).
+ * Each admin chooses their channels on their User item; a transport only sends
+ * to the admins who opted in.
+ *
+ * Add a channel by implementing NotificationTransport and calling registerTransport().
+ */
+
+import webpush from 'web-push';
+import nodemailer, { Transporter } from 'nodemailer';
+
+export interface NotificationPayload {
+  title: string;
+  body: string;
+  icon?: string;
+  badge?: string;
+  data?: any;
+  /** Listed in emails only, push notifications show the title and body */
+  links?: Array<{ label: string; url: string }>;
+}
+
+/**
+ * Admin user with their channel preferences
+ */
+export interface AdminRecipient {
+  id: string;
+  name: string;
+  email: string;
+  notifyByPush: boolean;
+  notifyByEmail: boolean;
+}
+
+export interface NotificationTransport {
+  name: string;
+  isEnabled(): boolean;
+  send(context: any, recipients: AdminRecipient[], payload: NotificationPayload): Promise<void>;
+}
+
+const transports: NotificationTransport[] = [];
+
+export function registerTransport(transport: NotificationTransport): void {
+  transports.push(transport);
+}
+
+/**
+ * Send a notification to admins over every enabled transport
+ * A failing transport doesn't prevent the others from sending
+ */
+export async function notifyAdmins(context: any, payload: NotificationPayload): Promise<void> {
+  const enabled = transports.filter(transport => transport.isEnabled());
+  if (enabled.length === 0) {
+    return;
+  }
+
+  const recipients: AdminRecipient[] = await context.prisma.user.findMany({
+    select: { id: true, name: true, email: true, notifyByPush: true, notifyByEmail: true },
+  });
+
+  await Promise.all(enabled.map(async transport => {
+    try {
+      await transport.send(context, recipients, payload);
+    } catch (error) {
+      console.error(`[Notifications] ${transport.name} transport failed:`, error);
+    }
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Web Push
+// ---------------------------------------------------------------------------
+
+let vapidInitialized = false;
+
+// Initialize web-push with VAPID keys
+// Called lazily on first use to ensure .env is loaded
+function initializeVapid() {
+  if (vapidInitialized) return;
+
+  const vapidPublicKey = process.env.VAPID_PUBLIC_KEY || '';
+  const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY || '';
+  const vapidSubject = process.env.VAPID_SUBJECT || 'mailto:admin@dogbook.com';
+
+  if (vapidPublicKey && vapidPrivateKey) {
+    webpush.setVapidDetails(
+      vapidSubject,
+      vapidPublicKey,
+      vapidPrivateKey
+    );
+    vapidInitialized = true;
+  } else {
+    console.error('[Notifications] VAPID keys not configured! Push notifications will not work.');
+  }
+}
+
+/**
+ * Send push notification to specific subscriptions
+ */
+export async function sendPushNotificationToSubscriptions(
+  context: any,
+  subscriptions: any[],
+  payload: NotificationPayload
+): Promise<void> {
+  // Initialize VAPID keys (happens once on first send)
+  initializeVapid();
+
+  if (subscriptions.length === 0) {
+    return;
+  }
+
+  // Send notification to each subscription
+  const promises = subscriptions.map(async (sub: any) => {
+    try {
+      const subscription = {
+        endpoint: sub.endpoint,
+        keys: JSON.parse(sub.keys),
+      };
+
+      await webpush.sendNotification(
+        subscription,
+        JSON.stringify(payload)
+      );
+    } catch (error: any) {
+      console.error(`Failed to send push to ${sub.endpoint}:`, error.statusCode || error.message);
+
+      // If subscription is invalid or expired (404 Not Found, 410 Gone), delete it
+      // This happens when users unsubscribe, clear browser data, or subscriptions expire
+      if (error.statusCode === 410 || error.statusCode === 404) {
+        console.log(`Removing stale push subscription: ${sub.endpoint}`);
+        await context.prisma.pushSubscription.delete({
+          where: { id: sub.id },
+        }).catch(() => undefined);
+      }
+    }
+  });
+
+  await Promise.all(promises);
+}
+
+export const webPushTransport: NotificationTransport = {
+  name: 'webpush',
+
+  isEnabled: () => !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+
+  async send(context, recipients, payload) {
+    // Subscriptions created before they were linked to an admin keep receiving
+    const optedIn = recipients.filter(admin => admin.notifyByPush).map(admin => admin.id);
+
+    const subscriptions = await context.prisma.pushSubscription.findMany({
+      where: {
+        receivesAdminNotifications: true,
+        OR: [{ userId: null }, { userId: { in: optedIn } }],
+      },
+      select: { id: true, endpoint: true, keys: true },
+    });
+
+    await sendPushNotificationToSubscriptions(context, subscriptions, payload);
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Email (SMTP)
+// ---------------------------------------------------------------------------
+
+let mailer: Transporter | null = null;
+
+function getMailer(): Transporter {
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailer;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * French email for a notification, linking to the admin UI
+ */
+export function renderNotificationEmail(payload: NotificationPayload, recipientName?: string) {
+  const adminUrl = process.env.BACKEND_URL || 'http://localhost:3000';
+  const link = `${adminUrl}${payload.data?.url || '/'}`;
+  const greeting = recipientName ? `Bonjour ${recipientName},` : 'Bonjour,';
+
+  const text = [
+    greeting,
+    '',
+    payload.body,
+    '',
+    ...(payload.links || []).map(item => `- ${item.label} : ${item.url}`),
+    ...(payload.links?.length ? [''] : []),
+    `Voir dans l'administration : ${link}`,
+    '',
+    '--',
+    'Trombi Maisons-Doggo',
+    'Vous recevez cet email car les notifications par email sont activées sur votre compte administrateur.',
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="fr">
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2937; line-height: 1.5;">
+  <p>${escapeHtml(greeting)}</p>
+  <p style="white-space: pre-line;">${escapeHtml(payload.body)}</p>
+  ${payload.links?.length ? `<ul>
+    ${payload.links.map(item => `<li><a href="${escapeHtml(item.url)}" style="color: #2c5f2d;">${escapeHtml(item.label)}</a></li>`).join('\n    ')}
+  </ul>` : ''}
+  <p>
+    <a href="${escapeHtml(link)}" style="display: inline-block; padding: 10px 18px; background-color: #2c5f2d; color: #ffffff; border-radius: 6px; text-decoration: none;">
+      Voir dans l'administration
+    </a>
+  </p>
+  <p style="margin-top: 32px; font-size: 12px; color: #6b7280;">
+    Trombi Maisons-Doggo<br>
+    Vous recevez cet email car les notifications par email sont activées sur votre compte administrateur.
+  </p>
+</body>
+</html>`;
+
+  return { subject: payload.title, text, html };
+}
+
+export const emailTransport: NotificationTransport = {
+  name: 'email',
+
+  isEnabled: () => !!process.env.SMTP_HOST,
+
+  async send(context, recipients, payload) {
+    const from = process.env.SMTP_FROM || 'Trombi Maisons-Doggo <no-reply@localhost>';
+
+    await Promise.all(
+      recipients
+        .filter(admin => admin.notifyByEmail && admin.email)
+        .map(async admin => {
+          const { subject, text, html } = renderNotificationEmail(payload, admin.name);
+          try {
+            await getMailer().sendMail({ from, to: admin.email, subject, text, html });
+          } catch (error: any) {
+            console.error(`Failed to send email to ${admin.email}:`, error.message);
+          }
+        })
+    );
+  },
+};
+
+registerTransport(webPushTransport);
+registerTransport(emailTransport);
@@ -1,97 +1,18 @@
-import webpush from 'web-push';
 import { createNotificationMessage } from './change-logging';
-
-let vapidInitialized = false;
-
-// Initialize web-push with VAPID keys
-// Called lazily on first use to ensure .env is loaded
-function initializeVapid() {
-  if (vapidInitialized) return;
-
-  const vapidPublicKey = process.env.VAPID_PUBLIC_KEY || '';
-  const vapidPrivateKey = process.env.VAPID_PRIVATE_KEY || '';
-  const vapidSubject = process.env.VAPID_SUBJECT || 'mailto:admin@dogbook.com';
-
-  if (vapidPublicKey && vapidPrivateKey) {
-    webpush.setVapidDetails(
-      vapidSubject,
-      vapidPublicKey,
-      vapidPrivateKey
-    );
-    vapidInitialized = true;
-  } else {
-    console.error('[Notifications] VAPID keys not configured! Push notifications will not work.');
-  }
-}
-
-interface NotificationPayload {
-  title: string;
-  body: string;
-  icon?: string;
-  badge?: string;
-  data?: any;
-}
-
-/**
- * Send push notification to specific subscriptions
- */
-async function sendPushNotificationToSubscriptions(
-  context: any,
-  subscriptions: any[],
-  payload: NotificationPayload
-): Promise<void> {
-  // Initialize VAPID keys (happens once on first send)
-  initializeVapid();
-
-  if (subscriptions.length === 0) {
-    return;
-  }
-
-  // Send notification to each subscription
-  const promises = subscriptions.map(async (sub: any) => {
-    try {
-      const subscription = {
-        endpoint: sub.endpoint,
-        keys: JSON.parse(sub.keys),
-      };
-
-      await webpush.sendNotification(
-        subscription,
-        JSON.stringify(payload)
-      );
-    } catch (error: any) {
-      console.error(`Failed to send push to ${sub.endpoint}:`, error.statusCode || error.message);
-
-      // If subscription is invalid or expired (404 Not Found, 410 Gone), delete it
-      // This happens when users unsubscribe, clear browser data, or subscriptions expire
-      if (error.statusCode === 410 || error.statusCode === 404) {
-        console.log(`Removing stale push subscription: ${sub.endpoint}`);
-        await context.query.PushSubscription.deleteOne({
-          where: { id: sub.id },
-        });
-      }
-    }
-  });
-
-  await Promise.all(promises);
-}
+import { notifyAdmins } from './notification-transports';
+import { isDigestMode } from './digest';
 
 /**
  * Send notification when a new photo is uploaded
- * Only sends to admin subscriptions
+ * Only sends to admins
  */
 export async function sendUploadNotification(
   item: any,
   context: any
 ): Promise<void> {
   try {
-    // Get admin subscriptions only
-    const adminSubscriptions = await context.query.PushSubscription.findMany({
-      where: { receivesAdminNotifications: { equals: true } },
-      query: 'id endpoint keys',
-    });
-
-    if (adminSubscriptions.length === 0) {
+    // Reported in the next digest instead
+    if (await isDigestMode(context)) {
       return;
     }
 
@@ -116,22 +37,24 @@ export async function sendUploadNotification(
     let title: string;
     let body: string;
 
+    const kind = item.type === 'video' ? 'vidéo' : 'photo';
+
     if (moderationMode === 'a_priori') {
-      title = '🐕 Nouvelle photo à approuver';
-      body = `Une photo de ${dogName} attend votre approbation.`;
+      title = `🐕 Nouvelle ${kind} à approuver`;
+      body = `Une ${kind} de ${dogName} attend votre approbation.`;
     } else {
-      title = '🐕 Nouvelle photo ajoutée';
-      body = `Une nouvelle photo de ${dogName} a été ajoutée.`;
+      title = `🐕 Nouvelle ${kind} ajoutée`;
+      body = `Une nouvelle ${kind} de ${dogName} a été ajoutée.`;
     }
 
-    // Send push notification to admin subscriptions only
-    await sendPushNotificationToSubscriptions(context, adminSubscriptions, {
+    // Send to admins over their notification channels
+    await notifyAdmins(context, {
       title,
       body,
       icon: '/images/hello-big-dog.png',
       badge: '/images/hello-dog.png',
       data: {
-        url: moderationMode === 'a_priori' ? '/media' : `/media/${item.id}`,
+        url: moderationMode === 'a_priori' ? '/moderation' : `/media/${item.id}`,
         dogId: dog?.id,
         mediaId: item.id,
         action: moderationMode === 'a_priori' ? 'approve' : 'view',
@@ -144,7 +67,7 @@ export async function sendUploadNotification(
 
 /**
  * Send notification when a dog is updated by a non-admin user
- * Only sends to admin subscriptions
+ * Only sends to admins
  */
 export async function sendDogUpdateNotification(
   item: any,
@@ -156,17 +79,7 @@ export async function sendDogUpdateNotification(
       return;
     }
 
-    // Get admin subscriptions only
-    const adminSubscriptions = await context.query.PushSubscription.findMany({
-      where: { receivesAdminNotifications: { equals: true } },
-      query: 'id endpoint keys',
-    });
-
-    if (adminSubscriptions.length === 0) {
-      return;
-    }
-
-    await sendPushNotificationToSubscriptions(context, adminSubscriptions, {
+    await notifyAdmins(context, {
       title: '🐕 Modification d\'un chien',
       body: `${item.name} a été modifié par un utilisateur`,
       icon: '/images/hello-big-dog.png',
@@ -183,7 +96,7 @@ export async function sendDogUpdateNotification(
 
 /**
  * Send notification when a new dog is added by a non-admin user
- * Only sends to admin subscriptions
+ * Only sends to admins
  * Currently noop as only admins can create dogs
  */
 export async function sendNewDogNotification(
@@ -192,21 +105,11 @@ export async function sendNewDogNotification(
 ): Promise<void> {
   try {
     // Only notify if created by non-admin (currently only admins can create)
-    if (context.session?.data?.isAdmin) {
+    if (context.session?.data?.isAdmin || await isDigestMode(context)) {
       return;
     }
 
-    // Get admin subscriptions only
-    const adminSubscriptions = await context.query.PushSubscription.findMany({
-      where: { receivesAdminNotifications: { equals: true } },
-      query: 'id endpoint keys',
-    });
-
-    if (adminSubscriptions.length === 0) {
-      return;
-    }
-
-    await sendPushNotificationToSubscriptions(context, adminSubscriptions, {
+    await notifyAdmins(context, {
       title: '🐕 Nouveau chien ajouté',
       body: `${item.name} a été ajouté`,
       icon: '/images/hello-big-dog.png',
@@ -223,7 +126,7 @@ export async function sendNewDogNotification(
 
 /**
  * Send notification for entity changes with detailed change information
- * Only sends to admin subscriptions
+ * Only sends to admins
  */
 export async function sendChangeNotification(
   context: any,
@@ -242,18 +145,8 @@ export async function sendChangeNotification(
   }
 ): Promise<void> {
   try {
-    // Only notify for non-admin changes
-    if (context.session) {
-      return;
-    }
-
-    // Get admin subscriptions only
-    const adminSubscriptions = await context.query.PushSubscription.findMany({
-      where: { receivesAdminNotifications: { equals: true } },
-      query: 'id endpoint keys',
-    });
-
-    if (adminSubscriptions.length === 0) {
+    // Only notify for non-admin changes, one by one unless they go in the digest
+    if (context.session || await isDigestMode(context)) {
       return;
     }
 
@@ -265,13 +158,13 @@ export async function sendChangeNotification(
       changeData.changes
     );
 
-    await sendPushNotificationToSubscriptions(context, adminSubscriptions, {
+    await notifyAdmins(context, {
       title,
       body,
       icon: '/images/hello-big-dog.png',
       badge: '/images/hello-dog.png',
       data: {
-        url: '/change-log',
+        url: '/change-logs',
         entityType: changeData.entityType,
         entityName: changeData.entityName,
         operation: changeData.operation,
@@ -281,3 +174,60 @@ export async function sendChangeNotification(
     console.error('Error in sendChangeNotification:', error);
   }
 }
+
+/**
+ * Send notification when a magic link is deactivated for exceeding a quota
+ * Only sends to admins
+ */
+export async function sendTokenQuotaNotification(
+  context: any,
+  token: { id: string; label: string; reason: string }
+): Promise<void> {
+  try {
+    await notifyAdmins(context, {
+      title: '🔒 Lien magique désactivé',
+      body: `Le lien "${token.label}" a été désactivé automatiquement (${token.reason.toLowerCase()}).`,
+      icon: '/images/hello-big-dog.png',
+      badge: '/images/hello-dog.png',
+      data: {
+        url: `/edit-tokens/${token.id}`,
+        tokenId: token.id,
+      },
+    });
+  } catch (error) {
+    console.error('Error in sendTokenQuotaNotification:', error);
+  }
+}
+
+/**
+ * Send notification when a dog that was just added or given a photo looks like another dog
+ * Only sends to admins
+ */
+export async function sendDuplicateDogNotification(
+  context: any,
+  dog: { id: string; name: string },
+  duplicates: Array<{ name: string; ownerName: string; reasons: string[] }>
+): Promise<void> {
+  try {
+    if (duplicates.length === 0) {
+      return;
+    }
+
+    const others = duplicates
+      .map(other => `${other.name}${other.ownerName ? ` (${other.ownerName})` : ''} : ${other.reasons.join(', ')}`)
+      .join('\n');
+
+    await notifyAdmins(context, {
+      title: `👯 Doublon possible : ${dog.name}`,
+      body: `${dog.name} ressemble à un chien déjà présent :\n${others}`,
+      icon: '/images/hello-big-dog.png',
+      badge: '/images/hello-dog.png',
+      data: {
+        url: '/duplicates',
+        dogId: dog.id,
+      },
+    });
+  } catch (error) {
+    console.error('Error in sendDuplicateDogNotification:', error);
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Orphaned Image Files
+ * Keystone keeps the files of replaced and deleted images (preserve): the Media hooks
+ * and the trash purge delete them, older versions left some behind (replaced photos,
+ * the removed Dog.photoFeatured field). This reconciles
+ * the image storage with the Media rows: files no Media item (trash included) nor
+ * deletion in the ChangeLog refers to are orphans, and Media items whose files are
+ * gone are reported as missing.
+ *
+ * Orphans are reported, moved to a quarantine outside the image storage (the R2
+ * backup only syncs the storage) or deleted. A job inside the backend process
+ * checks once a day and only reports, unless ORPHANED_IMAGES_ACTION says otherwise.
+ */
+
+import { imageFileNames } from './images';
+import { imageStorage, StoredFile } from './image-storage';
+import { notifyAdmins } from './notification-transports';
+
+export type OrphanedImagesAction = 'report' | 'quarantine' | 'delete';
+
+const ORPHANED_IMAGES_ACTIONS: OrphanedImagesAction[] = ['report', 'quarantine', 'delete'];
+
+const CHECK_INTERVAL_HOURS = 24;
+
+/**
+ * Keystone writes an upload before its Media item: recent files are never orphans
+ */
+const MIN_ORPHAN_AGE_HOURS = 24;
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+export interface ImageFilesReport {
+  /** Files in the image storage */
+  scanned: number;
+  /** Files only referenced by deleted media the ChangeLog can recreate, kept */
+  keptForHistory: number;
+  orphans: StoredFile[];
+  missing: Array<{ mediaId: string; name: string; path: string }>;
+  /** Orphans moved to the quarantine or deleted, none in a dry run */
+  cleaned: number;
+}
+
+/**
+ * Compare the image storage with the Media items and clean up the orphans
+ * With "report", or in a dry run, no file is touched.
+ */
+export async function reconcileImageFiles(
+  context: any,
+  { action = 'report', dryRun = false, now = new Date() }: { action?: OrphanedImagesAction; dryRun?: boolean; now?: Date } = {}
+): Promise<ImageFilesReport> {
+  // Prisma ignores the access filters: media in the trash keep their files
+  const mediaItems = await context.prisma.media.findMany({
+    where: { file_id: { not: null } },
+    select: { id: true, name: true, file_id: true, file_extension: true, renditions: true },
+  });
+
+  // Reverting a deletion recreates the media item from its snapshot, file included
+  const deletions = await context.prisma.changeLog.findMany({
+    where: { entityType: 'Media', operation: 'delete', snapshot: { not: null } },
+    select: { snapshot: true },
+  });
+
+  const files = await imageStorage.list();
+  const stored = new Set(files.map(file => file.path));
+  const referenced = new Set<string>();
+  const missing: ImageFilesReport['missing'] = [];
+
+  for (const media of mediaItems) {
+    const names = imageFileNames({ id: media.file_id, extension: media.file_extension });
+    names.forEach(name => referenced.add(name));
+
+    // Without renditions, the frontend shows the original
+    for (const name of media.renditions ? names : names.slice(0, 1)) {
+      if (!stored.has(name)) {
+        missing.push({ mediaId: media.id, name: media.name, path: name });
+      }
+    }
+  }
+
+  const history = new Set<string>();
+  for (const deletion of deletions) {
+    const file = JSON.parse(deletion.snapshot)?.file;
+    if (file?.id && file.extension) {
+      imageFileNames(file).filter(name => !referenced.has(name)).forEach(name => history.add(name));
+    }
+  }
+
+  const minModifiedAt = now.getTime() - MIN_ORPHAN_AGE_HOURS * 60 * 60 * 1000;
+  const orphans = files.filter(file =>
+    !referenced.has(file.path) && !history.has(file.path) && file.modifiedAt.getTime() < minModifiedAt
+  );
+
+  let cleaned = 0;
+  if (action !== 'report' && !dryRun) {
+    for (const orphan of orphans) {
+      try {
+        if (action === 'quarantine') {
+          await imageStorage.quarantine(orphan.path, now);
+        } else {
+          await imageStorage.delete(orphan.path);
+        }
+        cleaned++;
+      } catch (error) {
+        console.error(`Error cleaning up orphaned image ${orphan.path}:`, error);
+      }
+    }
+  }
+
+  return {
+    scanned: files.length,
+    keptForHistory: files.filter(file => history.has(file.path)).length,
+    orphans,
+    missing,
+    cleaned,
+  };
+}
+
+/**
+ * Action of the scheduled check, "report" unless ORPHANED_IMAGES_ACTION is valid
+ */
+function getScheduledAction(): OrphanedImagesAction {
+  const action = process.env.ORPHANED_IMAGES_ACTION as OrphanedImagesAction;
+  return ORPHANED_IMAGES_ACTIONS.includes(action) ? action : 'report';
+}
+
+/**
+ * Check the image storage and tell admins about missing files and cleaned up orphans
+ */
+export async function runOrphanedImagesCheck(context: any, now = new Date()): Promise<void> {
+  const action = getScheduledAction();
+  const report = await reconcileImageFiles(context, { action, now });
+
+  console.log(
+    `🖼️  Image files: ${report.scanned} scanned, ${report.orphans.length} orphaned, ` +
+    `${report.missing.length} missing, ${report.cleaned} cleaned up (${action})`
+  );
+
+  const lines: string[] = [];
+  if (report.missing.length > 0) {
+    const mediaNames = [...new Set(report.missing.map(file => file.name || file.mediaId))];
+    lines.push(`${report.missing.length} fichier(s) manquant(s) pour: ${mediaNames.join(', ')}`);
+  }
+  if (report.cleaned > 0) {
+    lines.push(`${report.cleaned} fichier(s) orphelin(s) ${action === 'quarantine' ? 'mis en quarantaine' : 'supprimé(s)'}`);
+  }
+  if (lines.length === 0) {
+    return;
+  }
+
+  await notifyAdmins(context, {
+    title: '🖼️ Fichiers des images',
+    body: lines.join('\n'),
+    icon: '/images/hello-big-dog.png',
+    badge: '/images/hello-dog.png',
+    data: { url: '/media' },
+  });
+}
+
+/**
+ * Start checking the image storage every day
+ */
+export function initOrphanedImagesCheck(context: any): void {
+  if (timer) {
+    return;
+  }
+
+  const check = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOrphanedImagesCheck(context.sudo());
+    } catch (error) {
+      console.error('Error checking image files:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(check, CHECK_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  check();
+}
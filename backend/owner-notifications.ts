@@ -0,0 +1,215 @@
+/**
+ * Owner Notifications
+ * Web Push notifications for owners about their own dogs: photo approved or
+ * rejected, dog edited by someone else, birthday reminders.
+ *
+ * Owners subscribe from the public site while in magic link edit mode. A
+ * subscription follows the dogs of the link it was made with (the owner's dogs
+ * for an "owner" link, the chosen dogs for a "dogs" link) for as long as that
+ * link stays active.
+ */
+
+import { sendPushNotificationToSubscriptions, webPushTransport, NotificationPayload } from './notification-transports';
+
+/**
+ * Birthday reminders are sent once a day, from this hour (server time)
+ */
+const BIRTHDAY_REMINDER_HOUR = 9;
+
+const CHECK_INTERVAL_MINUTES = 30;
+
+let timer: NodeJS.Timeout | null = null;
+
+function isLinkActive(editToken: any, now = new Date()): boolean {
+  if (!editToken?.isActive) return false;
+  return !editToken.expiresAt || new Date(editToken.expiresAt) > now;
+}
+
+/**
+ * Whether a magic link covers a dog
+ */
+function linkFollowsDog(editToken: any, dog: { id: string; owners: Array<{ id: string }> }): boolean {
+  if (editToken.scope === 'dogs') {
+    return editToken.dogs.some((followed: any) => followed.id === dog.id);
+  }
+  return editToken.scope === 'owner' && dog.owners.some(owner => owner.id === editToken.ownerId);
+}
+
+/**
+ * Owner subscriptions following a dog
+ * The magic link that made the change (if any) isn't notified of its own edit
+ */
+async function getDogFollowers(context: any, dog: { id: string; owners: Array<{ id: string }> }, excludeTokenId?: string) {
+  const subscriptions = await context.prisma.pushSubscription.findMany({
+    where: {
+      receivesAdminNotifications: false,
+      editTokenId: { not: null },
+    },
+    select: {
+      id: true,
+      endpoint: true,
+      keys: true,
+      editToken: {
+        select: {
+          id: true,
+          scope: true,
+          isActive: true,
+          expiresAt: true,
+          ownerId: true,
+          dogs: { select: { id: true } },
+        },
+      },
+    },
+  });
+
+  return subscriptions.filter((sub: any) =>
+    sub.editToken.id !== excludeTokenId &&
+    isLinkActive(sub.editToken) &&
+    linkFollowsDog(sub.editToken, dog)
+  );
+}
+
+/**
+ * Send a notification to the owners following a dog
+ */
+async function notifyDogFollowers(
+  context: any,
+  dogId: string,
+  payload: NotificationPayload,
+  excludeTokenId?: string
+): Promise<void> {
+  if (!webPushTransport.isEnabled()) return;
+
+  const dog = await context.prisma.dog.findUnique({
+    where: { id: dogId },
+    select: { id: true, owners: { select: { id: true } } },
+  });
+  if (!dog) return;
+
+  const followers = await getDogFollowers(context, dog, excludeTokenId);
+  await sendPushNotificationToSubscriptions(context, followers, payload);
+}
+
+/**
+ * Notify owners when a photo or video of their dog is approved or rejected
+ */
+export async function sendMediaModeratedOwnerNotification(
+  context: any,
+  media: { id: string; type?: string; dog?: { id: string; name: string } | null },
+  status: 'approved' | 'rejected'
+): Promise<void> {
+  try {
+    if (!media.dog) return;
+
+    const kind = media.type === 'video' ? 'vidéo' : 'photo';
+
+    await notifyDogFollowers(context, media.dog.id, {
+      title: status === 'approved' ? `✅ ${media.dog.name} : ${kind} validée` : `❌ ${media.dog.name} : ${kind} refusée`,
+      body: status === 'approved'
+        ? `Votre ${kind} de ${media.dog.name} a été validée, elle sera visible après la mise à jour du site.`
+        : `Votre ${kind} de ${media.dog.name} n'a pas été retenue.`,
+      icon: '/images/hello-big-dog.png',
+      badge: '/images/hello-dog.png',
+      data: {
+        url: `/chiens/${media.dog.id}/`,
+        dogId: media.dog.id,
+        mediaId: media.id,
+      },
+    });
+  } catch (error) {
+    console.error('Error in sendMediaModeratedOwnerNotification:', error);
+  }
+}
+
+/**
+ * Notify owners when someone else edits their dog
+ */
+export async function sendDogEditedOwnerNotification(
+  context: any,
+  dog: { id: string; name: string },
+  changes: Array<{ fieldLabel: string }>
+): Promise<void> {
+  try {
+    const fields = changes.map(change => change.fieldLabel.toLowerCase()).join(', ');
+
+    await notifyDogFollowers(context, dog.id, {
+      title: `🐕 ${dog.name} a été modifié`,
+      body: `Modifié par ${context.session ? 'un administrateur' : 'un autre utilisateur'} : ${fields}`,
+      icon: '/images/hello-big-dog.png',
+      badge: '/images/hello-dog.png',
+      data: {
+        url: `/chiens/${dog.id}/`,
+        dogId: dog.id,
+      },
+    }, context.magicToken?.id);
+  } catch (error) {
+    console.error('Error in sendDogEditedOwnerNotification:', error);
+  }
+}
+
+/**
+ * Send a reminder to the owners of each dog whose birthday is today, except for deceased dogs
+ */
+export async function sendBirthdayReminders(context: any, today = new Date()): Promise<void> {
+  const monthDay = `-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+  const dogs = await context.prisma.dog.findMany({
+    where: { birthday: { endsWith: monthDay }, lifeStatus: { not: 'deceased' }, deletedAt: null },
+    select: { id: true, name: true, birthday: true },
+  });
+
+  for (const dog of dogs) {
+    const age = today.getFullYear() - Number(dog.birthday.slice(0, 4));
+    if (age < 1) continue;
+
+    await notifyDogFollowers(context, dog.id, {
+      title: `🎂 Joyeux anniversaire ${dog.name} !`,
+      body: `${dog.name} fête ses ${age} an${age > 1 ? 's' : ''} aujourd'hui.`,
+      icon: '/images/hello-big-dog.png',
+      badge: '/images/hello-dog.png',
+      data: {
+        url: `/chiens/${dog.id}/`,
+        dogId: dog.id,
+      },
+    });
+  }
+}
+
+/**
+ * Send today's birthday reminders if they haven't been sent yet
+ */
+async function runBirthdayRemindersIfDue(context: any): Promise<void> {
+  const now = new Date();
+  if (now.getHours() < BIRTHDAY_REMINDER_HOUR) return;
+
+  const settings = await context.prisma.settings.findFirst({
+    select: { id: true, lastBirthdayReminderAt: true },
+  });
+  const lastSentAt = settings?.lastBirthdayReminderAt ? new Date(settings.lastBirthdayReminderAt) : null;
+  if (lastSentAt && lastSentAt.toDateString() === now.toDateString()) return;
+
+  // Settings is a singleton (id 1), created with its defaults if it doesn't exist yet
+  await context.prisma.settings.upsert({
+    where: { id: settings?.id ?? 1 },
+    create: { id: 1, lastBirthdayReminderAt: now },
+    update: { lastBirthdayReminderAt: now },
+  });
+
+  await sendBirthdayReminders(context, now);
+}
+
+/**
+ * Start checking for birthday reminders to send
+ */
+export function initBirthdayReminders(context: any): void {
+  if (timer) {
+    return;
+  }
+
+  const check = () => runBirthdayRemindersIfDue(context)
+    .catch(error => console.error('Error sending birthday reminders:', error));
+
+  timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  check();
+}
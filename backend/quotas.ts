@@ -0,0 +1,126 @@
+/**
+ * Magic Link Quotas
+ * Optional per-token limits (uploads per day, edits per hour, total uses), so a
+ * leaked link stays bounded whatever the number of IPs using it. A token going
+ * over one of its quotas is deactivated and admins are notified.
+ *
+ * A "use" is one GraphQL mutation request made with the token. Photo uploads
+ * count against the upload quota, other mutations against the edit quota.
+ */
+
+import { sendTokenQuotaNotification } from './notifications';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * EditToken fields needed to check quotas (prisma select)
+ */
+export const QUOTA_FIELDS = {
+  maxUploadsPerDay: true,
+  maxEditsPerHour: true,
+  maxUses: true,
+  uploadCount: true,
+  uploadWindowStart: true,
+  editCount: true,
+  editWindowStart: true,
+};
+
+/**
+ * Counter value within its fixed window (0 once the window is over)
+ */
+function currentCount(count: number | null, windowStart: Date | null, windowMs: number, now: Date): number {
+  if (!windowStart || now.getTime() - new Date(windowStart).getTime() >= windowMs) {
+    return 0;
+  }
+  return count || 0;
+}
+
+/**
+ * Name of the quota this use would exceed, or null if it fits
+ */
+function getExceededQuota(editToken: any, isUpload: boolean, now: Date): string | null {
+  if (editToken.maxUses != null && (editToken.usageCount || 0) >= editToken.maxUses) {
+    return 'utilisations totales';
+  }
+
+  if (isUpload) {
+    const uploads = currentCount(editToken.uploadCount, editToken.uploadWindowStart, DAY, now);
+    if (editToken.maxUploadsPerDay != null && uploads >= editToken.maxUploadsPerDay) {
+      return 'photos par jour';
+    }
+  } else {
+    const edits = currentCount(editToken.editCount, editToken.editWindowStart, HOUR, now);
+    if (editToken.maxEditsPerHour != null && edits >= editToken.maxEditsPerHour) {
+      return 'modifications par heure';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count one use of a token against its quotas
+ * Returns false (and deactivates the token) when a quota is exceeded
+ */
+export async function consumeTokenQuota(context: any, editToken: any): Promise<boolean> {
+  const now = new Date();
+  const isUpload = !!context.req?.headers?.['content-type']?.includes('multipart/form-data');
+  const exceeded = getExceededQuota(editToken, isUpload, now);
+
+  if (exceeded) {
+    const reason = `Quota dépassé : ${exceeded}`;
+    console.warn(`[Quotas] Deactivating magic link "${editToken.label}": ${reason}`);
+
+    await context.prisma.editToken.update({
+      where: { id: editToken.id },
+      data: { isActive: false, deactivatedReason: reason },
+    });
+
+    // The token is deactivated whether admins can be told or not
+    try {
+      await sendTokenQuotaNotification(context, { id: editToken.id, label: editToken.label, reason });
+    } catch (error) {
+      console.error('Error notifying about the deactivated magic link:', error);
+    }
+    return false;
+  }
+
+  // Restart a window once it's over, otherwise increment atomically
+  const uploadWindowOpen = currentCount(1, editToken.uploadWindowStart, DAY, now) > 0;
+  const editWindowOpen = currentCount(1, editToken.editWindowStart, HOUR, now) > 0;
+
+  await context.prisma.editToken.update({
+    where: { id: editToken.id },
+    data: {
+      lastUsedAt: now,
+      usageCount: { increment: 1 },
+      ...(isUpload
+        ? uploadWindowOpen
+          ? { uploadCount: { increment: 1 } }
+          : { uploadCount: 1, uploadWindowStart: now }
+        : editWindowOpen
+          ? { editCount: { increment: 1 } }
+          : { editCount: 1, editWindowStart: now }),
+    },
+  });
+
+  return true;
+}
+
+/**
+ * Usage summary for the admin list, e.g. "3/10 modifs (h) · 1 photo (24 h) · 42 utilisations"
+ */
+export function describeQuotaUsage(editToken: any): string {
+  const now = new Date();
+  const withMax = (count: number, max: number | null) => (max != null ? `${count}/${max}` : `${count}`);
+
+  const edits = currentCount(editToken.editCount, editToken.editWindowStart, HOUR, now);
+  const uploads = currentCount(editToken.uploadCount, editToken.uploadWindowStart, DAY, now);
+
+  return [
+    `${withMax(edits, editToken.maxEditsPerHour)} modifs (h)`,
+    `${withMax(uploads, editToken.maxUploadsPerDay)} photos (24 h)`,
+    `${withMax(editToken.usageCount || 0, editToken.maxUses)} utilisations`,
+  ].join(' · ');
+}
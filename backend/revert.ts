@@ -0,0 +1,475 @@
+/**
+ * ChangeLog Revert
+ * Restores Dog/Owner/Media entities to the state recorded in a ChangeLog entry
+ */
+
+import {
+  detectChanges,
+  createChangesSummary,
+  getEntityName,
+  isTrackedField,
+  logChange,
+  SNAPSHOT_QUERIES,
+} from './change-logging';
+import { scheduleFrontendBuild } from './builds';
+import { moveToTrash, restoreFromTrash } from './trash';
+import { imageFileExists, updateMediaRenditions } from './images';
+import { keepPrimaryOwnerAmongOwners } from './dog-owners';
+
+type EntityType = 'Dog' | 'Owner' | 'Media';
+
+/**
+ * Prisma model accessor for each entity type
+ */
+const PRISMA_MODELS: Record<EntityType, string> = {
+  Dog: 'dog',
+  Owner: 'owner',
+  Media: 'media',
+};
+
+/**
+ * Single relationship fields (stored as { id, name } in ChangeLog values)
+ */
+const RELATIONSHIP_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['primaryOwner', 'coat'],
+  Owner: [],
+  Media: ['dog'],
+};
+
+/**
+ * Many relationship fields (stored as [{ id, name }] in ChangeLog values)
+ */
+const MANY_RELATIONSHIP_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['breeds', 'owners'],
+  Owner: [],
+  Media: [],
+};
+
+/**
+ * Fields that no longer exist: Dog.breed was free text before the Breed list
+ */
+const REMOVED_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['breed'],
+  Owner: [],
+  Media: [],
+};
+
+/**
+ * Text fields are non-nullable in the database and default to an empty string
+ */
+const TEXT_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['name', 'nicknames'],
+  Owner: ['name', 'email', 'phone'],
+  Media: ['name', 'videoUrl'],
+};
+
+/**
+ * Values of the select fields, as in schema.ts
+ */
+const SELECT_VALUES: Record<EntityType, Record<string, string[]>> = {
+  Dog: { sex: ['male', 'female'], status: ['pending', 'approved'], lifeStatus: ['active', 'moved', 'deceased'] },
+  Owner: {},
+  Media: { type: ['photo', 'video'], status: ['pending', 'approved', 'rejected'] },
+};
+
+/**
+ * Calendar day fields, "YYYY-MM-DD"
+ */
+const DAY_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['birthday', 'deceasedAt'],
+  Owner: [],
+  Media: [],
+};
+
+/**
+ * Timestamp fields
+ */
+const DATE_FIELDS: Record<EntityType, string[]> = {
+  Dog: ['createdAt'],
+  Owner: [],
+  Media: ['uploadedAt'],
+};
+
+/**
+ * Check a snapshot holds the entity it's logged for, with values the schema accepts
+ */
+function validateSnapshot(entityType: EntityType, entityId: string, snapshot: any): void {
+  const invalid = (field: string) => new Error(`Instantané invalide (${field}), il ne peut pas être restauré`);
+
+  if (snapshot.id !== entityId) {
+    throw invalid('id');
+  }
+
+  for (const [field, values] of Object.entries(SELECT_VALUES[entityType])) {
+    if (snapshot[field] != null && !values.includes(snapshot[field])) {
+      throw invalid(field);
+    }
+  }
+
+  for (const field of TEXT_FIELDS[entityType]) {
+    if (snapshot[field] != null && typeof snapshot[field] !== 'string') {
+      throw invalid(field);
+    }
+  }
+
+  for (const field of DAY_FIELDS[entityType]) {
+    if (snapshot[field] != null && !/^\d{4}-\d{2}-\d{2}$/.test(snapshot[field])) {
+      throw invalid(field);
+    }
+  }
+
+  for (const field of DATE_FIELDS[entityType]) {
+    if (snapshot[field] != null && isNaN(Date.parse(snapshot[field]))) {
+      throw invalid(field);
+    }
+  }
+
+  // The file is looked up in the image storage by id and extension
+  if (entityType === 'Media' && snapshot.file != null) {
+    const { id, extension, filesize, width, height } = snapshot.file;
+    if (
+      !/^[\w-]+$/.test(id) ||
+      !/^[a-z0-9]+$/.test(extension) ||
+      ![filesize, width, height].every(value => value == null || Number.isInteger(value))
+    ) {
+      throw invalid('file');
+    }
+  }
+}
+
+/**
+ * Convert a ChangeLog field value to Prisma update data
+ */
+function toPrismaValue(entityType: EntityType, field: string, value: any): any {
+  if (RELATIONSHIP_FIELDS[entityType].includes(field)) {
+    return value?.id ? { connect: { id: value.id } } : { disconnect: true };
+  }
+
+  if (MANY_RELATIONSHIP_FIELDS[entityType].includes(field)) {
+    // Items created along with the change (a new owner) were logged without their id
+    return { set: (value || []).filter((related: any) => related.id).map((related: any) => ({ id: related.id })) };
+  }
+
+  if (TEXT_FIELDS[entityType].includes(field)) {
+    return value ?? '';
+  }
+
+  return value ?? null;
+}
+
+/**
+ * Rewrite a ChangeLog field change that predates a schema change with the current fields
+ * (Dog.owner was a single owner before dogs could have several)
+ */
+function upgradeLegacyChange(entityType: EntityType, change: any): any {
+  if (entityType === 'Dog' && change.field === 'owner') {
+    const toOwners = (owner: any) => (owner?.id ? [owner] : []);
+    return { ...change, field: 'owners', oldValue: toOwners(change.oldValue), newValue: toOwners(change.newValue) };
+  }
+  return change;
+}
+
+/**
+ * Whether a ChangeLog field change predates a schema change and can't be written back
+ * (Dog.breed and Dog.coat were free text, the text values have no item to connect)
+ */
+function isLegacyChange(entityType: EntityType, change: any): boolean {
+  if (REMOVED_FIELDS[entityType].includes(change.field)) {
+    return true;
+  }
+  return RELATIONSHIP_FIELDS[entityType].includes(change.field) &&
+    (typeof change.oldValue === 'string' || typeof change.newValue === 'string');
+}
+
+/**
+ * Convert a snapshot (as captured by SNAPSHOT_QUERIES) to Prisma create data
+ * Relationships are only reconnected to entities that still exist, renditions are
+ * generated again from the file
+ */
+async function snapshotToPrismaData(context: any, entityType: EntityType, snapshot: any): Promise<any> {
+  if (entityType === 'Dog') {
+    // Snapshots taken before dogs could have several owners hold a single owner
+    const snapshotOwners = snapshot.owners || (snapshot.owner?.id ? [snapshot.owner] : []);
+    const primaryOwner = snapshot.owners ? snapshot.primaryOwner : snapshot.owner;
+    for (const snapshotOwner of snapshotOwners) {
+      const owner = await context.prisma.owner.findUnique({ where: { id: snapshotOwner.id } });
+      if (!owner) {
+        throw new Error(`L'humain "${snapshotOwner.name}" n'existe plus. Annulez d'abord sa suppression.`);
+      }
+    }
+
+    const photoIds = (snapshot.photos || []).map((photo: any) => photo.id);
+    const photos = await context.prisma.media.findMany({
+      where: { id: { in: photoIds } },
+      select: { id: true },
+    });
+
+    // Snapshots taken before the Breed and Coat lists hold free text, which is dropped
+    const breedIds = (Array.isArray(snapshot.breeds) ? snapshot.breeds : []).map((breed: any) => breed.id);
+    const breeds = await context.prisma.breed.findMany({
+      where: { id: { in: breedIds } },
+      select: { id: true },
+    });
+    const coat = snapshot.coat?.id
+      ? await context.prisma.coat.findUnique({ where: { id: snapshot.coat.id } })
+      : null;
+
+    return {
+      id: snapshot.id,
+      name: snapshot.name ?? '',
+      nicknames: snapshot.nicknames ?? '',
+      sex: snapshot.sex ?? null,
+      birthday: snapshot.birthday ?? null,
+      breeds: { connect: breeds.map((breed: any) => ({ id: breed.id })) },
+      isMixedBreed: snapshot.isMixedBreed ?? false,
+      coat: coat ? { connect: { id: coat.id } } : undefined,
+      status: snapshot.status ?? 'approved',
+      lifeStatus: snapshot.lifeStatus ?? 'active',
+      deceasedAt: snapshot.deceasedAt ?? null,
+      createdAt: snapshot.createdAt ?? null,
+      owners: { connect: snapshotOwners.map((owner: any) => ({ id: owner.id })) },
+      primaryOwner: primaryOwner?.id ? { connect: { id: primaryOwner.id } } : undefined,
+      photos: { connect: photos.map((photo: any) => ({ id: photo.id })) },
+    };
+  }
+
+  if (entityType === 'Owner') {
+    const dogIds = (snapshot.dogs || []).map((dog: any) => dog.id);
+    const dogs = await context.prisma.dog.findMany({
+      where: { id: { in: dogIds } },
+      select: { id: true },
+    });
+
+    return {
+      id: snapshot.id,
+      name: snapshot.name ?? '',
+      email: snapshot.email ?? '',
+      phone: snapshot.phone ?? '',
+      dogs: { connect: dogs.map((dog: any) => ({ id: dog.id })) },
+    };
+  }
+
+  const dog = snapshot.dog?.id
+    ? await context.prisma.dog.findUnique({ where: { id: snapshot.dog.id } })
+    : null;
+
+  return {
+    id: snapshot.id,
+    name: snapshot.name ?? '',
+    type: snapshot.type ?? 'photo',
+    videoUrl: snapshot.videoUrl ?? '',
+    status: snapshot.status ?? 'pending',
+    isFeatured: snapshot.isFeatured ?? false,
+    uploadedAt: snapshot.uploadedAt ?? null,
+    file_id: snapshot.file?.id ?? null,
+    file_filesize: snapshot.file?.filesize ?? null,
+    file_width: snapshot.file?.width ?? null,
+    file_height: snapshot.file?.height ?? null,
+    file_extension: snapshot.file?.extension ?? null,
+    dog: dog ? { connect: { id: dog.id } } : undefined,
+  };
+}
+
+/**
+ * Keep a single featured photo per dog after restoring one
+ */
+async function unfeatureOtherPhotos(context: any, mediaId: string): Promise<void> {
+  const media = await context.prisma.media.findUnique({
+    where: { id: mediaId },
+    select: { dogId: true, isFeatured: true },
+  });
+
+  if (!media?.isFeatured || !media.dogId) {
+    return;
+  }
+
+  await context.prisma.media.updateMany({
+    where: { dogId: media.dogId, id: { not: mediaId }, isFeatured: true },
+    data: { isFeatured: false },
+  });
+}
+
+/**
+ * Write one side (old or new values) of a list of ChangeLog field changes to an entity
+ * Bypasses hooks: callers are responsible for logging and triggering builds
+ */
+export async function writeFieldValues(
+  context: any,
+  entityType: EntityType,
+  entityId: string,
+  fieldChanges: any[],
+  side: 'oldValue' | 'newValue'
+): Promise<void> {
+  fieldChanges = fieldChanges.map(change => upgradeLegacyChange(entityType, change));
+  if (fieldChanges.some(change => isLegacyChange(entityType, change))) {
+    throw new Error('Cette modification date d\'avant les listes de races et de robes, elle ne peut pas être appliquée');
+  }
+
+  // Only fields the ChangeLog tracks are written, whatever the entry holds
+  const untracked = fieldChanges.filter(change => !isTrackedField(entityType, change.field));
+  if (untracked.length > 0) {
+    throw new Error(`Ces champs ne peuvent pas être modifiés: ${untracked.map(change => change.field).join(', ')}`);
+  }
+
+  const prismaData: Record<string, any> = {};
+  for (const change of fieldChanges) {
+    prismaData[change.field] = toPrismaValue(entityType, change.field, change[side]);
+  }
+
+  try {
+    await context.prisma[PRISMA_MODELS[entityType]].update({
+      where: { id: entityId },
+      data: prismaData,
+    });
+  } catch (error) {
+    console.error('Error writing field values:', error);
+    throw new Error('Impossible d\'appliquer les valeurs (une entité liée a peut-être été supprimée)');
+  }
+
+  if (entityType === 'Media') {
+    await unfeatureOtherPhotos(context, entityId);
+  }
+
+  if (entityType === 'Dog') {
+    await keepPrimaryOwnerAmongOwners(context, entityId, fieldChanges.some(change => change.field === 'primaryOwner'));
+  }
+}
+
+/**
+ * Recreate a deleted entity (same id) from the snapshot logged with its deletion
+ */
+async function recreateFromSnapshot(context: any, entityType: EntityType, entityId: string, snapshot: any): Promise<void> {
+  if (!snapshot) {
+    throw new Error('Aucun instantané disponible pour cette suppression');
+  }
+
+  validateSnapshot(entityType, entityId, snapshot);
+
+  if (entityType === 'Media' && snapshot.file?.id && !(await imageFileExists(snapshot.file))) {
+    throw new Error('Le fichier de ce média a été supprimé définitivement');
+  }
+
+  await context.prisma[PRISMA_MODELS[entityType]].create({ data: await snapshotToPrismaData(context, entityType, snapshot) });
+
+  if (entityType === 'Media') {
+    await updateMediaRenditions(context, entityId);
+    await unfeatureOtherPhotos(context, entityId);
+  }
+
+  const entityName = getEntityName(entityType, snapshot);
+
+  await logChange(context, {
+    entityType,
+    entityId,
+    entityName,
+    operation: 'create',
+    changes: [],
+    changesSummary: `Annulation de la suppression: ${entityName}`,
+    status: 'accepted',
+    dogId: snapshot.dog?.id,
+  });
+}
+
+/**
+ * Revert a ChangeLog entry
+ * - update: restores the previous field values
+ * - delete: takes the entity out of the trash, or recreates it (same id) from its snapshot
+ *   once purged
+ * - create: moves the created entity to the trash, so the revert can itself be reverted
+ *
+ * The revert is logged as a new ChangeLog entry and the original is marked as reverted.
+ */
+export async function revertChangeLog(context: any, changeLogId: string): Promise<void> {
+  const entry = await context.prisma.changeLog.findUnique({
+    where: { id: changeLogId },
+  });
+
+  if (!entry) {
+    throw new Error('Entrée du journal introuvable');
+  }
+
+  if (entry.status === 'reverted') {
+    throw new Error('Cette modification a déjà été annulée');
+  }
+
+  if (entry.isProposal && entry.status !== 'accepted') {
+    throw new Error('Cette proposition n\'a pas été appliquée');
+  }
+
+  const entityType = entry.entityType as EntityType;
+  const model = context.prisma[PRISMA_MODELS[entityType]];
+  if (!model) {
+    throw new Error(`Type d'entité non pris en charge: ${entry.entityType}`);
+  }
+
+  const entityId = entry.entityId;
+  const current = await context.query[entityType].findOne({
+    where: { id: entityId },
+    query: SNAPSHOT_QUERIES[entityType],
+  });
+
+  if (entry.operation === 'update') {
+    if (!current) {
+      throw new Error('Cette entité n\'existe plus. Annulez d\'abord sa suppression.');
+    }
+
+    const fieldChanges = ((entry.changes && JSON.parse(entry.changes)) || [])
+      .map((change: any) => upgradeLegacyChange(entityType, change));
+    if (fieldChanges.length === 0) {
+      throw new Error('Aucun changement à annuler');
+    }
+
+    await writeFieldValues(context, entityType, entityId, fieldChanges, 'oldValue');
+
+    // Describe the revert as a change from the current values back to the old ones
+    const restoredInput: Record<string, any> = {};
+    for (const change of fieldChanges) {
+      if (RELATIONSHIP_FIELDS[entityType].includes(change.field)) {
+        restoredInput[change.field] = change.oldValue?.id ? { connect: change.oldValue } : null;
+      } else if (MANY_RELATIONSHIP_FIELDS[entityType].includes(change.field)) {
+        restoredInput[change.field] = { set: change.oldValue || [] };
+      } else {
+        restoredInput[change.field] = change.oldValue ?? null;
+      }
+    }
+
+    const changes = detectChanges(entityType, current, restoredInput);
+    const entityName = getEntityName(entityType, current);
+
+    await logChange(context, {
+      entityType,
+      entityId,
+      entityName,
+      operation: 'update',
+      changes,
+      changesSummary: `Annulation: ${createChangesSummary(entityType, entityName, changes)}`,
+      status: 'accepted',
+      dogId: current.dog?.id,
+    });
+  } else if (entry.operation === 'delete') {
+    if (current) {
+      throw new Error('Cette entité existe déjà');
+    }
+
+    const trashed = await model.findUnique({ where: { id: entityId }, select: { deletedAt: true } });
+    if (trashed?.deletedAt) {
+      // Still in the trash: taken out as it was
+      await restoreFromTrash(context, entityType, entityId, `Annulation de la suppression: ${entry.entityName}`);
+    } else {
+      await recreateFromSnapshot(context, entityType, entityId, entry.snapshot && JSON.parse(entry.snapshot));
+    }
+  } else if (entry.operation === 'create') {
+    if (!current) {
+      throw new Error('Cette entité a déjà été supprimée');
+    }
+
+    await moveToTrash(context, entityType, entityId, `Annulation de la création: ${getEntityName(entityType, current)}`);
+  }
+
+  await context.prisma.changeLog.update({
+    where: { id: changeLogId },
+    data: { status: 'reverted' },
+  });
+
+  await scheduleFrontendBuild(context, 'Annulation d\'une modification');
+}
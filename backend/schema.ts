@@ -1,19 +1,24 @@
-import { list } from '@keystone-6/core';
+import { list, graphql } from '@keystone-6/core';
 import { allowAll } from '@keystone-6/core/access';
 import {
   text,
   relationship,
   select,
   calendarDay,
-  image,
   checkbox,
   password,
   timestamp,
   json,
   integer,
+  virtual,
 } from '@keystone-6/core/fields';
-import { buildTriggerHooks, mediaHooks, dogHooks, ownerHooks, editTokenHooks } from './hooks';
-import { isAuthenticated, hasValidEditToken } from './auth';
+import { buildTriggerHooks, mediaHooks, dogHooks, ownerHooks, editTokenHooks, changeLogHooks, pushSubscriptionHooks, breedHooks, coatHooks } from './hooks';
+import { isAuthenticated, hasValidEditToken, dogItemAccess, ownerItemAccess, mediaItemAccess } from './auth';
+import { webImage } from './images';
+import { getVideoEmbedUrl } from './videos';
+import { describeQuotaUsage } from './quotas';
+import { findDuplicatesOfOwner } from './duplicates';
+import { notInTrash, trashField, DEFAULT_TRASH_RETENTION_DAYS } from './trash';
 
 export const lists = {
   User: list({
@@ -31,7 +36,7 @@ export const lists = {
       labelField: 'name',
       isHidden: ({ session }) => !session, // Hide from non-authenticated users
       listView: {
-        initialColumns: ['name', 'email'],
+        initialColumns: ['name', 'email', 'notifyByPush', 'notifyByEmail'],
       },
     },
     fields: {
@@ -48,6 +53,20 @@ export const lists = {
         validation: { isRequired: true },
         label: 'Mot de passe',
       }),
+      notifyByPush: checkbox({
+        defaultValue: true,
+        label: 'Notifications push',
+        ui: {
+          description: 'Sur les appareils abonnés depuis la page "Activer les notifications"',
+        },
+      }),
+      notifyByEmail: checkbox({
+        defaultValue: true,
+        label: 'Notifications par email',
+        ui: {
+          description: 'Envoyées à l\'adresse ci-dessus (si l\'envoi d\'emails est configuré sur le serveur)',
+        },
+      }),
       createdAt: timestamp({
         defaultValue: { kind: 'now' },
         label: 'Créé le',
@@ -61,7 +80,12 @@ export const lists = {
         query: () => true, // Anyone can view
         create: hasValidEditToken, // Magic token or admin
         update: hasValidEditToken, // Magic token or admin
-        delete: isAuthenticated, // Only authenticated users can delete
+        delete: () => false, // Admins move dogs to the trash, see trash.ts
+      },
+      item: dogItemAccess, // Scoped magic links
+      filter: {
+        query: notInTrash,
+        update: notInTrash,
       },
     },
     hooks: dogHooks,
@@ -69,9 +93,10 @@ export const lists = {
       label: 'Chien',
       plural: 'Chiens',
       labelField: 'name',
+      hideDelete: true, // Replaced by the trash button
       listView: {
         defaultFieldMode: 'read',
-        initialColumns: ['name', 'sex', 'breed', 'coat', 'owner', 'photos'],
+        initialColumns: ['name', 'sex', 'breeds', 'coat', 'owners', 'photos'],
         initialSort: { field: 'name', direction: 'ASC' },
       },
     },
@@ -80,6 +105,12 @@ export const lists = {
         validation: { isRequired: true },
         label: 'Nom',
       }),
+      nicknames: text({
+        label: 'Surnoms',
+        ui: {
+          description: 'Séparés par des virgules, ils sont pris en compte par la recherche',
+        },
+      }),
       sex: select({
         type: 'enum',
         options: [
@@ -93,19 +124,36 @@ export const lists = {
         validation: { isRequired: false },
         label: 'Anniversaire',
       }),
-      breed: text({
-        validation: { isRequired: false },
-        label: 'Race',
+      breeds: relationship({
+        ref: 'Breed.dogs',
+        many: true,
+        label: 'Races',
       }),
-      coat: text({
-        validation: { isRequired: false },
+      isMixedBreed: checkbox({
+        defaultValue: false,
+        label: 'Croisé',
+        ui: {
+          description: 'Croisement des races ci-dessus (ou de races inconnues si aucune n\'est choisie)',
+        },
+      }),
+      coat: relationship({
+        ref: 'Coat.dogs',
+        many: false,
         label: 'Robe',
       }),
-      owner: relationship({
+      owners: relationship({
         ref: 'Owner.dogs',
+        many: true,
+        label: 'Humains',
+      }),
+      // Kept among the owners by the Dog hooks
+      primaryOwner: relationship({
+        ref: 'Owner',
         many: false,
-        label: 'Humain',
-        validation: { isRequired: true },
+        label: 'Contact principal',
+        ui: {
+          description: 'L\'humain à contacter en premier. Avec un seul humain, c\'est lui.',
+        },
       }),
       photos: relationship({
         ref: 'Media.dog',
@@ -130,6 +178,37 @@ export const lists = {
           displayMode: 'segmented-control',
         },
       }),
+      // Dogs that moved away or passed away stay on the site, deceased ones in the "En mémoire" page
+      lifeStatus: select({
+        type: 'enum',
+        options: [
+          { label: '🏡 Dans le quartier', value: 'active' },
+          { label: '📦 A déménagé', value: 'moved' },
+          { label: '🌈 Décédé', value: 'deceased' },
+        ],
+        defaultValue: 'active',
+        label: 'Situation',
+        ui: {
+          displayMode: 'segmented-control',
+        },
+      }),
+      deceasedAt: calendarDay({
+        validation: { isRequired: false },
+        label: 'Date du décès',
+        ui: {
+          description: 'Seulement pour un chien décédé, affichée dans la page "En mémoire"',
+        },
+      }),
+      createdAt: timestamp({
+        defaultValue: { kind: 'now' },
+        label: 'Ajouté le',
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+        },
+      }),
+      deletedAt: trashField(),
     },
   }),
 
@@ -139,7 +218,12 @@ export const lists = {
         query: () => true, // Anyone can view
         create: hasValidEditToken, // Magic token or admin
         update: hasValidEditToken, // Magic token or admin
-        delete: isAuthenticated, // Only authenticated users can delete
+        delete: () => false, // Admins move owners to the trash, see trash.ts
+      },
+      item: ownerItemAccess, // Scoped magic links
+      filter: {
+        query: notInTrash,
+        update: notInTrash,
       },
     },
     hooks: ownerHooks,
@@ -147,10 +231,11 @@ export const lists = {
       label: 'Humain',
       plural: 'Humains',
       labelField: 'name',
+      hideDelete: true, // Replaced by the trash button
       isHidden: ({ session }) => !session, // Hide from non-authenticated users
       listView: {
         defaultFieldMode: 'read',
-        initialColumns: ['name', 'dogs', 'email', 'phone'],
+        initialColumns: ['name', 'dogs', 'email', 'phone', 'possibleDuplicates'],
         initialSort: { field: 'name', direction: 'ASC' },
       },
     },
@@ -173,7 +258,108 @@ export const lists = {
         },
       }),
       dogs: relationship({
-        ref: 'Dog.owner',
+        ref: 'Dog.owners',
+        many: true,
+        label: 'Chiens',
+      }),
+      possibleDuplicates: virtual({
+        label: 'Doublons probables',
+        access: {
+          read: isAuthenticated, // Compares emails and phones
+        },
+        field: graphql.field({
+          type: graphql.String,
+          async resolve(item: any, args, context) {
+            const duplicates = await findDuplicatesOfOwner(context, item.id);
+            return duplicates.map(owner => `${owner.name} (${owner.reasons.join(', ')})`).join(' · ') || null;
+          },
+        }),
+        ui: {
+          description: 'À fusionner depuis la page Doublons',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+        },
+      }),
+      deletedAt: trashField(),
+    },
+  }),
+
+  Breed: list({
+    access: {
+      operation: {
+        query: () => true, // Anyone can view
+        create: hasValidEditToken, // New breeds can be added while editing a dog
+        update: isAuthenticated, // Renaming or merging is an admin task
+        delete: isAuthenticated,
+      },
+    },
+    hooks: breedHooks,
+    ui: {
+      label: 'Race',
+      plural: 'Races',
+      labelField: 'name',
+      isHidden: ({ session }) => !session, // Hide from non-authenticated users
+      listView: {
+        initialColumns: ['name', 'synonyms', 'dogs'],
+        initialSort: { field: 'name', direction: 'ASC' },
+      },
+    },
+    fields: {
+      name: text({
+        validation: { isRequired: true },
+        isIndexed: 'unique',
+        label: 'Nom',
+      }),
+      synonyms: text({
+        label: 'Synonymes',
+        ui: {
+          displayMode: 'textarea',
+          description: 'Un par ligne (ex: "labrador retriever", "labra"). Les recherches et saisies correspondantes renvoient à cette race.',
+        },
+      }),
+      dogs: relationship({
+        ref: 'Dog.breeds',
+        many: true,
+        label: 'Chiens',
+      }),
+    },
+  }),
+
+  Coat: list({
+    access: {
+      operation: {
+        query: () => true, // Anyone can view
+        create: hasValidEditToken, // New coats can be added while editing a dog
+        update: isAuthenticated, // Renaming or merging is an admin task
+        delete: isAuthenticated,
+      },
+    },
+    hooks: coatHooks,
+    ui: {
+      label: 'Robe',
+      plural: 'Robes',
+      labelField: 'name',
+      isHidden: ({ session }) => !session, // Hide from non-authenticated users
+      listView: {
+        initialColumns: ['name', 'synonyms', 'dogs'],
+        initialSort: { field: 'name', direction: 'ASC' },
+      },
+    },
+    fields: {
+      name: text({
+        validation: { isRequired: true },
+        isIndexed: 'unique',
+        label: 'Nom',
+      }),
+      synonyms: text({
+        label: 'Synonymes',
+        ui: {
+          displayMode: 'textarea',
+          description: 'Un par ligne (ex: "noire", "black"). Les recherches et saisies correspondantes renvoient à cette robe.',
+        },
+      }),
+      dogs: relationship({
+        ref: 'Dog.coat',
         many: true,
         label: 'Chiens',
       }),
@@ -186,7 +372,12 @@ export const lists = {
         query: () => true, // Anyone can view
         create: hasValidEditToken, // Magic token or admin
         update: hasValidEditToken, // Magic token or admin
-        delete: isAuthenticated,
+        delete: () => false, // Admins move media to the trash, see trash.ts
+      },
+      item: mediaItemAccess, // Scoped magic links
+      filter: {
+        query: notInTrash,
+        update: notInTrash,
       },
     },
     hooks: mediaHooks,
@@ -194,6 +385,7 @@ export const lists = {
       label: 'Média',
       plural: 'Médias',
       labelField: 'name',
+      hideDelete: true, // Replaced by the trash button
       isHidden: ({ session }) => !session, // Hide from non-authenticated users
       listView: {
         defaultFieldMode: 'read',
@@ -211,10 +403,34 @@ export const lists = {
         label: 'Nom',
         defaultValue: 'Photo',
       }),
-      file: image({
-        storage: 'local_images',
+      file: webImage({
+        storage: 'images',
         label: 'Fichier',
       }),
+      renditions: json({
+        label: 'Déclinaisons',
+        graphql: {
+          omit: { create: true, update: true },
+        },
+        ui: {
+          description: 'Versions redimensionnées (AVIF, WebP, JPEG) générées à l\'envoi',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+      perceptualHash: text({
+        label: 'Empreinte',
+        graphql: {
+          omit: { create: true, update: true },
+        },
+        ui: {
+          description: 'Empreinte visuelle calculée à l\'envoi, pour repérer les photos en double',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
       type: select({
         type: 'enum',
         options: [
@@ -226,10 +442,25 @@ export const lists = {
       }),
       videoUrl: text({
         ui: {
-          description: 'URL de la vidéo (YouTube, Vimeo, etc.)',
+          description: 'URL de la vidéo (YouTube ou Vimeo)',
         },
         label: 'URL de la vidéo',
       }),
+      videoEmbedUrl: virtual({
+        label: 'Lecteur intégré',
+        field: graphql.field({
+          type: graphql.String,
+          resolve(item: any) {
+            return item.type === 'video' ? getVideoEmbedUrl(item.videoUrl) : null;
+          },
+        }),
+        ui: {
+          description: 'URL du lecteur sans cookies (youtube-nocookie, Vimeo DNT)',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
       dog: relationship({
         ref: 'Dog.photos',
         many: false,
@@ -271,6 +502,7 @@ export const lists = {
           itemView: { fieldMode: 'read' },
         },
       }),
+      deletedAt: trashField(),
     },
   }),
 
@@ -305,6 +537,50 @@ export const lists = {
           description: 'A posteriori: les photos sont publiées immédiatement. A priori: les photos doivent être approuvées avant publication.',
         },
       }),
+      notificationFrequency: select({
+        type: 'enum',
+        options: [
+          { label: 'Immédiate', value: 'immediate' },
+          { label: 'Résumé quotidien', value: 'daily' },
+          { label: 'Résumé hebdomadaire', value: 'weekly' },
+        ],
+        defaultValue: 'immediate',
+        label: 'Notifications des modifications',
+        ui: {
+          displayMode: 'segmented-control',
+          description: 'Modifications faites via le site et les liens magiques : une notification par modification, ou un résumé par jour/semaine (le lundi). Les liens désactivés sont toujours notifiés immédiatement.',
+        },
+      }),
+      digestHour: integer({
+        defaultValue: 8,
+        validation: { isRequired: true, min: 0, max: 23 },
+        label: 'Heure du résumé',
+        ui: {
+          description: 'Heure d\'envoi du résumé (0-23, heure du serveur)',
+        },
+      }),
+      lastDigestSentAt: timestamp({
+        label: 'Dernier résumé envoyé',
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+        },
+      }),
+      lastBirthdayReminderAt: timestamp({
+        label: 'Derniers rappels d\'anniversaire',
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+        },
+      }),
+      trashRetentionDays: integer({
+        defaultValue: DEFAULT_TRASH_RETENTION_DAYS,
+        validation: { isRequired: true, min: 1, max: 365 },
+        label: 'Durée de la corbeille (jours)',
+        ui: {
+          description: 'Les chiens, humains et médias mis à la corbeille sont supprimés définitivement (fichiers compris) après ce délai',
+        },
+      }),
     },
   }),
 
@@ -317,12 +593,13 @@ export const lists = {
         delete: isAuthenticated, // Only admins; stale subs auto-clean via 410
       },
     },
+    hooks: pushSubscriptionHooks,
     ui: {
       label: 'Abonnement Push',
       plural: 'Abonnements Push',
       isHidden: ({ session }) => !session,
       listView: {
-        initialColumns: ['endpoint', 'createdAt'],
+        initialColumns: ['endpoint', 'receivesAdminNotifications', 'user', 'editToken', 'createdAt'],
       },
     },
     fields: {
@@ -345,6 +622,22 @@ export const lists = {
           description: 'Cette souscription reçoit les notifications administrateur',
         },
       }),
+      user: relationship({
+        ref: 'User',
+        many: false,
+        label: 'Administrateur',
+        ui: {
+          description: 'Ses préférences de notification s\'appliquent à cet appareil',
+        },
+      }),
+      editToken: relationship({
+        ref: 'EditToken',
+        many: false,
+        label: 'Lien magique',
+        ui: {
+          description: 'Abonnement d\'un humain : reçoit les notifications des chiens couverts par ce lien',
+        },
+      }),
       createdAt: timestamp({
         label: 'Créé le',
         db: { isNullable: true },
@@ -356,11 +649,12 @@ export const lists = {
     access: {
       operation: {
         query: isAuthenticated, // Only authenticated users can view change log
-        create: () => true, // System can create logs
+        create: isAuthenticated, // Hooks log through context.sudo(), entries are never public input
         update: isAuthenticated, // Only authenticated users can update (for status changes)
         delete: isAuthenticated,
       },
     },
+    hooks: changeLogHooks,
     ui: {
       label: 'Journal des modifications',
       plural: 'Journal des modifications',
@@ -427,6 +721,15 @@ export const lists = {
           createView: { fieldMode: 'hidden' },
         },
       }),
+      snapshot: json({
+        label: 'Instantané',
+        ui: {
+          description: 'État complet de l\'entité avant suppression (utilisé pour l\'annulation)',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
       changesSummary: text({
         validation: { isRequired: false },
         label: 'Résumé',
@@ -458,12 +761,23 @@ export const lists = {
         options: [
           { label: '⏳ En attente', value: 'pending' },
           { label: '✅ Accepté', value: 'accepted' },
+          { label: '❌ Rejeté', value: 'rejected' },
           { label: '↩️ Annulé', value: 'reverted' },
         ],
         defaultValue: 'pending',
         label: 'Statut',
         ui: {
           displayMode: 'segmented-control',
+          description: 'Accepter une proposition applique les changements, la rejeter les abandonne',
+        },
+      }),
+      isProposal: checkbox({
+        defaultValue: false,
+        label: 'Proposition',
+        ui: {
+          description: 'Modification en attente d\'application (mode a priori)',
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
         },
       }),
       frontendUrl: text({
@@ -498,7 +812,7 @@ export const lists = {
       plural: 'Liens magiques',
       isHidden: ({ session }) => !session,
       listView: {
-        initialColumns: ['label', 'token', 'isActive', 'lastUsedAt', 'expiresAt'],
+        initialColumns: ['label', 'token', 'scope', 'isActive', 'quotaUsage', 'lastUsedAt', 'expiresAt'],
         initialSort: { field: 'createdAt', direction: 'DESC' },
       },
     },
@@ -510,6 +824,38 @@ export const lists = {
           description: 'Nom pour identifier ce lien (ex: "Famille Dupont", "Voisins du parc")',
         },
       }),
+      scope: select({
+        type: 'enum',
+        options: [
+          { label: 'Tous les chiens', value: 'all' },
+          { label: 'Chiens choisis', value: 'dogs' },
+          { label: 'Un humain et ses chiens', value: 'owner' },
+          { label: 'Ajouts uniquement', value: 'create' },
+        ],
+        defaultValue: 'all',
+        validation: { isRequired: true },
+        label: 'Portée',
+        ui: {
+          displayMode: 'segmented-control',
+          description: '"Ajouts uniquement" permet d\'ajouter chiens et humains, et des photos aux chiens ajoutés, sans rien modifier',
+        },
+      }),
+      dogs: relationship({
+        ref: 'Dog',
+        many: true,
+        label: 'Chiens autorisés',
+        ui: {
+          description: 'Pour la portée "Chiens choisis" (les chiens ajoutés par un lien "Ajouts uniquement" s\'y ajoutent)',
+        },
+      }),
+      owner: relationship({
+        ref: 'Owner',
+        many: false,
+        label: 'Humain autorisé',
+        ui: {
+          description: 'Pour la portée "Un humain et ses chiens"',
+        },
+      }),
       token: text({
         isIndexed: 'unique',
         label: 'Token',
@@ -558,6 +904,152 @@ export const lists = {
           itemView: { fieldMode: 'read' },
         },
       }),
+      maxUploadsPerDay: integer({
+        validation: { min: 0 },
+        label: 'Photos max. par 24 h',
+        ui: {
+          description: 'Laisser vide pour aucune limite. Au-delà, le lien est désactivé.',
+        },
+      }),
+      maxEditsPerHour: integer({
+        validation: { min: 0 },
+        label: 'Modifications max. par heure',
+        ui: {
+          description: 'Laisser vide pour aucune limite. Au-delà, le lien est désactivé.',
+        },
+      }),
+      maxUses: integer({
+        validation: { min: 0 },
+        label: 'Utilisations max. (total)',
+        ui: {
+          description: 'Laisser vide pour aucune limite. Au-delà, le lien est désactivé.',
+        },
+      }),
+      quotaUsage: virtual({
+        label: 'Utilisation',
+        field: graphql.field({
+          type: graphql.String,
+          resolve(item: any) {
+            return describeQuotaUsage(item);
+          },
+        }),
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+        },
+      }),
+      // Quota windows, summarized by quotaUsage
+      uploadCount: integer({
+        defaultValue: 0,
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'hidden' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+      uploadWindowStart: timestamp({
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'hidden' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+      editCount: integer({
+        defaultValue: 0,
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'hidden' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+      editWindowStart: timestamp({
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'hidden' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+      deactivatedReason: text({
+        label: 'Désactivé automatiquement',
+        graphql: { omit: { create: true, update: true } },
+        ui: {
+          createView: { fieldMode: 'hidden' },
+          itemView: { fieldMode: 'read' },
+          listView: { fieldMode: 'hidden' },
+        },
+      }),
+    },
+  }),
+
+  FrontendBuild: list({
+    access: {
+      operation: {
+        query: isAuthenticated,
+        create: () => false, // Recorded by the build scheduler only
+        update: () => false,
+        delete: isAuthenticated,
+      },
+    },
+    ui: {
+      label: 'Build du site',
+      plural: 'Builds du site',
+      isHidden: ({ session }) => !session,
+      listView: {
+        initialColumns: ['requestedAt', 'status', 'changeCount', 'attempts', 'finishedAt'],
+        initialSort: { field: 'requestedAt', direction: 'DESC' },
+        pageSize: 50,
+      },
+    },
+    fields: {
+      status: select({
+        type: 'enum',
+        options: [
+          { label: '⏳ En attente', value: 'pending' },
+          { label: '🔨 En cours', value: 'running' },
+          { label: '✅ Réussi', value: 'succeeded' },
+          { label: '❌ Échec', value: 'failed' },
+        ],
+        defaultValue: 'pending',
+        label: 'Statut',
+      }),
+      reason: text({
+        label: 'Changements',
+        ui: {
+          displayMode: 'textarea',
+          description: 'Modifications regroupées dans ce build',
+        },
+      }),
+      changeCount: integer({
+        defaultValue: 0,
+        label: 'Nombre de changements',
+      }),
+      attempts: integer({
+        defaultValue: 0,
+        label: 'Tentatives',
+      }),
+      error: text({
+        label: 'Dernière erreur',
+      }),
+      requestedAt: timestamp({
+        defaultValue: { kind: 'now' },
+        label: 'Demandé le',
+      }),
+      scheduledFor: timestamp({
+        label: 'Prévu pour',
+        db: { isNullable: true },
+      }),
+      startedAt: timestamp({
+        label: 'Lancé le',
+        db: { isNullable: true },
+      }),
+      finishedAt: timestamp({
+        label: 'Terminé le',
+        db: { isNullable: true },
+      }),
     },
   }),
 };
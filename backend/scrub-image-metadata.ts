@@ -0,0 +1,90 @@
+/**
+ * Cleanup Script: Strip EXIF/GPS metadata from images already stored
+ *
+ * What this does:
+ * 1. For each image file in the storage (data/images or the S3 bucket)
+ * 2. If it still carries EXIF, XMP or IPTC metadata, rewrite it without it
+ *    (EXIF orientation is applied to the pixels)
+ * 3. Update the dimensions and size of the Media items using that file
+ *
+ * Pass --dry-run to only list the files that would be scrubbed.
+ * This is idempotent - safe to run multiple times.
+ */
+
+import { getContext } from '@keystone-6/core/context';
+import config from './keystone';
+import * as PrismaModule from '.prisma/client';
+import { hasImageMetadata, stripImageMetadata } from './images';
+import { imageStorage } from './image-storage';
+
+async function scrub() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`🚀 Scrubbing image metadata${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const context = getContext(config, PrismaModule);
+
+  // Originals only: renditions are generated without metadata
+  const entries = await imageStorage.list();
+  const files = entries
+    .filter(entry => /^[^./]+\.[a-z]+$/.test(entry.path))
+    .map(entry => {
+      const [id, extension] = entry.path.split('.');
+      return { id, extension };
+    });
+
+  console.log(`Found ${files.length} images to check\n`);
+
+  let scrubbed = 0;
+  let clean = 0;
+  let errors = 0;
+
+  for (const file of files) {
+    try {
+      if (!(await hasImageMetadata(file))) {
+        clean++;
+        continue;
+      }
+
+      console.log(`Processing: ${file.id}.${file.extension}`);
+
+      if (dryRun) {
+        console.log(`  🔍 Has metadata - would be scrubbed`);
+        scrubbed++;
+        continue;
+      }
+
+      const { width, height, filesize } = await stripImageMetadata(file);
+
+      const { count } = await context.prisma.media.updateMany({
+        where: { file_id: file.id },
+        data: { file_width: width, file_height: height, file_filesize: filesize },
+      });
+
+      console.log(`  ✨ Scrubbed (${count} media updated)`);
+      scrubbed++;
+    } catch (error) {
+      console.error(`  ❌ Error scrubbing ${file.id}.${file.extension}:`, error);
+      errors++;
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Scrubbed: ${scrubbed}`);
+  console.log(`  Already clean: ${clean}`);
+  console.log(`  Errors: ${errors}`);
+  console.log(`  Total: ${files.length}`);
+
+  if (errors === 0) {
+    console.log('\n✅ Scrub completed successfully!');
+  } else {
+    console.log('\n⚠️  Scrub completed with errors');
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
+
+scrub().catch((error) => {
+  console.error('💥 Scrub failed:', error);
+  process.exit(1);
+});
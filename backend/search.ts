@@ -0,0 +1,212 @@
+/**
+ * Fuzzy Search
+ * Matches dogs and owners by name ignoring case and accents ("eloise" finds
+ * "Éloïse") and tolerating typos ("labrdor" finds "Labrador"). Dogs are also
+ * found by their nicknames, breeds, coat and owners.
+ *
+ * The public site searches a copy of this index built with the site
+ * (frontend/src/js/fuzzy-search.js matches the same way).
+ */
+
+import { normalizeTerm, parseSynonyms, vocabularyTerms } from './vocabularies';
+
+export type SearchType = 'dog' | 'owner';
+
+export interface SearchEntry {
+  type: SearchType;
+  id: string;
+  name: string;
+  /** Shown under the name: a dog's owners, an owner's dogs */
+  detail: string;
+  /** Normalized text of each field, see FIELD_WEIGHTS */
+  fields: Record<string, string>;
+}
+
+export interface SearchResult {
+  type: SearchType;
+  id: string;
+  name: string;
+  detail: string;
+  score: number;
+}
+
+/**
+ * How much a match in each field counts
+ */
+const FIELD_WEIGHTS: Record<string, number> = {
+  name: 4,
+  nicknames: 3,
+  owner: 2,
+  breeds: 1,
+  coat: 1,
+};
+
+/**
+ * Typos allowed in a search word: none for short words, where they match too much
+ */
+export function maxTypos(length: number): number {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance (a swap of two letters counts as one), or max + 1 beyond max
+ */
+export function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How well a search word matches a word of the index, from 0 (no match) to 1
+ */
+function matchWord(token: string, word: string): number {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.8;
+  if (token.length >= 3 && word.includes(token)) return 0.5;
+
+  const typos = maxTypos(token.length);
+  if (typos === 0) return 0;
+
+  const distance = editDistance(token, word, typos);
+  if (distance <= typos) return 0.6 - distance * 0.1;
+
+  // Typo in the beginning of a word being typed ("labrd" for "labrador")
+  const prefixDistance = editDistance(token, word.slice(0, token.length), typos);
+  if (prefixDistance <= typos) return 0.4 - prefixDistance * 0.1;
+
+  return 0;
+}
+
+/**
+ * Score of an entry for the search words: every word has to match a field
+ */
+function scoreEntry(fields: Record<string, string>, tokens: string[]): number {
+  let score = 0;
+
+  for (const token of tokens) {
+    let best = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = FIELD_WEIGHTS[field] || 1;
+      for (const word of text.split(' ')) {
+        if (word) best = Math.max(best, matchWord(token, word) * weight);
+      }
+    }
+
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  return score;
+}
+
+/**
+ * Best matching entries for a search, most relevant first
+ */
+export function searchEntries(entries: SearchEntry[], query: string, take = 10): SearchResult[] {
+  const tokens = normalizeTerm(query).split(' ').filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  return entries
+    .map(entry => ({
+      type: entry.type,
+      id: entry.id,
+      name: entry.name,
+      detail: entry.detail,
+      score: scoreEntry(entry.fields, tokens),
+    }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, 'fr'))
+    .slice(0, take);
+}
+
+/**
+ * Index entry of a dog, with its breeds and coat (including their synonyms) and owners
+ */
+function dogSearchEntry(dog: any): SearchEntry {
+  return {
+    type: 'dog',
+    id: dog.id,
+    name: dog.name,
+    detail: (dog.owners || []).map((owner: any) => owner.name).join(', '),
+    fields: {
+      name: normalizeTerm(dog.name || ''),
+      nicknames: parseSynonyms(dog.nicknames).map(normalizeTerm).join(' '),
+      owner: (dog.owners || []).map((owner: any) => normalizeTerm(owner.name)).join(' '),
+      breeds: (dog.breeds || []).flatMap(vocabularyTerms).join(' '),
+      coat: dog.coat ? vocabularyTerms(dog.coat).join(' ') : '',
+    },
+  };
+}
+
+function ownerSearchEntry(owner: any): SearchEntry {
+  return {
+    type: 'owner',
+    id: owner.id,
+    name: owner.name,
+    detail: (owner.dogs || []).map((dog: any) => dog.name).join(', '),
+    fields: {
+      name: normalizeTerm(owner.name || ''),
+    },
+  };
+}
+
+/**
+ * Search dogs and/or owners
+ * The directory is small: the index is built from the database on each search.
+ * Only admins find dogs that aren't approved yet, deceased dogs only when asked for.
+ */
+export async function search(
+  context: any,
+  query: string,
+  types: SearchType[] = ['dog', 'owner'],
+  take = 10,
+  includeDeceased = false
+): Promise<SearchResult[]> {
+  const entries: SearchEntry[] = [];
+
+  if (types.includes('dog')) {
+    const where: any = context.session ? {} : { status: { equals: 'approved' } };
+    if (!includeDeceased) {
+      where.lifeStatus = { not: { equals: 'deceased' } };
+    }
+
+    const dogs = await context.query.Dog.findMany({
+      where,
+      query: 'id name nicknames owners { name } breeds { name synonyms } coat { name synonyms }',
+    });
+    entries.push(...dogs.map(dogSearchEntry));
+  }
+
+  if (types.includes('owner')) {
+    const owners = await context.query.Owner.findMany({
+      query: 'id name dogs { name }',
+    });
+    entries.push(...owners.map(ownerSearchEntry));
+  }
+
+  return searchEntries(entries, query, take);
+}
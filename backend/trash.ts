@@ -0,0 +1,386 @@
+/**
+ * Trash
+ * Dogs, owners and media aren't deleted right away: they go to the trash
+ * (deletedAt is set), which hides them everywhere through the lists' access
+ * filters while keeping their relationships. From the admin trash page they are
+ * restored as they were, or deleted for good. Items left in the trash longer
+ * than the retention period (Settings) are purged, image files included.
+ *
+ * The purge runs inside the backend process and checks every hour.
+ */
+
+import { timestamp } from '@keystone-6/core/fields';
+import { getEntityName, logChange, SNAPSHOT_QUERIES } from './change-logging';
+import { sendChangeNotification } from './notifications';
+import { scheduleFrontendBuild } from './builds';
+import { deleteImageFiles } from './images';
+import { imageStorage } from './image-storage';
+
+export type TrashEntityType = 'Dog' | 'Owner' | 'Media';
+
+/**
+ * Purged in this order: a dog takes its media along
+ */
+export const TRASH_ENTITY_TYPES: TrashEntityType[] = ['Dog', 'Owner', 'Media'];
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const CHECK_INTERVAL_MINUTES = 60;
+
+const PRISMA_MODELS: Record<TrashEntityType, string> = {
+  Dog: 'dog',
+  Owner: 'owner',
+  Media: 'media',
+};
+
+let timer: NodeJS.Timeout | null = null;
+let running = false;
+
+export interface TrashItem {
+  entityType: TrashEntityType;
+  id: string;
+  name: string;
+  /** A dog's owners and media count, an owner's dogs, the dog of a photo */
+  detail: string;
+  thumbnailUrl: string | null;
+  deletedAt: Date;
+  purgeAt: Date;
+}
+
+/**
+ * Access filter of the lists with a trash: items in the trash are hidden, admins included
+ * (the trash page reads them through the trash query)
+ */
+export const notInTrash = () => ({ deletedAt: { equals: null } });
+
+/**
+ * deletedAt field of the lists with a trash, shown as a "move to trash" button on the item page
+ */
+export function trashField(): ReturnType<typeof timestamp> {
+  return timestamp({
+    label: 'Corbeille',
+    graphql: { omit: { create: true, update: true } },
+    ui: {
+      views: './admin/components/TrashButtonView',
+      description: 'Les éléments de la corbeille sont supprimés définitivement après le délai choisi dans les paramètres',
+      createView: { fieldMode: 'hidden' },
+      itemView: { fieldMode: 'read' },
+      listView: { fieldMode: 'hidden' },
+    },
+  });
+}
+
+/**
+ * "Chien", "Humain", "Photo" or "Vidéo", to describe an item in the ChangeLog
+ */
+function entityLabel(entityType: TrashEntityType, item: any): string {
+  if (entityType === 'Media') {
+    return item?.type === 'video' ? 'Vidéo' : 'Photo';
+  }
+  return entityType === 'Dog' ? 'Chien' : 'Humain';
+}
+
+/**
+ * Number of days items stay in the trash
+ */
+async function getRetentionDays(context: any): Promise<number> {
+  const settings = await context.prisma.settings.findFirst({
+    select: { trashRetentionDays: true },
+  });
+  return settings?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * An item, in the trash or not, and its snapshot (also used to name it)
+ */
+async function findItem(context: any, entityType: TrashEntityType, id: string): Promise<{ item: any; snapshot: any }> {
+  const model = context.prisma[PRISMA_MODELS[entityType]];
+  if (!model) {
+    throw new Error(`Type d'entité non pris en charge: ${entityType}`);
+  }
+
+  const item = await model.findUnique({ where: { id } });
+  if (!item) {
+    throw new Error('Élément introuvable');
+  }
+
+  // The lists' access filters hide items in the trash
+  const snapshot = await context.sudo().query[entityType].findOne({
+    where: { id },
+    query: SNAPSHOT_QUERIES[entityType],
+  });
+  return { item, snapshot };
+}
+
+/**
+ * Move an item to the trash, a dog along with its photos and videos
+ * Logged as a deletion, which reverting restores.
+ */
+export async function moveToTrash(
+  context: any,
+  entityType: TrashEntityType,
+  id: string,
+  changesSummary?: string
+): Promise<void> {
+  const { item, snapshot } = await findItem(context, entityType, id);
+  if (item.deletedAt) {
+    throw new Error('Cet élément est déjà dans la corbeille');
+  }
+
+  // Items trashed together share their date, so they are restored together
+  const deletedAt = new Date();
+  await context.prisma[PRISMA_MODELS[entityType]].update({ where: { id }, data: { deletedAt } });
+  if (entityType === 'Dog') {
+    await context.prisma.media.updateMany({
+      where: { dogId: id, deletedAt: null },
+      data: { deletedAt },
+    });
+  }
+
+  const entityName = getEntityName(entityType, snapshot);
+  const label = entityLabel(entityType, snapshot);
+
+  await logChange(context, {
+    entityType,
+    entityId: id,
+    entityName,
+    operation: 'delete',
+    changes: [],
+    changesSummary: changesSummary || `${label} mis${entityType === 'Media' ? 'e' : ''} à la corbeille: ${entityName}`,
+    status: 'accepted',
+    snapshot,
+    dogId: snapshot.dog?.id,
+  });
+
+  await sendChangeNotification(context, {
+    entityType,
+    entityName,
+    operation: 'delete',
+    changes: [],
+  });
+
+  await scheduleFrontendBuild(context, `${label}: mise à la corbeille`);
+}
+
+/**
+ * Take an item out of the trash, with its relationships as they were
+ * A dog gets back the media trashed along with it.
+ */
+export async function restoreFromTrash(
+  context: any,
+  entityType: TrashEntityType,
+  id: string,
+  changesSummary?: string
+): Promise<void> {
+  const { item, snapshot } = await findItem(context, entityType, id);
+  if (!item.deletedAt) {
+    throw new Error('Cet élément n\'est pas dans la corbeille');
+  }
+
+  if (entityType === 'Media' && item.dogId) {
+    const dog = await context.prisma.dog.findUnique({ where: { id: item.dogId }, select: { name: true, deletedAt: true } });
+    if (dog?.deletedAt) {
+      throw new Error(`Le chien "${dog.name}" est dans la corbeille. Restaurez-le d'abord.`);
+    }
+  }
+
+  await context.prisma[PRISMA_MODELS[entityType]].update({ where: { id }, data: { deletedAt: null } });
+  if (entityType === 'Dog') {
+    await context.prisma.media.updateMany({
+      where: { dogId: id, deletedAt: item.deletedAt },
+      data: { deletedAt: null },
+    });
+  }
+
+  const entityName = getEntityName(entityType, snapshot);
+  const label = entityLabel(entityType, snapshot);
+
+  await logChange(context, {
+    entityType,
+    entityId: id,
+    entityName,
+    operation: 'create',
+    changes: [],
+    changesSummary: changesSummary || `${label} restauré${entityType === 'Media' ? 'e' : ''} depuis la corbeille: ${entityName}`,
+    status: 'accepted',
+    dogId: snapshot.dog?.id,
+  });
+
+  await scheduleFrontendBuild(context, `${label}: restauration depuis la corbeille`);
+}
+
+/**
+ * Delete a media item of the trash for good, with its image files
+ */
+async function purgeMedia(context: any, media: any): Promise<void> {
+  await context.prisma.media.delete({ where: { id: media.id } });
+
+  if (media.file_id && media.file_extension) {
+    await deleteImageFiles({ id: media.file_id, extension: media.file_extension });
+  }
+}
+
+/**
+ * Delete an item of the trash for good, a dog with its media in the trash
+ * Dogs and owners can still be recreated from the logged snapshot, media can't:
+ * their files are gone.
+ */
+export async function purgeFromTrash(context: any, entityType: TrashEntityType, id: string): Promise<void> {
+  const { item, snapshot } = await findItem(context, entityType, id);
+  if (!item.deletedAt) {
+    throw new Error('Seuls les éléments de la corbeille peuvent être supprimés définitivement');
+  }
+
+  let purgedMedia = 0;
+  if (entityType === 'Dog') {
+    const mediaItems = await context.prisma.media.findMany({ where: { dogId: id, deletedAt: { not: null } } });
+    for (const media of mediaItems) {
+      await purgeMedia(context, media);
+    }
+    purgedMedia = mediaItems.length;
+  }
+
+  if (entityType === 'Media') {
+    await purgeMedia(context, item);
+  } else {
+    await context.prisma[PRISMA_MODELS[entityType]].delete({ where: { id } });
+  }
+
+  const entityName = getEntityName(entityType, snapshot);
+
+  await logChange(context, {
+    entityType,
+    entityId: id,
+    entityName,
+    operation: 'delete',
+    changes: [],
+    changesSummary: `${entityLabel(entityType, snapshot)} supprimé${entityType === 'Media' ? 'e' : ''} définitivement: ${entityName}` +
+      (purgedMedia > 0 ? ` (avec ${purgedMedia} média${purgedMedia > 1 ? 's' : ''})` : ''),
+    status: 'accepted',
+    snapshot: entityType === 'Media' ? undefined : { ...snapshot, photos: [] },
+    dogId: snapshot.dog?.id,
+  });
+}
+
+/**
+ * Everything in the trash, most recently trashed first
+ * Media trashed along with their dog are counted on the dog, not listed.
+ */
+export async function listTrash(context: any): Promise<TrashItem[]> {
+  const retentionDays = await getRetentionDays(context);
+  const where = { deletedAt: { not: null } };
+
+  const dogs = await context.prisma.dog.findMany({
+    where,
+    select: {
+      id: true,
+      name: true,
+      deletedAt: true,
+      owners: { select: { name: true } },
+      photos: { select: { deletedAt: true } },
+    },
+  });
+  const owners = await context.prisma.owner.findMany({
+    where,
+    select: { id: true, name: true, deletedAt: true, dogs: { select: { name: true } } },
+  });
+  const mediaItems = await context.prisma.media.findMany({
+    where,
+    select: {
+      id: true,
+      name: true,
+      type: true,
+      deletedAt: true,
+      renditions: true,
+      file_id: true,
+      file_extension: true,
+      dog: { select: { name: true, deletedAt: true } },
+    },
+  });
+
+  const toItem = (entityType: TrashEntityType, item: any, detail: string, thumbnailUrl: string | null = null): TrashItem => ({
+    entityType,
+    id: item.id,
+    name: item.name || item.id,
+    detail,
+    thumbnailUrl,
+    deletedAt: item.deletedAt,
+    purgeAt: new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000),
+  });
+
+  const items: TrashItem[] = [
+    ...dogs.map((dog: any) => {
+      const media = dog.photos.filter((photo: any) => photo.deletedAt?.getTime() === dog.deletedAt.getTime()).length;
+      const ownerNames = dog.owners.map((owner: any) => owner.name).join(', ') || 'Sans humain';
+      return toItem('Dog', dog, media > 0 ? `${ownerNames} · ${media} média${media > 1 ? 's' : ''}` : ownerNames);
+    }),
+    ...owners.map((owner: any) =>
+      toItem('Owner', owner, owner.dogs.map((dog: any) => dog.name).join(', ') || 'Aucun chien')
+    ),
+    ...mediaItems
+      .filter((media: any) => media.dog?.deletedAt?.getTime() !== media.deletedAt.getTime())
+      .map((media: any) => {
+        const renditions = media.renditions ? JSON.parse(media.renditions) : null;
+        const thumbnailUrl = renditions?.thumbnail?.jpeg ||
+          (media.file_id ? imageStorage.url(`${media.file_id}.${media.file_extension}`) : null);
+        return toItem('Media', media, `${entityLabel('Media', media)} de ${media.dog?.name || 'aucun chien'}`, thumbnailUrl);
+      }),
+  ];
+
+  return items.sort((a, b) => b.deletedAt.getTime() - a.deletedAt.getTime());
+}
+
+/**
+ * Delete for good the items left in the trash longer than the retention period
+ */
+export async function purgeExpiredTrash(context: any, now = new Date()): Promise<number> {
+  const retentionDays = await getRetentionDays(context);
+  const before = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (const entityType of TRASH_ENTITY_TYPES) {
+    const items = await context.prisma[PRISMA_MODELS[entityType]].findMany({
+      where: { deletedAt: { lt: before } },
+      select: { id: true },
+    });
+
+    for (const item of items) {
+      try {
+        await purgeFromTrash(context, entityType, item.id);
+        purged++;
+      } catch (error) {
+        console.error(`Error purging ${entityType} ${item.id}:`, error);
+      }
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} item(s) from the trash`);
+  }
+  return purged;
+}
+
+/**
+ * Start purging the trash periodically
+ */
+export function initTrashPurge(context: any): void {
+  if (timer) {
+    return;
+  }
+
+  const check = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredTrash(context.sudo());
+    } catch (error) {
+      console.error('Error purging the trash:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  check();
+}
@@ -0,0 +1,70 @@
+/**
+ * Video Embeds
+ * Parses YouTube/Vimeo URLs into privacy-friendly embed URLs
+ * (youtube-nocookie, Vimeo "do not track")
+ */
+
+export type VideoProvider = 'youtube' | 'vimeo';
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'];
+
+/**
+ * Extract the provider and video id from a video URL
+ * Returns null for unsupported providers or malformed URLs
+ */
+export function parseVideoUrl(url: string): { provider: VideoProvider; id: string; hash?: string } | null {
+  let parsed: URL;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+
+  if (YOUTUBE_HOSTS.includes(host)) {
+    // youtu.be/<id>, youtube.com/watch?v=<id>, youtube.com/{embed,shorts,live}/<id>
+    const id = host === 'youtu.be'
+      ? parsed.pathname.split('/')[1]
+      : parsed.pathname === '/watch'
+        ? parsed.searchParams.get('v')
+        : parsed.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/)?.[1];
+
+    return id && /^[A-Za-z0-9_-]{11}$/.test(id) ? { provider: 'youtube', id } : null;
+  }
+
+  if (VIMEO_HOSTS.includes(host)) {
+    // vimeo.com/<id>, vimeo.com/<id>/<hash> (unlisted), player.vimeo.com/video/<id>?h=<hash>
+    const match = parsed.pathname.match(/\/(\d+)(?:\/([0-9a-f]+))?\/?$/);
+    if (!match) {
+      return null;
+    }
+
+    const hash = match[2] || parsed.searchParams.get('h') || undefined;
+    return { provider: 'vimeo', id: match[1], hash };
+  }
+
+  return null;
+}
+
+/**
+ * Privacy-friendly embed URL for a video URL, or null if unsupported
+ */
+export function getVideoEmbedUrl(url: string | null | undefined): string | null {
+  const video = url ? parseVideoUrl(url) : null;
+
+  if (!video) {
+    return null;
+  }
+
+  if (video.provider === 'youtube') {
+    return `https://www.youtube-nocookie.com/embed/${video.id}?rel=0`;
+  }
+
+  return `https://player.vimeo.com/video/${video.id}?dnt=1${video.hash ? `&h=${video.hash}` : ''}`;
+}
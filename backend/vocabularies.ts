@@ -0,0 +1,122 @@
+/**
+ * Breed and Coat Vocabularies
+ * Dogs reference Breed and Coat items instead of free text. Each item lists
+ * synonyms, so "labrador retriever" and "Labrador" are the same breed, and a
+ * dog's breeds can be marked as a cross (isMixedBreed).
+ *
+ * Terms are compared normalized: case, accents and punctuation don't matter.
+ */
+
+export type VocabularyType = 'Breed' | 'Coat';
+
+const PRISMA_MODELS: Record<VocabularyType, string> = {
+  Breed: 'breed',
+  Coat: 'coat',
+};
+
+export const VOCABULARY_LABELS: Record<VocabularyType, string> = {
+  Breed: 'la race',
+  Coat: 'la robe',
+};
+
+/**
+ * Words marking a cross in free text ("Labrador croisé", "Berger (mix)")
+ */
+const MIXED_BREED_WORDS = /(^|[^\p{L}])(crois[ée]e?s?|croisement|mix|mixed|m[ée]lang[ée]e?|b[aâ]tard|corniaud)(?=$|[^\p{L}])/giu;
+
+/**
+ * Separators between the breeds of a cross ("Labrador x Golden", "Husky / Berger")
+ */
+const BREED_SEPARATORS = /\s+x\s+|\s*[×/+&,]\s*|\s+et\s+/i;
+
+/**
+ * Normalize a term for comparison: lowercase, no accents, single spaces
+ */
+export function normalizeTerm(value: string): string {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Synonyms are entered one per line (commas and semicolons also separate them)
+ */
+export function parseSynonyms(synonyms: string | null | undefined): string[] {
+  return (synonyms || '')
+    .split(/[\n,;]/)
+    .map(synonym => synonym.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalized terms an item is known by: its name and its synonyms
+ */
+export function vocabularyTerms(item: { name?: string | null; synonyms?: string | null }): string[] {
+  const terms = [item.name || '', ...parseSynonyms(item.synonyms)].map(normalizeTerm).filter(Boolean);
+  return Array.from(new Set(terms));
+}
+
+/**
+ * Split a free-text breed into breed names and a cross marker
+ * "Labrador (croisé)" → ["Labrador"], mixed; "Husky x Berger" → ["Husky", "Berger"], mixed
+ */
+export function parseBreedText(value: string): { names: string[]; isMixedBreed: boolean } {
+  const withoutMarkers = value.replace(MIXED_BREED_WORDS, '$1');
+  const hasMarker = withoutMarkers !== value;
+
+  const names = withoutMarkers
+    .replace(/\(\s*\)/g, ' ')
+    .split(BREED_SEPARATORS)
+    .map(name => name.replace(/[()\-\s]+$/g, '').replace(/^[()\-\s]+/g, '').replace(/\s+/g, ' '))
+    .filter(name => normalizeTerm(name));
+
+  return { names, isMixedBreed: hasMarker || names.length > 1 };
+}
+
+/**
+ * All items of a vocabulary
+ * Vocabularies are small: terms are matched in memory, which handles accents and synonyms
+ */
+async function listVocabulary(context: any, type: VocabularyType): Promise<Array<{ id: string; name: string; synonyms: string }>> {
+  return context.prisma[PRISMA_MODELS[type]].findMany({
+    select: { id: true, name: true, synonyms: true },
+  });
+}
+
+/**
+ * Find the item known by a term (name or synonym)
+ */
+export async function findVocabularyItem(
+  context: any,
+  type: VocabularyType,
+  term: string
+): Promise<{ id: string; name: string; synonyms: string } | null> {
+  const normalized = normalizeTerm(term);
+  if (!normalized) return null;
+
+  const items = await listVocabulary(context, type);
+  return items.find(item => vocabularyTerms(item).includes(normalized)) || null;
+}
+
+/**
+ * Check that none of the terms of an item already designates another item
+ * Returns the error message, or null when the terms are free
+ */
+export async function findTermConflict(
+  context: any,
+  type: VocabularyType,
+  item: { id?: string; name?: string | null; synonyms?: string | null }
+): Promise<string | null> {
+  const others = (await listVocabulary(context, type)).filter(other => other.id !== item.id);
+
+  for (const term of vocabularyTerms(item)) {
+    const existing = others.find(other => vocabularyTerms(other).includes(term));
+    if (existing) {
+      return `"${term}" désigne déjà ${VOCABULARY_LABELS[type]} "${existing.name}"`;
+    }
+  }
+  return null;
+}
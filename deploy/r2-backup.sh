@@ -106,6 +106,11 @@ backup_database() {
 
 # Sync images to R2 (incremental - only uploads new/changed files)
 sync_images() {
+    if [ "${IMAGES_STORAGE:-local}" = "s3" ]; then
+        log "Images are stored in S3 (IMAGES_STORAGE=s3), skipping image sync"
+        return
+    fi
+
     if [ ! -d "$IMAGES_DIR" ]; then
         log "Images directory not found, skipping image sync"
         return
@@ -1,3 +1,6 @@
+// Ages and birthdays are computed at build time, in the site's timezone rather than the build server's
+process.env.TZ = process.env.SITE_TIMEZONE || 'Europe/Paris';
+
 module.exports = function(eleventyConfig) {
   // Copy static assets
   eleventyConfig.addPassthroughCopy('src/css');
@@ -12,11 +15,12 @@ module.exports = function(eleventyConfig) {
   eleventyConfig.addWatchTarget('src/js/');
 
   // Add filter for age calculation from birthday date (YYYY-MM-DD)
-  eleventyConfig.addFilter('calculateAge', function(birthday) {
+  // With a date of death, the age the dog reached (and never a birthday tag)
+  eleventyConfig.addFilter('calculateAge', function(birthday, deceasedAt) {
     if (!birthday) return null;
 
     const birthDate = new Date(birthday);
-    const today = new Date();
+    const today = deceasedAt ? new Date(deceasedAt) : new Date();
 
     // Don't calculate age for future dates
     if (birthDate > today) return null;
@@ -37,7 +41,8 @@ module.exports = function(eleventyConfig) {
     }
 
     // Check if it's the dog's birthday today
-    const isBirthday = today.getMonth() === birthDate.getMonth() &&
+    const isBirthday = !deceasedAt &&
+                       today.getMonth() === birthDate.getMonth() &&
                        today.getDate() === birthDate.getDate();
 
     // Calculate total months for dogs under 1 year
@@ -51,35 +56,251 @@ module.exports = function(eleventyConfig) {
     };
   });
 
+  // Image URLs are relative to the backend, or absolute when images are in a public S3 bucket
+  function absoluteImageUrl(url) {
+    const API_URL = process.env.API_URL || 'http://localhost:3000';
+    return /^https?:\/\//.test(url) ? url : API_URL + url;
+  }
+
   // Add filter to prefix image URL with API URL
   eleventyConfig.addFilter('imageUrl', function(url) {
     if (!url) return '/images/placeholder.png';
-    const API_URL = process.env.API_URL || 'http://localhost:3000';
-    return API_URL + url;
+    return absoluteImageUrl(url);
   });
 
-  // Add filter to get featured photo
+  // Featured photo of a dog, falling back to its first photo
+  function findFeaturedPhoto(dog) {
+    const photos = (dog.photos || []).filter(p => p.file?.url);
+    return photos.find(p => p.isFeatured) || photos[0] || null;
+  }
+
+  // Add filter to get featured photo (Media item, or null)
+  eleventyConfig.addFilter('getFeaturedMedia', function(dog) {
+    return findFeaturedPhoto(dog);
+  });
+
+  // Add filter to get featured photo URL (JPEG, for og:image and the lightbox)
   eleventyConfig.addFilter('getFeaturedPhoto', function(dog) {
-    const API_URL = process.env.API_URL || 'http://localhost:3000';
+    const photo = findFeaturedPhoto(dog);
 
-    // No photos at all - use placeholder
-    if (!dog.photos || dog.photos.length === 0) {
+    // No valid photos - use placeholder
+    if (!photo) {
       return '/images/placeholder.png';
     }
 
-    // Try to find featured photo
-    const featured = dog.photos.find(p => p.isFeatured);
-    if (featured?.file?.url) {
-      return API_URL + featured.file.url;
-    }
+    return renditionUrl(photo, 'large');
+  });
+
+  // URL of a photo rendition (JPEG), or of the original file if renditions haven't been generated
+  function renditionUrl(photo, size) {
+    const url = photo?.renditions?.[size]?.jpeg || photo?.file?.url;
+    if (!url) return '/images/placeholder.png';
+    return absoluteImageUrl(url);
+  }
+
+  eleventyConfig.addFilter('renditionUrl', renditionUrl);
+
+  // Add filter to build a srcset for one format (avif, webp, jpeg) of a photo's renditions
+  eleventyConfig.addFilter('srcset', function(photo, format) {
+    if (!photo?.renditions) return '';
+
+    return Object.values(photo.renditions)
+      .filter(rendition => rendition[format])
+      .map(rendition => `${absoluteImageUrl(rendition[format])} ${rendition.width}w`)
+      .join(', ');
+  });
+
+  // Add filter to get the provider name of a video embed URL
+  eleventyConfig.addFilter('videoProvider', function(embedUrl) {
+    return embedUrl && embedUrl.includes('vimeo') ? 'Vimeo' : 'YouTube';
+  });
+
+  // Add filter to get the (approved) dogs of an owner, email/phone are never fetched
+  eleventyConfig.addFilter('dogsOfOwner', function(dogs, ownerId) {
+    return (dogs || []).filter(dog => (dog.owners || []).some(owner => owner.id === ownerId));
+  });
+
+  // Add filter to keep the dogs shown among the living (in the neighbourhood or moved away)
+  eleventyConfig.addFilter('livingDogs', function(dogs) {
+    return (dogs || []).filter(dog => dog.lifeStatus !== 'deceased');
+  });
+
+  // Add filter to get the deceased dogs of the "En mémoire" page, the most recently departed first
+  eleventyConfig.addFilter('memorialDogs', function(dogs) {
+    return (dogs || [])
+      .filter(dog => dog.lifeStatus === 'deceased')
+      .sort((a, b) => (b.deceasedAt || '').localeCompare(a.deceasedAt || '') || a.name.localeCompare(b.name, 'fr'));
+  });
+
+  // Add filter to format a day (YYYY-MM-DD) as "3 mars 2024"
+  eleventyConfig.addFilter('longDate', function(day) {
+    if (!day) return '';
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+  });
+
+  // Add filter to list a dog's owners, the primary contact first
+  eleventyConfig.addFilter('ownersOf', function(dog) {
+    const primaryId = dog.primaryOwner?.id;
+    return (dog.owners || []).slice().sort((a, b) =>
+      (b.id === primaryId) - (a.id === primaryId) || a.name.localeCompare(b.name, 'fr')
+    );
+  });
+
+  // Add filter to describe a dog's breed: "Labrador", "Labrador croisé", "Husky × Berger Allemand", "Croisé"
+  eleventyConfig.addFilter('breedLabel', function(dog) {
+    const names = (dog.breeds || []).map(breed => breed.name);
+    if (names.length === 0) return dog.isMixedBreed ? 'Croisé' : '';
+    if (names.length === 1 && dog.isMixedBreed) return `${names[0]} croisé`;
+    return names.join(' × ');
+  });
+
+  // Add filter to count the dogs of each breed and coat, for the home page filters
+  eleventyConfig.addFilter('dogFacets', function(dogs) {
+    const count = (counts, item) => {
+      counts[item.id] = counts[item.id] || { id: item.id, name: item.name, count: 0 };
+      counts[item.id].count++;
+    };
+    const sorted = counts => Object.values(counts)
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name, 'fr'));
+
+    const breeds = {};
+    const coats = {};
+    let mixed = 0;
+
+    (dogs || []).forEach(dog => {
+      (dog.breeds || []).forEach(breed => count(breeds, breed));
+      if (dog.coat) count(coats, dog.coat);
+      if (dog.isMixedBreed) mixed++;
+    });
 
-    // Fall back to first photo
-    if (dog.photos[0]?.file?.url) {
-      return API_URL + dog.photos[0].file.url;
+    return { breeds: sorted(breeds), coats: sorted(coats), mixed };
+  });
+
+  // Add filter to build the search index of the home page (/search-index.json)
+  // Texts are normalized here (lowercase, no accents or punctuation, as in the backend's search)
+  // so the browser only has to match them, see js/fuzzy-search.js
+  eleventyConfig.addFilter('searchIndex', function(dogs) {
+    const normalize = value => (value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    const terms = item => [item.name, ...(item.synonyms || '').split(/[\n,;]/)].map(normalize).filter(Boolean);
+    const unique = values => Array.from(new Set(values)).join(' ');
+
+    const entries = (dogs || []).map(dog => ({
+      id: dog.id,
+      fields: {
+        name: normalize(dog.name),
+        nicknames: unique((dog.nicknames || '').split(/[\n,;]/).map(normalize).filter(Boolean)),
+        owner: unique((dog.owners || []).map(owner => normalize(owner.name))),
+        breeds: unique((dog.breeds || []).flatMap(terms)),
+        coat: dog.coat ? unique(terms(dog.coat)) : '',
+      },
+    }));
+
+    return JSON.stringify({ dogs: entries });
+  });
+
+  // Add filter to group upcoming birthdays by month, starting with the current month (deceased dogs excluded)
+  eleventyConfig.addFilter('upcomingBirthdays', function(dogs) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const months = [];
+    for (let i = 0; i < 12; i++) {
+      const month = new Date(today.getFullYear(), today.getMonth() + i, 1);
+      months.push({
+        label: month.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' }),
+        birthdays: [],
+      });
     }
 
-    // No valid photos - use placeholder
-    return '/images/placeholder.png';
+    (dogs || []).filter(dog => dog.birthday && dog.lifeStatus !== 'deceased').forEach(dog => {
+      const [year, month, day] = dog.birthday.split('-').map(Number);
+
+      // Next birthday (today included), 29 February is celebrated on 28 February
+      let next = new Date(today.getFullYear(), month - 1, day);
+      if (next.getMonth() !== month - 1) next = new Date(today.getFullYear(), month - 1, 28);
+      if (next < today) next.setFullYear(today.getFullYear() + 1);
+
+      const age = next.getFullYear() - year;
+      if (age < 1) return;
+
+      const index = (next.getFullYear() - today.getFullYear()) * 12 + next.getMonth() - today.getMonth();
+      months[index].birthdays.push({
+        dog,
+        age,
+        date: next,
+        day: next.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric' }),
+        isToday: next.getTime() === today.getTime(),
+      });
+    });
+
+    months.forEach(month => month.birthdays.sort((a, b) => a.date - b.date));
+    return months.filter(month => month.birthdays.length > 0);
+  });
+
+  // Add filter to render an iCalendar feed with a yearly all-day event per dog birthday (deceased dogs excluded)
+  eleventyConfig.addFilter('birthdayCalendar', function(dogs, calendarName) {
+    const siteUrl = process.env.SITE_URL || 'http://localhost:8080';
+    const host = new URL(siteUrl).hostname;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    // Text values escape \ ; , and newlines, lines are folded at 75 octets
+    const escapeText = value => String(value).replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+    const fold = line => {
+      const parts = [];
+      let current = '';
+      for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+          parts.push(current);
+          current = '';
+        }
+        current += char;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    };
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Trombi Maisons-Doggo//Anniversaires//FR',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(calendarName)}`,
+      `X-WR-TIMEZONE:${process.env.TZ}`,
+    ];
+
+    (dogs || []).filter(dog => dog.birthday && dog.lifeStatus !== 'deceased').forEach(dog => {
+      const date = dog.birthday.replace(/-/g, '');
+      const [year, month, day] = dog.birthday.split('-');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:dog-${dog.id}-birthday@${host}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${date}`,
+        // 29 February falls on the last day of February, 28 February outside leap years
+        month === '02' && day === '29' ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'RRULE:FREQ=YEARLY',
+        `SUMMARY:${escapeText(`🎂 Anniversaire de ${dog.name}`)}`,
+        `DESCRIPTION:${escapeText(`${dog.name} est né(e) le ${day}/${month}/${year}.`)}`,
+        `URL:${siteUrl}/chiens/${dog.id}/`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+  });
+
+  // Add filter to turn a site URL into a calendar subscription URL
+  eleventyConfig.addFilter('webcalUrl', function(url) {
+    return url.replace(/^https?:/, 'webcal:');
   });
 
   // Add filter to get edit URL for a dog
@@ -111,26 +332,44 @@ module.exports = function(eleventyConfig) {
               ) {
                 id
                 name
+                nicknames
                 sex
                 birthday
-                breed
-                coat
+                breeds {
+                  id
+                  name
+                  synonyms
+                }
+                isMixedBreed
+                coat {
+                  id
+                  name
+                  synonyms
+                }
                 status
-                owner {
+                lifeStatus
+                deceasedAt
+                createdAt
+                owners {
                   id
                   name
                 }
+                primaryOwner {
+                  id
+                }
                 photos(where: { status: { equals: approved } }) {
                   id
                   name
                   type
                   videoUrl
+                  videoEmbedUrl
                   isFeatured
                   file {
                     url
                     width
                     height
                   }
+                  renditions
                 }
               }
             }
@@ -157,13 +396,9 @@ module.exports = function(eleventyConfig) {
         body: JSON.stringify({
           query: `
             query {
-              owners {
+              owners(orderBy: { name: asc }) {
                 id
                 name
-                dogs {
-                  id
-                  name
-                }
               }
             }
           `
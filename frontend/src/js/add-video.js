@@ -0,0 +1,128 @@
+/**
+ * Add a Video Link to a Dog
+ * YouTube and Vimeo only, the backend validates and builds the embed URL
+ */
+
+(function() {
+  'use strict';
+
+  const API_URL = window.API_URL || 'http://localhost:3000';
+  const VIDEO_HOSTS = /(^|\.)(youtube\.com|youtu\.be|vimeo\.com)$/;
+
+  /**
+   * Initialize video form
+   */
+  function init() {
+    const videoForm = document.getElementById('video-form');
+    if (!videoForm) return;
+
+    // Form visibility is controlled by magic-auth.js
+    videoForm.addEventListener('submit', handleSubmit);
+  }
+
+  /**
+   * Handle form submission
+   */
+  async function handleSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const dogId = form.getAttribute('data-dog-id');
+    const input = document.getElementById('video-url-input');
+    const submitButton = document.getElementById('video-submit');
+    const videoUrl = input.value.trim();
+
+    if (!isSupportedUrl(videoUrl)) {
+      showStatus('Seules les vidéos YouTube et Vimeo sont acceptées.', 'error');
+      return;
+    }
+
+    try {
+      submitButton.disabled = true;
+      showStatus('Ajout de la vidéo...', 'info');
+
+      const media = await createVideo(dogId, videoUrl);
+
+      // Show appropriate message based on moderation status
+      if (media.status === 'approved') {
+        showStatus('✓ Vidéo ajoutée ! Elle sera visible après la mise à jour du site.', 'success');
+        if (window.watchBuildProgress) window.watchBuildProgress();
+      } else {
+        showStatus('✓ Vidéo ajoutée ! Elle sera visible après validation manuelle.', 'success');
+      }
+
+      input.value = '';
+    } catch (error) {
+      console.error('Video error:', error);
+      showStatus('Erreur lors de l\'ajout. Vérifiez le lien et réessayez.', 'error');
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Quick client-side check, the backend does the real validation
+   */
+  function isSupportedUrl(url) {
+    try {
+      return VIDEO_HOSTS.test(new URL(url).hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a video Media item via GraphQL mutation
+   */
+  async function createVideo(dogId, videoUrl) {
+    const response = await fetch(`${API_URL}/api/graphql`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'apollo-require-preflight': 'true',
+      },
+      credentials: 'include',
+      body: JSON.stringify({
+        query: `
+          mutation CreateVideo($dogId: ID!, $videoUrl: String!) {
+            createMedia(data: {
+              dog: { connect: { id: $dogId } }
+              type: video
+              videoUrl: $videoUrl
+              name: "Vidéo ajoutée"
+            }) {
+              id
+              status
+            }
+          }
+        `,
+        variables: { dogId, videoUrl }
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      throw new Error(result.errors[0].message);
+    }
+
+    return result.data.createMedia;
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(message, type) {
+    const statusEl = document.getElementById('video-status');
+    statusEl.textContent = message;
+    statusEl.className = `photo-upload__status photo-upload__status--${type}`;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -42,12 +42,17 @@ export async function updateDog(id, data) {
       updateDog(where: { id: $id }, data: $data) {
         id
         name
+        nicknames
         sex
         birthday
-        breed
-        coat
-        owner { id name }
+        breeds { id name }
+        isMixedBreed
+        coat { id name }
+        owners { id name }
+        primaryOwner { id name }
         status
+        lifeStatus
+        deceasedAt
       }
     }
   `;
@@ -73,25 +78,82 @@ export async function createDog(data) {
 }
 
 /**
- * Search owners by name
+ * Search owners by name, ignoring accents and typos
+ * Each owner comes with the names of their dogs (detail)
  */
 export async function searchOwners(searchTerm) {
   const query = `
     query SearchOwners($search: String!) {
-      owners(
-        where: {
-          name: { contains: $search, mode: insensitive }
-        }
-        take: 10
-      ) {
+      search(query: $search, types: ["owner"], take: 10) {
         id
         name
-        dogs { id }
+        detail
       }
     }
   `;
 
-  return graphql(query, { search: searchTerm });
+  const data = await graphql(query, { search: searchTerm });
+  return data.search;
+}
+
+/**
+ * Existing dogs that look like a dog about to be added (same or close name
+ * with a shared owner or breed)
+ */
+export async function findLikelyDuplicates({ name, ownerIds, ownerNames, breedIds }) {
+  const query = `
+    query LikelyDuplicateDogs($name: String!, $ownerIds: [ID!], $ownerNames: [String!], $breedIds: [ID!]) {
+      likelyDuplicateDogs(name: $name, ownerIds: $ownerIds, ownerNames: $ownerNames, breedIds: $breedIds) {
+        id
+        name
+        status
+        ownerName
+        photoUrl
+        reasons
+      }
+    }
+  `;
+
+  const data = await graphql(query, { name, ownerIds, ownerNames, breedIds });
+  return data.likelyDuplicateDogs;
+}
+
+/**
+ * Get all breeds or coats with their synonyms
+ */
+export async function getVocabulary(type) {
+  const list = type === 'breed' ? 'breeds' : 'coats';
+  const query = `
+    query GetVocabulary {
+      ${list}(orderBy: { name: asc }) {
+        id
+        name
+        synonyms
+      }
+    }
+  `;
+
+  const data = await graphql(query);
+  return data[list] || [];
+}
+
+/**
+ * Create breed or coat
+ */
+export async function createVocabularyItem(type, name) {
+  const mutation = type === 'breed' ? 'createBreed' : 'createCoat';
+  const input = type === 'breed' ? 'BreedCreateInput' : 'CoatCreateInput';
+  const query = `
+    mutation CreateVocabularyItem($data: ${input}!) {
+      ${mutation}(data: $data) {
+        id
+        name
+      }
+    }
+  `;
+
+  const data = await graphql(query, { data: { name } });
+  return data[mutation];
 }
 
 /**
@@ -0,0 +1,143 @@
+/**
+ * Site Update Progress
+ * After a change, polls the backend build status and shows when it will be visible
+ */
+
+(function() {
+  'use strict';
+
+  const API_URL = window.API_URL || 'http://localhost:3000';
+  const POLL_INTERVAL = 10 * 1000;
+  const MAX_DURATION = 30 * 60 * 1000;
+  const DONE_DISPLAY = 10 * 1000;
+
+  // Sent as GET: this exact query is exempt from the API rate limit
+  const STATUS_QUERY = 'query FrontendBuildStatus { frontendBuildStatus { state reportsDeploys scheduledFor retrying startedAt lastSucceededAt lastFailedAt } }';
+
+  let pollTimer = null;
+  let element = null;
+
+  /**
+   * Fetch the current build status
+   */
+  async function fetchStatus() {
+    const response = await fetch(`${API_URL}/api/graphql?query=${encodeURIComponent(STATUS_QUERY)}`, {
+      headers: { 'apollo-require-preflight': 'true' },
+    });
+
+    const result = await response.json();
+
+    if (result.errors) {
+      throw new Error(result.errors[0].message);
+    }
+
+    return result.data.frontendBuildStatus;
+  }
+
+  /**
+   * Format a delay in seconds for display
+   */
+  function formatDelay(seconds) {
+    if (seconds < 5) return 'quelques instants';
+    if (seconds < 60) return `${seconds} s`;
+    return `${Math.ceil(seconds / 60)} min`;
+  }
+
+  /**
+   * Show the progress message
+   */
+  function show(message, type) {
+    if (!element) {
+      element = document.createElement('div');
+      element.className = 'build-progress';
+      element.setAttribute('role', 'status');
+      element.setAttribute('aria-live', 'polite');
+      document.body.appendChild(element);
+    }
+
+    element.textContent = message;
+    element.className = `build-progress build-progress--${type}`;
+    element.hidden = false;
+  }
+
+  /**
+   * Hide the progress message
+   */
+  function hide() {
+    if (element) {
+      element.hidden = true;
+    }
+  }
+
+  /**
+   * Follow the site update triggered by a change until it is done
+   */
+  function watchBuildProgress() {
+    const since = Date.now();
+    let sawActivity = false;
+
+    clearTimeout(pollTimer);
+
+    async function poll() {
+      let status;
+      try {
+        status = await fetchStatus();
+      } catch (error) {
+        console.error('Error fetching build status:', error);
+        hide();
+        return;
+      }
+
+      if (status.state === 'disabled') {
+        hide();
+        return;
+      }
+
+      if (status.state === 'pending') {
+        sawActivity = true;
+        const seconds = Math.max(0, Math.round((new Date(status.scheduledFor) - Date.now()) / 1000));
+        show(
+          status.retrying
+            ? `⚠️ La mise à jour du site a échoué, nouvel essai dans ${formatDelay(seconds)}`
+            : `⏳ Mise à jour du site dans ${formatDelay(seconds)}`,
+          'pending'
+        );
+      } else if (status.state === 'running') {
+        sawActivity = true;
+        show('🔨 Mise à jour du site en cours…', 'running');
+      } else {
+        const succeededAt = status.lastSucceededAt ? new Date(status.lastSucceededAt).getTime() : 0;
+        const failedAt = status.lastFailedAt ? new Date(status.lastFailedAt).getTime() : 0;
+
+        // Nothing was scheduled for this change (e.g. waiting for validation)
+        if (!sawActivity && succeededAt < since && failedAt < since) {
+          hide();
+          return;
+        }
+
+        if (failedAt > succeededAt) {
+          show('❌ La mise à jour du site a échoué.', 'error');
+        } else if (status.reportsDeploys) {
+          show('✅ Site mis à jour ! Rechargez la page pour voir les changements.', 'done');
+        } else {
+          show('🚀 Mise à jour lancée, en ligne d\'ici 1 à 2 minutes.', 'done');
+        }
+
+        pollTimer = setTimeout(hide, DONE_DISPLAY);
+        return;
+      }
+
+      if (Date.now() - since < MAX_DURATION) {
+        pollTimer = setTimeout(poll, POLL_INTERVAL);
+      } else {
+        hide();
+      }
+    }
+
+    poll();
+  }
+
+  // Used by upload, video and edit forms after a successful change
+  window.watchBuildProgress = watchBuildProgress;
+
+})();
@@ -3,8 +3,9 @@
  * Handles both creating and editing dogs
  */
 
-import { updateDog, createDog, getModerationMode, updateOwner } from './api.js';
+import { updateDog, createDog, getModerationMode, createOwner, createVocabularyItem, findLikelyDuplicates } from './api.js';
 import { OwnerAutocomplete } from './owner-autocomplete.js';
+import { VocabularyAutocomplete } from './vocabulary-autocomplete.js';
 import { showNotification } from './magic-auth.js';
 
 export class EditDogModal {
@@ -13,10 +14,14 @@ export class EditDogModal {
     this.dog = null;
     this.dialog = null;
     this.ownerAutocomplete = null;
+    this.breedAutocomplete = null;
+    this.coatAutocomplete = null;
+    this.duplicatesChecked = false;
   }
 
   open(dog = null) {
     this.dog = dog;
+    this.duplicatesChecked = false;
 
     // Remove old dialog if it exists
     if (this.dialog) {
@@ -44,11 +49,18 @@ export class EditDogModal {
         </header>
 
         <div class="edit-form__body">
+          <div class="duplicate-warning" hidden></div>
+
           <label>
             <span>${this.text.dog.name} *</span>
             <input type="text" name="name" required value="${this.dog?.name || ''}">
           </label>
 
+          <label>
+            <span>${this.text.dog.nicknames}</span>
+            <input type="text" name="nicknames" placeholder="${this.text.dog.nicknames_placeholder}" value="${this.dog?.nicknames || ''}">
+          </label>
+
           <label>
             <span>${this.text.dog.sex}</span>
             <select name="sex">
@@ -68,22 +80,27 @@ export class EditDogModal {
           </label>
 
           <label>
-            <span>${this.text.dog.breed}</span>
-            <input type="text" name="breed" value="${this.dog?.breed || ''}">
+            <span>${this.text.dog.breeds}</span>
+            <div id="breed-autocomplete" style="position: relative;"></div>
+          </label>
+
+          <label class="edit-form__checkbox">
+            <input type="checkbox" name="isMixedBreed" ${this.dog?.isMixedBreed ? 'checked' : ''}>
+            <span>${this.text.dog.mixed_breed}</span>
           </label>
 
           <label>
             <span>${this.text.dog.coat}</span>
-            <input type="text" name="coat" value="${this.dog?.coat || ''}">
+            <div id="coat-autocomplete" style="position: relative;"></div>
           </label>
 
           <label>
-            <span>${this.text.dog.owner} *</span>
-            ${isEdit
-              ? `<input type="text" name="ownerName" required value="${this.dog?.owner?.name || ''}">`
-              : '<div id="owner-autocomplete" style="position: relative;"></div>'
-            }
+            <span>${this.text.dog.owners} *</span>
+            <div id="owner-autocomplete" style="position: relative;"></div>
+            <small class="edit-form__hint">${this.text.owner.primary_hint}</small>
           </label>
+
+          ${this.dog ? this.renderLifeStatus() : ''}
         </div>
 
         <footer class="edit-form__footer">
@@ -97,16 +114,33 @@ export class EditDogModal {
       </form>
     `;
 
-    // Setup owner autocomplete (only for new dogs)
-    if (!isEdit) {
-      const autocompleteContainer = dialog.querySelector('#owner-autocomplete');
-      this.ownerAutocomplete = new OwnerAutocomplete(
-        autocompleteContainer,
-        this.text,
-        null
-      );
-    } else {
-      this.ownerAutocomplete = null;
+    // Setup breed and coat autocompletes
+    this.breedAutocomplete = new VocabularyAutocomplete(
+      dialog.querySelector('#breed-autocomplete'),
+      this.text,
+      'breed',
+      { multiple: true, selected: this.dog?.breeds || [] }
+    );
+    this.coatAutocomplete = new VocabularyAutocomplete(
+      dialog.querySelector('#coat-autocomplete'),
+      this.text,
+      'coat',
+      { selected: this.dog?.coat ? [this.dog.coat] : [] }
+    );
+
+    // Setup owners autocomplete (couples and families share a dog)
+    this.ownerAutocomplete = new OwnerAutocomplete(
+      dialog.querySelector('#owner-autocomplete'),
+      this.text,
+      { multiple: true, selected: this.dog?.owners || [], primary: this.dog?.primaryOwner }
+    );
+
+    // The date of death is only asked for a deceased dog
+    const lifeStatusSelect = dialog.querySelector('select[name="lifeStatus"]');
+    if (lifeStatusSelect) {
+      lifeStatusSelect.addEventListener('change', () => {
+        dialog.querySelector('.deceased-at').hidden = lifeStatusSelect.value !== 'deceased';
+      });
     }
 
     // Event listeners
@@ -130,6 +164,32 @@ export class EditDogModal {
     return dialog;
   }
 
+  /**
+   * Situation of an existing dog: in the neighbourhood, moved away or deceased (with its date)
+   */
+  renderLifeStatus() {
+    const lifeStatus = this.dog.lifeStatus || 'active';
+    const option = (value, label) =>
+      `<option value="${value}" ${lifeStatus === value ? 'selected' : ''}>${label}</option>`;
+
+    return `
+      <label>
+        <span>${this.text.dog.life_status}</span>
+        <select name="lifeStatus">
+          ${option('active', this.text.dog.life_status_active)}
+          ${option('moved', this.text.dog.life_status_moved)}
+          ${option('deceased', this.text.dog.life_status_deceased)}
+        </select>
+      </label>
+
+      <label class="deceased-at" ${lifeStatus === 'deceased' ? '' : 'hidden'}>
+        <span>${this.text.dog.deceased_at}</span>
+        <input type="date" name="deceasedAt" value="${this.dog.deceasedAt || ''}">
+        <small class="edit-form__hint">${this.text.dog.deceased_hint}</small>
+      </label>
+    `;
+  }
+
   async handleSubmit(event) {
     event.preventDefault();
 
@@ -139,42 +199,74 @@ export class EditDogModal {
     submitButton.textContent = this.text.form.saving;
 
     try {
+      // New dogs: first check the dog isn't already there (added by someone else in the family)
+      if (!this.dog && !this.duplicatesChecked) {
+        const duplicates = await this.findDuplicates(formData);
+        if (duplicates.length > 0) {
+          this.showDuplicates(duplicates, event.target);
+          submitButton.disabled = false;
+          submitButton.textContent = this.text.form.save;
+          return;
+        }
+      }
+
+      const ownerValues = this.ownerAutocomplete.getValue();
+      if (ownerValues.length === 0) {
+        throw new Error(this.text.form.required + ': ' + this.text.dog.owners);
+      }
+
+      // Breeds, coats and owners typed in are added to their lists first
+      const breeds = await this.saveNewItems('breed', this.breedAutocomplete.getValue());
+      const [coat] = await this.saveNewItems('coat', this.coatAutocomplete.getValue());
+      const owners = await this.saveNewOwners(ownerValues);
+      const primaryOwner = owners[Math.max(0, ownerValues.indexOf(this.ownerAutocomplete.getPrimary()))];
+
       // Prepare dog data
       const dogData = {
         name: formData.get('name'),
+        nicknames: formData.get('nicknames').trim(),
         sex: formData.get('sex') || undefined,
         birthday: formData.get('birthday') || null,
-        breed: formData.get('breed') || '',
-        coat: formData.get('coat') || '',
+        isMixedBreed: formData.get('isMixedBreed') === 'on',
       };
 
+      dogData.primaryOwner = { connect: { id: primaryOwner.id } };
+
       if (this.dog) {
-        // Editing existing dog - update owner name directly
-        const newOwnerName = formData.get('ownerName')?.trim();
-        if (!newOwnerName) {
-          throw new Error(this.text.form.required + ': ' + this.text.dog.owner);
-        }
+        dogData.lifeStatus = formData.get('lifeStatus');
+        dogData.deceasedAt = dogData.lifeStatus === 'deceased' ? formData.get('deceasedAt') || null : null;
+      }
 
-        // Update owner if name changed
-        if (this.dog.owner && newOwnerName !== this.dog.owner.name) {
-          await updateOwner(this.dog.owner.id, { name: newOwnerName });
+      if (this.dog) {
+        dogData.breeds = { set: breeds.map(breed => ({ id: breed.id })) };
+        dogData.owners = { set: owners.map(owner => ({ id: owner.id })) };
+        if (coat) {
+          dogData.coat = { connect: { id: coat.id } };
+        } else if (this.dog.coat) {
+          dogData.coat = { disconnect: true };
+        }
+      } else {
+        dogData.breeds = { connect: breeds.map(breed => ({ id: breed.id })) };
+        dogData.owners = { connect: owners.map(owner => ({ id: owner.id })) };
+        if (coat) {
+          dogData.coat = { connect: { id: coat.id } };
         }
+      }
 
+      if (this.dog) {
         await updateDog(this.dog.id, dogData);
-        showNotification(this.text.messages.dog_updated, 'success');
-      } else {
-        // Creating new dog - use autocomplete for owner
-        const ownerData = this.ownerAutocomplete.getValue();
 
-        if (!ownerData) {
-          throw new Error(this.text.form.required + ': ' + this.text.dog.owner);
-        }
+        // In a priori mode, edits are staged until an admin accepts them
+        const moderationMode = await getModerationMode();
+        const message = moderationMode === 'a_posteriori'
+          ? this.text.messages.dog_updated
+          : this.text.messages.dog_updated_apriori;
+        showNotification(message, 'success');
 
-        if (ownerData.isNew) {
-          dogData.owner = { create: { name: ownerData.name } };
-        } else {
-          dogData.owner = { connect: { id: ownerData.id } };
+        if (moderationMode === 'a_posteriori' && window.watchBuildProgress) {
+          window.watchBuildProgress();
         }
+      } else {
         // Create new dog
         await createDog(dogData);
 
@@ -184,6 +276,10 @@ export class EditDogModal {
           ? this.text.messages.dog_created_aposteriori
           : this.text.messages.dog_created_apriori;
         showNotification(message, 'success');
+
+        if (moderationMode === 'a_posteriori' && window.watchBuildProgress) {
+          window.watchBuildProgress();
+        }
       }
 
       this.close();
@@ -207,6 +303,89 @@ export class EditDogModal {
     }
   }
 
+  /**
+   * Existing dogs that look like the one being added
+   */
+  async findDuplicates(formData) {
+    const owners = this.ownerAutocomplete.getValue();
+
+    return findLikelyDuplicates({
+      name: formData.get('name'),
+      ownerIds: owners.filter(owner => !owner.isNew).map(owner => owner.id),
+      ownerNames: owners.map(owner => owner.name),
+      breedIds: this.breedAutocomplete.getValue().filter(breed => !breed.isNew).map(breed => breed.id),
+    });
+  }
+
+  /**
+   * Ask whether the dog being added is one of its likely duplicates
+   */
+  showDuplicates(duplicates, form) {
+    const warning = this.dialog.querySelector('.duplicate-warning');
+    warning.innerHTML = `<p class="duplicate-warning__title">${this.text.duplicates.title}</p>`;
+
+    duplicates.forEach(dog => {
+      const item = document.createElement('div');
+      item.className = 'duplicate-warning__dog';
+      item.innerHTML = `
+        ${dog.photoUrl ? `<img src="${new URL(dog.photoUrl, window.API_URL).href}" alt="" class="duplicate-warning__photo">` : ''}
+        <span class="duplicate-warning__details">
+          <strong></strong>
+          <small></small>
+        </span>
+        <button type="button" class="button button--primary">${this.text.duplicates.same_dog}</button>
+      `;
+      item.querySelector('strong').textContent = dog.ownerName ? `${dog.name} (${dog.ownerName})` : dog.name;
+      item.querySelector('small').textContent = dog.reasons.join(', ');
+      item.querySelector('button').addEventListener('click', () => {
+        // Pending dogs don't have their page yet
+        if (dog.status === 'approved') {
+          window.location.href = `/chiens/${dog.id}/`;
+        } else {
+          showNotification(this.text.duplicates.pending, 'info');
+          this.close();
+        }
+      });
+      warning.appendChild(item);
+    });
+
+    const otherDog = document.createElement('button');
+    otherDog.type = 'button';
+    otherDog.className = 'button button--secondary';
+    otherDog.textContent = this.text.duplicates.other_dog;
+    otherDog.addEventListener('click', () => {
+      this.duplicatesChecked = true;
+      warning.hidden = true;
+      form.requestSubmit();
+    });
+    warning.appendChild(otherDog);
+
+    warning.hidden = false;
+    warning.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Create the new breeds or coats among the selected items
+   */
+  async saveNewItems(type, items) {
+    const saved = [];
+    for (const item of items) {
+      saved.push(item.isNew ? await createVocabularyItem(type, item.name.trim()) : item);
+    }
+    return saved;
+  }
+
+  /**
+   * Create the new owners among the selected ones
+   */
+  async saveNewOwners(owners) {
+    const saved = [];
+    for (const owner of owners) {
+      saved.push(owner.isNew ? (await createOwner({ name: owner.name.trim() })).createOwner : owner);
+    }
+    return saved;
+  }
+
   show() {
     document.body.appendChild(this.dialog);
     this.dialog.showModal();
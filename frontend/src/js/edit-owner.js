@@ -3,7 +3,7 @@
  * Handles editing owner information
  */
 
-import { updateOwner } from './api.js';
+import { updateOwner, getModerationMode } from './api.js';
 import { showNotification } from './magic-auth.js';
 
 export class EditOwnerModal {
@@ -109,7 +109,17 @@ export class EditOwnerModal {
       };
 
       await updateOwner(this.owner.id, ownerData);
-      showNotification(this.text.messages.owner_updated, 'success');
+
+      // In a priori mode, edits are staged until an admin accepts them
+      const moderationMode = await getModerationMode();
+      const message = moderationMode === 'a_posteriori'
+        ? this.text.messages.owner_updated
+        : this.text.messages.owner_updated_apriori;
+      showNotification(message, 'success');
+
+      if (moderationMode === 'a_posteriori' && window.watchBuildProgress) {
+        window.watchBuildProgress();
+      }
 
       this.close();
 
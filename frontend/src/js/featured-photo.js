@@ -26,10 +26,10 @@
         currentPhotoId = item.getAttribute('data-photo-id');
         currentDogId = item.getAttribute('data-dog-id');
 
-        // Show the "set featured" button for gallery photos
-        if (currentPhotoId && currentDogId) {
-          setFeaturedButton.hidden = false;
-        }
+        // Show the "set featured" button for gallery photos (not videos),
+        // unless the magic link in use can't edit this dog
+        const inScope = !window.canEditWithMagicLink || window.canEditWithMagicLink(item);
+        setFeaturedButton.hidden = !(currentPhotoId && currentDogId && inScope);
       });
     });
 
@@ -68,15 +68,16 @@
       button.disabled = true;
       button.textContent = '⏳ Mise à jour...';
 
-      await setFeaturedPhoto(currentDogId, currentPhotoId);
+      const media = await setFeaturedPhoto(currentDogId, currentPhotoId);
 
-      // Success feedback
-      button.textContent = '✓ La photo principale sera mise à jour dans quelques minutes';
+      // Success feedback (in a priori mode the change waits for admin approval)
+      button.textContent = media.isFeatured
+        ? '✓ La photo principale sera mise à jour avec le site'
+        : '✓ Demande envoyée, en attente de validation';
 
-      // Reload page after short delay to show the change
-      setTimeout(() => {
-        window.location.reload();
-      }, 1000);
+      if (media.isFeatured && window.watchBuildProgress) {
+        window.watchBuildProgress();
+      }
 
     } catch (error) {
       console.error('Error setting featured photo:', error);
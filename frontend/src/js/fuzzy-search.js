@@ -0,0 +1,141 @@
+/**
+ * Fuzzy Search
+ * Matches the home page search against the index built with the site
+ * (/search-index.json), ignoring accents and tolerating typos.
+ * Same matching as the backend's search query (backend/search.ts).
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * How much a match in each field counts
+   */
+  const FIELD_WEIGHTS = {
+    name: 4,
+    nicknames: 3,
+    owner: 2,
+    breeds: 1,
+    coat: 1,
+  };
+
+  /**
+   * Lowercase, without accents or punctuation (as the index)
+   */
+  function normalize(value) {
+    return (value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Typos allowed in a search word: none for short words, where they match too much
+   */
+  function maxTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Edit distance (a swap of two letters counts as one), or max + 1 beyond max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = [];
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+      previous.push(j);
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) return max + 1;
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * How well a search word matches a word of the index, from 0 (no match) to 1
+   */
+  function matchWord(token, word) {
+    if (word === token) return 1;
+    if (word.startsWith(token)) return 0.8;
+    if (token.length >= 3 && word.includes(token)) return 0.5;
+
+    const typos = maxTypos(token.length);
+    if (typos === 0) return 0;
+
+    const distance = editDistance(token, word, typos);
+    if (distance <= typos) return 0.6 - distance * 0.1;
+
+    // Typo in the beginning of a word being typed ("labrd" for "labrador")
+    const prefixDistance = editDistance(token, word.slice(0, token.length), typos);
+    if (prefixDistance <= typos) return 0.4 - prefixDistance * 0.1;
+
+    return 0;
+  }
+
+  /**
+   * Score of an entry for the search words: every word has to match a field
+   */
+  function scoreEntry(fields, tokens) {
+    let score = 0;
+
+    for (const token of tokens) {
+      let best = 0;
+      Object.keys(fields).forEach(function(field) {
+        const weight = FIELD_WEIGHTS[field] || 1;
+        (fields[field] || '').split(' ').forEach(function(word) {
+          if (word) best = Math.max(best, matchWord(token, word) * weight);
+        });
+      });
+
+      if (best === 0) return 0;
+      score += best;
+    }
+
+    return score;
+  }
+
+  /**
+   * Scores of the matching entries by id, e.g. { dogId: 4 }
+   */
+  function search(entries, query) {
+    const tokens = normalize(query).split(' ').filter(Boolean);
+    const scores = {};
+    if (tokens.length === 0) return scores;
+
+    entries.forEach(function(entry) {
+      const score = scoreEntry(entry.fields, tokens);
+      if (score > 0) {
+        scores[entry.id] = score;
+      }
+    });
+
+    return scores;
+  }
+
+  window.FuzzySearch = {
+    normalize: normalize,
+    search: search,
+  };
+})();
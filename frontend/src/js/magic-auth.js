@@ -3,6 +3,8 @@
  * Detects ?magic= parameter, sets cookie, enables edit mode
  */
 
+import { initOwnerPush } from './owner-push.js';
+
 const COOKIE_NAME = 'magicToken';
 const COOKIE_MAX_AGE = 60 * 60 * 24 * 30; // 30 days
 
@@ -23,10 +25,10 @@ export async function initMagicAuth(text) {
     window.history.replaceState({}, '', cleanUrl);
 
     // Validate the new token
-    const isValid = await validateTokenWithServer();
-    if (isValid) {
+    const scope = await validateTokenWithServer();
+    if (scope) {
       showNotification(text.magic.activated, 'success');
-      enableEditMode(text);
+      enableEditMode(text, scope);
     } else {
       // Token was invalid, clear it
       clearMagicCookieSilent();
@@ -34,9 +36,9 @@ export async function initMagicAuth(text) {
     }
   } else if (hasMagicCookie()) {
     // Cookie exists from previous visit - validate it
-    const isValid = await validateTokenWithServer();
-    if (isValid) {
-      enableEditMode(text);
+    const scope = await validateTokenWithServer();
+    if (scope) {
+      enableEditMode(text, scope);
     } else {
       // Token expired or revoked, clear it silently
       clearMagicCookieSilent();
@@ -46,6 +48,7 @@ export async function initMagicAuth(text) {
 
 /**
  * Validate token with server
+ * Returns the token scope, or null if the token is invalid
  */
 async function validateTokenWithServer() {
   try {
@@ -55,13 +58,13 @@ async function validateTokenWithServer() {
       credentials: 'include',
     });
 
-    if (!response.ok) return false;
+    if (!response.ok) return null;
 
     const data = await response.json();
-    return data.valid === true;
+    return data.valid === true ? data.scope : null;
   } catch (error) {
     console.error('Failed to validate magic token:', error);
-    return false;
+    return null;
   }
 }
 
@@ -143,18 +146,51 @@ export function clearMagicCookie() {
 /**
  * Enable edit mode UI
  */
-function enableEditMode(text) {
-  // Show all edit buttons and upload form
+function enableEditMode(text, scope) {
+  // Show the edit buttons and upload forms this link may use
   document.querySelectorAll('.edit-button, .add-button, .edit-owner-button, .upload-form').forEach(btn => {
+    if (!isInScope(btn, scope)) return;
     btn.style.display = '';
     btn.removeAttribute('hidden');
   });
 
+  // Used by the lightbox to offer featured photo changes
+  window.canEditWithMagicLink = (element) => isInScope(element, scope);
+
   // Add visual indicator
   document.body.classList.add('magic-mode');
 
   // Show mode indicator in header
   showMagicIndicator(text);
+
+  // Owners can get notified about their dogs
+  initOwnerPush(text, scope);
+}
+
+/**
+ * Check if an edit control is allowed by the magic link scope
+ * Pages mark what they show with data-edit-dog / data-edit-owner
+ */
+function isInScope(element, scope) {
+  if (!scope || scope.type === 'all') return true;
+
+  // Adding dogs (owner-scoped links add them to their owner)
+  if (element.classList.contains('add-button')) return scope.type !== 'dogs';
+
+  // Create-only links can add photos and videos to the dogs they added, not edit anything
+  if (scope.type === 'create') {
+    return element.classList.contains('upload-form') && scope.dogIds.includes(element.dataset.dogId);
+  }
+
+  const page = element.closest('[data-edit-dog], [data-edit-owner]');
+  if (!page) return false;
+
+  if (scope.type === 'dogs') {
+    return scope.dogIds.includes(page.dataset.editDog);
+  }
+
+  // Dog pages list all the dog's owners
+  return !!scope.ownerId && (page.dataset.editOwner || '').split(' ').includes(scope.ownerId);
 }
 
 /**
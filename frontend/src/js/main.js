@@ -127,19 +127,62 @@
     if (!dialog) return;
 
     const dialogImage = dialog.querySelector('.lightbox__image');
+    const dialogSources = dialog.querySelectorAll('.lightbox__source');
+    const dialogVideo = dialog.querySelector('.lightbox__video');
     const closeButton = dialog.querySelector('.lightbox__close');
 
+    // Set (or clear) a srcset so a photo without renditions doesn't show the previous one
+    function setSrcset(element, srcset) {
+      if (srcset) {
+        element.srcset = srcset;
+      } else {
+        element.removeAttribute('srcset');
+      }
+    }
+
     // Open lightbox on any image button click
     allImageButtons.forEach(function(button) {
       button.addEventListener('click', function() {
         const src = this.dataset.image;
         const alt = this.dataset.alt;
+        dialogSources.forEach(function(source) {
+          const format = source.dataset.format;
+          setSrcset(source, button.dataset['srcset' + format.charAt(0).toUpperCase() + format.slice(1)]);
+        });
+        setSrcset(dialogImage, this.dataset.srcset);
         dialogImage.src = src;
         dialogImage.alt = alt;
         dialog.showModal();
       });
     });
 
+    // Videos are only loaded from the provider once clicked
+    document.querySelectorAll('.dog-gallery__item[data-video]').forEach(function(button) {
+      button.addEventListener('click', function() {
+        const url = new URL(this.dataset.video);
+        url.searchParams.set('autoplay', '1');
+
+        const iframe = document.createElement('iframe');
+        iframe.src = url.toString();
+        iframe.title = this.dataset.alt;
+        iframe.className = 'lightbox__iframe';
+        iframe.allow = 'autoplay; fullscreen; picture-in-picture';
+        iframe.allowFullscreen = true;
+
+        dialogVideo.replaceChildren(iframe);
+        dialogVideo.hidden = false;
+        dialogImage.hidden = true;
+        dialog.showModal();
+      });
+    });
+
+    // Stop video playback and restore the image when the lightbox closes
+    dialog.addEventListener('close', function() {
+      dialogVideo.replaceChildren();
+      dialogVideo.hidden = true;
+      dialogImage.hidden = false;
+    });
+
     // Close on button click
     if (closeButton) {
       closeButton.addEventListener('click', function() {
@@ -185,8 +228,94 @@
     }
   }
 
+  /**
+   * Age ranges of the "Âge" filter, in years: [from, to)
+   */
+  const AGE_RANGES = {
+    chiot: [0, 1],
+    jeune: [1, 3],
+    adulte: [3, 8],
+    senior: [8, Infinity],
+  };
+
+  const NEW_DOG_DAYS = 7;
+
+  /**
+   * Age in years (with decimals) from a YYYY-MM-DD birthday, null if unknown
+   */
+  function getAge(birthday) {
+    if (!birthday) return null;
+    const [year, month, day] = birthday.split('-').map(Number);
+    const born = new Date(year, month - 1, day);
+    return (Date.now() - born.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Compare two optional values, missing ones last
+   */
+  function compareMissingLast(a, b, compare) {
+    if (!a && !b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return compare(a, b);
+  }
+
+  function compareText(a, b) {
+    return (a || '').localeCompare(b || '', 'fr');
+  }
+
+  /**
+   * Sort orders of the "Trier par" select, ties sorted by name
+   */
+  const SORTS = {
+    nom: function() {
+      return 0;
+    },
+    jeunes: function(a, b) {
+      return compareMissingLast(a.dataset.birthday, b.dataset.birthday, function(x, y) {
+        return compareText(y, x);
+      });
+    },
+    ages: function(a, b) {
+      return compareMissingLast(a.dataset.birthday, b.dataset.birthday, compareText);
+    },
+    recents: function(a, b) {
+      return compareMissingLast(a.dataset.created, b.dataset.created, function(x, y) {
+        return new Date(y) - new Date(x);
+      });
+    },
+    photos: function(a, b) {
+      return Number(b.dataset.photos || 0) - Number(a.dataset.photos || 0);
+    },
+    humain: function(a, b) {
+      return compareMissingLast(a.dataset.owner, b.dataset.owner, compareText);
+    },
+  };
+
+  /**
+   * Values of a dog card for each filter (as in the chips' data-value)
+   */
+  function getCardValues(card) {
+    const age = getAge(card.dataset.birthday);
+    const birthMonth = card.dataset.birthday ? Number(card.dataset.birthday.split('-')[1]) : null;
+    const created = card.dataset.created ? new Date(card.dataset.created) : null;
+
+    return {
+      race: (card.dataset.breedIds || '').split(' ').filter(Boolean),
+      robe: card.dataset.coatId ? [card.dataset.coatId] : [],
+      sexe: card.dataset.sex ? [card.dataset.sex] : [],
+      age: age === null ? [] : Object.keys(AGE_RANGES).filter(function(range) {
+        return age >= AGE_RANGES[range][0] && age < AGE_RANGES[range][1];
+      }),
+      anniversaire: birthMonth === new Date().getMonth() + 1 ? ['mois'] : [],
+      nouveau: created && Date.now() - created.getTime() < NEW_DOG_DAYS * 24 * 60 * 60 * 1000 ? ['semaine'] : [],
+    };
+  }
+
   /**
    * Setup sorting and filtering functionality
+   * The sort, filters and search are kept in the URL so filtered views can be shared
+   * (?tri=recents&race=id1,croise&sexe=female&q=rex)
    */
   function setupSortingAndFiltering() {
     const grid = document.getElementById('dogs-grid');
@@ -194,46 +323,168 @@
 
     const cards = Array.from(grid.querySelectorAll('.dog-card'));
     const searchInput = document.getElementById('search-input');
+    const sortSelect = document.getElementById('sort-select');
+    const chips = Array.from(document.querySelectorAll('.filter-chip'));
+    const clearButton = document.querySelector('.dog-filters__clear');
+
+    // Filter values don't change while the page is open
+    const cardValues = new Map(cards.map(function(card) {
+      return [card, getCardValues(card)];
+    }));
+
+    // Search index built with the site (with nicknames and breed and coat synonyms),
+    // the cards' own texts are searched until it's loaded
+    let searchEntries = cards.filter(function(card) {
+      return card.dataset.id;
+    }).map(function(card) {
+      return {
+        id: card.dataset.id,
+        fields: {
+          name: FuzzySearch.normalize(card.dataset.name),
+          owner: FuzzySearch.normalize(card.dataset.owner),
+          breeds: FuzzySearch.normalize(card.dataset.breed),
+          coat: FuzzySearch.normalize(card.dataset.coat),
+        },
+      };
+    });
+
+    // Relevance of the dogs matching the search, by id (null without search)
+    let searchScores = null;
+
+    fetch('/search-index.json')
+      .then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(function(index) {
+        searchEntries = index.dogs;
+        if (searchInput && searchInput.value.trim()) {
+          applyChanges();
+        }
+      })
+      .catch(function(error) {
+        console.error('Error loading search index:', error);
+      });
+
+    restoreFromUrl();
+    updateChipCounts();
 
     // Add event listener for search
     if (searchInput) {
       searchInput.addEventListener('input', applyChanges);
     }
 
-    // Apply initial sort by name
+    if (sortSelect) {
+      sortSelect.addEventListener('change', applyChanges);
+    }
+
+    // Filter chips toggle on click
+    chips.forEach(function(chip) {
+      chip.addEventListener('click', function() {
+        const pressed = chip.getAttribute('aria-pressed') === 'true';
+        chip.setAttribute('aria-pressed', String(!pressed));
+        applyChanges();
+      });
+    });
+
+    if (clearButton) {
+      clearButton.addEventListener('click', function() {
+        chips.forEach(function(chip) {
+          chip.setAttribute('aria-pressed', 'false');
+        });
+        applyChanges();
+      });
+    }
+
+    // Apply initial sort and filters
     applyChanges();
 
     function applyChanges() {
       let visibleCards = filterCards(cards);
       visibleCards = sortCards(visibleCards);
       renderCards(visibleCards);
+      saveToUrl();
+    }
+
+    /**
+     * Selected chip values per filter, e.g. { race: ['id1', 'croise'], sexe: ['female'] }
+     */
+    function getSelectedFacets() {
+      const selected = {};
+      chips.forEach(function(chip) {
+        if (chip.getAttribute('aria-pressed') === 'true') {
+          selected[chip.dataset.facet] = selected[chip.dataset.facet] || [];
+          selected[chip.dataset.facet].push(chip.dataset.value);
+        }
+      });
+      return selected;
+    }
+
+    /**
+     * Number of dogs per chip, chips matching no dog are hidden (unless selected from the URL)
+     */
+    function updateChipCounts() {
+      chips.forEach(function(chip) {
+        let count = 0;
+        cardValues.forEach(function(values) {
+          if ((values[chip.dataset.facet] || []).includes(chip.dataset.value)) {
+            count++;
+          }
+        });
+
+        const countElement = chip.querySelector('.filter-chip__count');
+        if (countElement) {
+          countElement.textContent = count;
+        }
+        chip.hidden = count === 0 && chip.getAttribute('aria-pressed') !== 'true';
+      });
+
+      // Hide groups left without chips
+      document.querySelectorAll('.dog-filters__group').forEach(function(group) {
+        group.hidden = !group.querySelector('.filter-chip:not([hidden])');
+      });
     }
 
     function filterCards(cards) {
-      const searchValue = searchInput ? searchInput.value.toLowerCase().trim() : '';
+      const searchValue = searchInput ? searchInput.value.trim() : '';
+      const selected = getSelectedFacets();
+
+      searchScores = searchValue ? FuzzySearch.search(searchEntries, searchValue) : null;
+
+      if (clearButton) {
+        clearButton.hidden = Object.keys(selected).length === 0;
+      }
 
       return cards.filter(function(card) {
-        const cardName = card.dataset.name || '';
-        const cardBreed = card.dataset.breed || '';
-        const cardCoat = card.dataset.coat || '';
-        const cardOwner = card.dataset.owner || '';
-
-        // Search matches name, breed, coat, or owner
-        const searchMatch = !searchValue ||
-          cardName.includes(searchValue) ||
-          cardBreed.includes(searchValue) ||
-          cardCoat.includes(searchValue) ||
-          cardOwner.includes(searchValue);
-
-        return searchMatch;
+        // A dog matches one of the chips selected within a filter, and every filter
+        const values = cardValues.get(card);
+        const facetMatch = Object.keys(selected).every(function(facet) {
+          return selected[facet].some(function(value) {
+            return values[facet].includes(value);
+          });
+        });
+
+        // Search matches name, nicknames, breeds, coat or owner, ignoring accents and typos
+        return facetMatch && (!searchScores || searchScores[card.dataset.id] > 0);
       });
     }
 
     function sortCards(cards) {
+      let sort = SORTS[sortSelect ? sortSelect.value : 'nom'] || SORTS.nom;
+
+      // Best matches first while searching, unless another order was chosen
+      if (searchScores && sort === SORTS.nom) {
+        sort = function(a, b) {
+          return searchScores[b.dataset.id] - searchScores[a.dataset.id];
+        };
+      }
+
       return cards.slice().sort(function(a, b) {
-        const aValue = a.dataset.name || '';
-        const bValue = b.dataset.name || '';
-        return aValue.localeCompare(bValue, 'fr');
+        // The "add a dog" card stays first
+        if (a.classList.contains('dog-card--add')) return -1;
+        if (b.classList.contains('dog-card--add')) return 1;
+
+        return sort(a, b) || compareText(a.dataset.name, b.dataset.name);
       });
     }
 
@@ -246,6 +497,66 @@
         grid.appendChild(card);
       });
     }
+
+    /**
+     * Restore the sort, filters and search from the URL
+     */
+    function restoreFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+
+      if (sortSelect && SORTS[params.get('tri')]) {
+        sortSelect.value = params.get('tri');
+      }
+
+      chips.forEach(function(chip) {
+        const values = (params.get(chip.dataset.facet) || '').split(',');
+        chip.setAttribute('aria-pressed', String(values.includes(chip.dataset.value)));
+      });
+
+      if (searchInput && params.get('q')) {
+        searchInput.value = params.get('q');
+
+        // Show the search field on mobile, where it's collapsed
+        const searchContainer = document.getElementById('search-container');
+        const toggleButton = document.getElementById('search-toggle');
+        if (searchContainer) searchContainer.classList.add('active');
+        if (toggleButton) toggleButton.classList.add('active');
+      }
+    }
+
+    /**
+     * Keep the sort, filters and search in the URL, without adding history entries
+     */
+    function saveToUrl() {
+      const params = new URLSearchParams(window.location.search);
+
+      if (sortSelect && sortSelect.value !== 'nom') {
+        params.set('tri', sortSelect.value);
+      } else {
+        params.delete('tri');
+      }
+
+      const selected = getSelectedFacets();
+      chips.forEach(function(chip) {
+        params.delete(chip.dataset.facet);
+      });
+      Object.keys(selected).forEach(function(facet) {
+        params.set(facet, selected[facet].join(','));
+      });
+
+      const searchValue = searchInput ? searchInput.value.trim() : '';
+      if (searchValue) {
+        params.set('q', searchValue);
+      } else {
+        params.delete('q');
+      }
+
+      const query = params.toString().replace(/%2C/g, ',');
+      const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+      if (url !== window.location.pathname + window.location.search + window.location.hash) {
+        history.replaceState(null, '', url);
+      }
+    }
   }
 
   // Initialize when DOM is ready
@@ -1,15 +1,20 @@
 /**
  * Owner Autocomplete Component
  * Searches existing owners and allows creating new ones
+ * In multiple mode, several owners can be picked and one of them marked as primary contact
  */
 
 import { searchOwners } from './api.js';
 
 export class OwnerAutocomplete {
-  constructor(container, text, initialOwner = null) {
+  // multiple: several owners can be selected (couples, families), primary: the primary contact among them
+  constructor(container, text, { multiple = false, selected = [], primary = null } = {}) {
     this.container = container;
     this.text = text;
-    this.selectedOwner = initialOwner;
+    this.multiple = multiple;
+    this.selected = selected.slice();
+    this.selectedOwner = multiple ? null : selected[0] || null;
+    this.primary = this.selected.find(owner => owner.id && owner.id === primary?.id) || this.selected[0] || null;
     this.results = [];
     this.render();
   }
@@ -24,6 +29,7 @@ export class OwnerAutocomplete {
         autocomplete="off"
       >
       <div class="owner-results" hidden></div>
+      ${this.multiple ? '<div class="owner-selected"></div>' : ''}
     `;
 
     const input = this.container.querySelector('.owner-search');
@@ -53,12 +59,16 @@ export class OwnerAutocomplete {
         resultsDiv.hidden = true;
       }
     });
+
+    if (this.multiple) {
+      this.renderSelected();
+    }
   }
 
   async search(term, resultsDiv) {
     try {
-      const data = await searchOwners(term);
-      this.results = data.owners || [];
+      const results = await searchOwners(term);
+      this.results = results.filter(owner => !this.selected.some(selected => selected.id === owner.id));
       this.renderResults(term, resultsDiv);
     } catch (error) {
       console.error('Search error:', error);
@@ -75,10 +85,10 @@ export class OwnerAutocomplete {
       item.type = 'button';
       item.className = 'owner-result';
 
-      const dogsCount = this.text.owner.dogs_count.replace('{count}', owner.dogs.length);
+      // Their dogs' names tell apart owners with similar names
       item.innerHTML = `
         <strong>${owner.name}</strong>
-        <small>${dogsCount}</small>
+        <small>${owner.detail || this.text.owner.no_dogs}</small>
       `;
       item.addEventListener('click', () => this.selectOwner(owner, resultsDiv));
       resultsDiv.appendChild(item);
@@ -96,23 +106,91 @@ export class OwnerAutocomplete {
   }
 
   selectOwner(owner, resultsDiv) {
+    if (this.multiple) {
+      this.addSelected(owner, resultsDiv);
+      return;
+    }
     this.selectedOwner = owner;
     this.container.querySelector('.owner-search').value = owner.name;
     resultsDiv.hidden = true;
   }
 
   selectNewOwner(name, resultsDiv) {
+    if (this.multiple) {
+      this.addSelected({ name, isNew: true }, resultsDiv);
+      return;
+    }
     this.selectedOwner = { name, isNew: true };
     this.container.querySelector('.owner-search').value = name;
     resultsDiv.hidden = true;
   }
 
+  addSelected(owner, resultsDiv) {
+    this.selected.push(owner);
+    this.primary = this.primary || owner;
+    this.container.querySelector('.owner-search').value = '';
+    resultsDiv.hidden = true;
+    this.renderSelected();
+  }
+
+  renderSelected() {
+    const selectedDiv = this.container.querySelector('.owner-selected');
+    selectedDiv.innerHTML = '';
+
+    this.selected.forEach((owner, index) => {
+      const isPrimary = owner === this.primary;
+      const chip = document.createElement('span');
+      chip.className = `owner-chip${isPrimary ? ' owner-chip--primary' : ''}`;
+      chip.innerHTML = `
+        <button type="button" class="owner-chip__primary" aria-pressed="${isPrimary}">${isPrimary ? '★' : '☆'}</button>
+        <span class="owner-chip__name"></span>
+        <button type="button" class="owner-chip__remove">×</button>
+      `;
+      chip.querySelector('.owner-chip__name').textContent = owner.name;
+
+      const primaryButton = chip.querySelector('.owner-chip__primary');
+      primaryButton.title = isPrimary ? this.text.owner.primary : this.text.owner.make_primary;
+      primaryButton.addEventListener('click', () => {
+        this.primary = owner;
+        this.renderSelected();
+      });
+
+      const removeButton = chip.querySelector('.owner-chip__remove');
+      removeButton.title = this.text.owner.remove;
+      removeButton.addEventListener('click', () => {
+        this.selected.splice(index, 1);
+        if (isPrimary) {
+          this.primary = this.selected[0] || null;
+        }
+        this.renderSelected();
+      });
+
+      selectedDiv.appendChild(chip);
+    });
+  }
+
+  /**
+   * Selected owner: { id, name } for an existing one, { name, isNew } for a new one
+   * In multiple mode, the list of selected owners
+   */
   getValue() {
+    // Fallback: treat typed value as new owner
+    const name = this.container.querySelector('.owner-search').value.trim();
+
+    if (this.multiple) {
+      return name ? [...this.selected, { name, isNew: true }] : this.selected;
+    }
+
     if (!this.selectedOwner) {
-      // Fallback: treat typed value as new owner
-      const name = this.container.querySelector('.owner-search').value.trim();
       return name ? { name, isNew: true } : null;
     }
     return this.selectedOwner;
   }
+
+  /**
+   * Primary contact among the selected owners (multiple mode), null before any is picked
+   */
+  getPrimary() {
+    return this.primary;
+  }
 }
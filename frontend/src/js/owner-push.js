@@ -0,0 +1,141 @@
+/**
+ * Owner Push Notifications
+ * Owners using their magic link can get notified about their dogs
+ * (photo validated or refused, edits by someone else, birthdays)
+ */
+
+import { showNotification } from './magic-auth.js';
+
+const API_URL = window.API_URL || 'http://localhost:3000';
+
+/**
+ * Show the notification toggle for links that identify an owner's dogs
+ */
+export async function initOwnerPush(text, scope) {
+  if (!scope || (scope.type !== 'owner' && scope.type !== 'dogs')) return;
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('/sw.js');
+  } catch (error) {
+    console.error('Failed to register service worker:', error);
+    return;
+  }
+
+  const pushText = text.push;
+  let subscription = await registration.pushManager.getSubscription();
+  let busy = false;
+
+  updateToggles(pushText, !!subscription);
+
+  // Global function for onclick handler
+  window.toggleOwnerPush = async function() {
+    if (busy) return;
+    busy = true;
+
+    try {
+      if (subscription) {
+        // The backend drops the subscription the next time it tries to send to it
+        await subscription.unsubscribe();
+        subscription = null;
+        showNotification(pushText.unsubscribed, 'info');
+      } else {
+        subscription = await subscribe(registration);
+        showNotification(pushText.subscribed, 'success');
+      }
+    } catch (error) {
+      console.error('Push subscription error:', error);
+      const denied = 'Notification' in window && Notification.permission === 'denied';
+      showNotification(denied ? pushText.denied : pushText.error, 'error');
+    } finally {
+      busy = false;
+      updateToggles(pushText, !!subscription);
+    }
+  };
+}
+
+/**
+ * Subscribe this browser and register the subscription with the backend
+ * The magic link cookie tells the backend which dogs to follow
+ */
+async function subscribe(registration) {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Permission refused');
+  }
+
+  const keyResponse = await fetch(`${API_URL}/api/push-public-key`);
+  const { publicKey } = await keyResponse.json();
+  if (!publicKey) {
+    throw new Error('Push notifications are not configured');
+  }
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+
+  try {
+    const response = await fetch(`${API_URL}/api/graphql`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'apollo-require-preflight': 'true',
+      },
+      credentials: 'include',
+      body: JSON.stringify({
+        query: `
+          mutation CreatePushSubscription($endpoint: String!, $keys: String!) {
+            createPushSubscription(data: { endpoint: $endpoint, keys: $keys }) {
+              id
+            }
+          }
+        `,
+        variables: {
+          endpoint: subscription.endpoint,
+          keys: JSON.stringify(subscription.toJSON().keys),
+        },
+      }),
+    });
+
+    const result = await response.json();
+    if (result.errors) {
+      throw new Error(result.errors[0].message);
+    }
+  } catch (error) {
+    // Don't leave a browser subscription the backend doesn't know about
+    await subscription.unsubscribe();
+    throw error;
+  }
+
+  return subscription;
+}
+
+/**
+ * Show the toggles with their current state
+ */
+function updateToggles(pushText, subscribed) {
+  document.querySelectorAll('.push-toggle').forEach(toggle => {
+    const label = subscribed ? pushText.unsubscribe : pushText.subscribe;
+    toggle.textContent = subscribed ? '🔔' : '🔕';
+    toggle.classList.toggle('push-toggle--off', !subscribed);
+    toggle.setAttribute('aria-label', label);
+    toggle.setAttribute('aria-pressed', String(subscribed));
+    toggle.setAttribute('title', label);
+    toggle.removeAttribute('hidden');
+  });
+}
+
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding)
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const rawData = atob(base64);
+  const outputArray = new Uint8Array(rawData.length);
+  for (let i = 0; i < rawData.length; ++i) {
+    outputArray[i] = rawData.charCodeAt(i);
+  }
+  return outputArray;
+}
@@ -260,7 +260,8 @@
       updateProgress(100, 'Photo envoyée avec succès !');
       // Show appropriate message based on moderation mode
       if (moderationMode === 'a_posteriori') {
-        showStatus('✓ Photo envoyée ! Elle sera visible dans 2-3 minutes.', 'success');
+        showStatus('✓ Photo envoyée ! Elle sera visible après la mise à jour du site.', 'success');
+        if (window.watchBuildProgress) window.watchBuildProgress();
       } else {
         showStatus('✓ Photo envoyée ! Elle sera visible après validation manuelle.', 'success');
       }
@@ -0,0 +1,202 @@
+/**
+ * Vocabulary Autocomplete Component
+ * Picks breeds or coats from their list (matching names and synonyms,
+ * ignoring accents) and allows adding new ones
+ */
+
+import { getVocabulary } from './api.js';
+
+/**
+ * Lowercase, without accents or punctuation (same as the backend)
+ */
+function normalizeTerm(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalized terms an item is known by: its name and its synonyms
+ */
+function termsOf(item) {
+  return [item.name, ...(item.synonyms || '').split(/[\n,;]/)]
+    .map(normalizeTerm)
+    .filter(Boolean);
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class VocabularyAutocomplete {
+  // type: 'breed' or 'coat', multiple: several items can be selected (breeds of a cross)
+  constructor(container, text, type, { multiple = false, selected = [] } = {}) {
+    this.container = container;
+    this.text = text;
+    this.type = type;
+    this.multiple = multiple;
+    this.selected = selected.slice();
+    this.items = null;
+    this.render();
+  }
+
+  render() {
+    const placeholder = this.type === 'breed'
+      ? this.text.vocabulary.breed_placeholder
+      : this.text.vocabulary.coat_placeholder;
+
+    this.container.innerHTML = `
+      <input
+        type="text"
+        class="owner-search vocabulary-search"
+        placeholder="${placeholder}"
+        autocomplete="off"
+      >
+      <div class="owner-results" hidden></div>
+      <div class="vocabulary-selected"></div>
+    `;
+
+    const input = this.container.querySelector('.vocabulary-search');
+    const resultsDiv = this.container.querySelector('.owner-results');
+
+    input.addEventListener('input', (e) => {
+      const term = e.target.value.trim();
+      if (term.length >= 1) {
+        this.search(term, resultsDiv);
+      } else {
+        resultsDiv.hidden = true;
+      }
+    });
+
+    // Enter picks the first suggestion instead of submitting the form
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !resultsDiv.hidden) {
+        e.preventDefault();
+        resultsDiv.querySelector('button')?.click();
+      }
+    });
+
+    // Close results when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!this.container.contains(e.target)) {
+        resultsDiv.hidden = true;
+      }
+    });
+
+    this.renderSelected();
+  }
+
+  async search(term, resultsDiv) {
+    try {
+      // The lists are small: load them once and match locally
+      if (!this.items) {
+        this.items = await getVocabulary(this.type);
+      }
+      this.renderResults(term, resultsDiv);
+    } catch (error) {
+      console.error('Search error:', error);
+      resultsDiv.hidden = true;
+    }
+  }
+
+  /**
+   * Items whose name or a synonym contains the term, with the synonym that matched
+   */
+  findMatches(term) {
+    const normalized = normalizeTerm(term);
+    if (!normalized) return [];
+
+    return this.items
+      .map(item => {
+        if (normalizeTerm(item.name).includes(normalized)) {
+          return { item, synonym: null };
+        }
+        const synonym = (item.synonyms || '')
+          .split(/[\n,;]/)
+          .map(value => value.trim())
+          .find(value => value && normalizeTerm(value).includes(normalized));
+        return synonym ? { item, synonym } : null;
+      })
+      .filter(match => match && !this.selected.some(selected => selected.id === match.item.id))
+      .slice(0, 10);
+  }
+
+  renderResults(searchTerm, resultsDiv) {
+    resultsDiv.innerHTML = '';
+
+    const matches = this.findMatches(searchTerm);
+    matches.forEach(({ item, synonym }) => {
+      const result = document.createElement('button');
+      result.type = 'button';
+      result.className = 'owner-result';
+      result.innerHTML = `
+        <strong>${escapeHtml(item.name)}</strong>
+        ${synonym ? `<small>${escapeHtml(synonym)}</small>` : ''}
+      `;
+      result.addEventListener('click', () => this.select(item, resultsDiv));
+      resultsDiv.appendChild(result);
+    });
+
+    // Option to add a new item, unless the term is exactly a known one
+    const normalized = normalizeTerm(searchTerm);
+    const known = this.items.some(item => termsOf(item).includes(normalized));
+
+    if (!known) {
+      const createNew = document.createElement('button');
+      createNew.type = 'button';
+      createNew.className = 'owner-result owner-result--create';
+      createNew.textContent = this.text.vocabulary.create_new.replace('{name}', searchTerm);
+      createNew.addEventListener('click', () => this.select({ name: searchTerm, isNew: true }, resultsDiv));
+      resultsDiv.appendChild(createNew);
+    }
+
+    resultsDiv.hidden = resultsDiv.children.length === 0;
+  }
+
+  select(item, resultsDiv) {
+    this.selected = this.multiple ? [...this.selected, item] : [item];
+    this.container.querySelector('.vocabulary-search').value = '';
+    resultsDiv.hidden = true;
+    this.renderSelected();
+  }
+
+  renderSelected() {
+    const selectedDiv = this.container.querySelector('.vocabulary-selected');
+    selectedDiv.innerHTML = '';
+
+    this.selected.forEach((item, index) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'vocabulary-chip';
+      chip.title = this.text.vocabulary.remove;
+      chip.textContent = `${item.name} ×`;
+      chip.addEventListener('click', () => {
+        this.selected.splice(index, 1);
+        this.renderSelected();
+      });
+      selectedDiv.appendChild(chip);
+    });
+  }
+
+  /**
+   * Selected items: { id, name } for existing ones, { name, isNew } for new ones
+   */
+  getValue() {
+    // Fallback: text typed without picking a suggestion is selected too
+    const term = this.container.querySelector('.vocabulary-search').value.trim();
+    if (!term) {
+      return this.selected;
+    }
+
+    const normalized = normalizeTerm(term);
+    const item = (this.items || []).find(known => termsOf(known).includes(normalized)) || { name: term, isNew: true };
+    return this.multiple ? [...this.selected, item] : [item];
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Service Worker for owner push notifications
+ * Shows notifications about an owner's dogs and opens the dog page on click
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (error) {
+    payload = { title: 'Trombi Maisons-Doggo', body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title, {
+      body: payload.body,
+      icon: payload.icon || '/images/hello-big-dog.png',
+      badge: payload.badge || '/images/hello-dog.png',
+      data: payload.data || {},
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      // Reuse an open tab of the site when there is one
+      const existing = windows.find((client) => client.url === url) || windows[0];
+      if (existing) {
+        return existing.navigate(url).then((client) => (client || existing).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});